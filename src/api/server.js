@@ -1,6 +1,7 @@
 import express from 'express';
 import cors from 'cors';
 import { Logger } from '../utils/logger.js';
+import { Block } from '../core/Block.js';
 
 /**
  * Server API per il nodo Drakon
@@ -178,7 +179,8 @@ export class APIServer {
             ? {
                 height: this.node.blockchain.getHeight(),
                 difficulty: this.node.blockchain.getDifficulty(),
-                latestBlock: this.node.blockchain.getLatestBlockHash?.()
+                latestBlock: this.node.blockchain.getLatestBlockHash?.(),
+                stateRoot: this.node.blockchain.state.getStateRoot()
               }
             : { status: 'not_available' },
           mining: {
@@ -208,7 +210,11 @@ export class APIServer {
           return res.status(503).json({ error: 'Blockchain non disponibile' });
         }
 
-        const blocks = await this.node.blockchain.getBlocks(start, start + limit - 1);
+        // Dei blocchi potati viene restituito solo l'header
+        const blocks = (await this.node.blockchain.getBlocks(start, start + limit - 1)).map(
+          block =>
+            block.pruned ? { ...Block.getHeader(block), hash: block.hash, pruned: true } : block
+        );
         res.json({ blocks });
       } catch (error) {
         this.logger.error(`Errore nel recupero dei blocchi: ${error.message}`);
@@ -234,6 +240,14 @@ export class APIServer {
           return res.status(404).json({ error: 'Blocco non trovato' });
         }
 
+        if (block.pruned) {
+          return res.status(410).json({
+            error: 'Blocco potato: il nodo conserva solo i blocchi più recenti',
+            prunedHeight: this.node.blockchain.getPrunedHeight(),
+            header: { ...Block.getHeader(block), hash: block.hash }
+          });
+        }
+
         res.json({ block });
       } catch (error) {
         this.logger.error(`Errore nel recupero del blocco: ${error.message}`);
@@ -305,6 +319,56 @@ export class APIServer {
       }
     });
 
+    this.app.get('/transactions/:hash', async (req, res) => {
+      try {
+        if (!this.node.blockchain) {
+          return res.status(503).json({ error: 'Blockchain non disponibile' });
+        }
+
+        const { hash } = req.params;
+        const confirmed = await this.node.blockchain.getTransaction(hash);
+        if (confirmed) {
+          return res.json(confirmed);
+        }
+
+        // Transazione ancora in attesa nella mempool
+        const pending = this.node.mempool ? await this.node.mempool.getTransaction(hash) : null;
+        if (pending) {
+          return res.json({ hash, transaction: pending, confirmations: 0, pending: true });
+        }
+
+        res.status(404).json({ error: 'Transazione non trovata' });
+      } catch (error) {
+        this.logger.error(`Errore nel recupero della transazione: ${error.message}`);
+        res.status(500).json({ error: 'Errore nel recupero della transazione' });
+      }
+    });
+
+    this.app.get('/transactions/:hash/proof', async (req, res) => {
+      try {
+        if (!this.node.blockchain) {
+          return res.status(503).json({ error: 'Blockchain non disponibile' });
+        }
+
+        const { hash } = req.params;
+        const proof = await this.node.blockchain.getTransactionProof(hash);
+        if (proof) {
+          return res.json(proof);
+        }
+
+        if ((await this.node.blockchain.getConfirmations(hash)) > 0) {
+          return res.status(410).json({
+            error: 'Blocco della transazione potato: prova di inclusione non disponibile',
+            prunedHeight: this.node.blockchain.getPrunedHeight()
+          });
+        }
+        res.status(404).json({ error: 'Transazione non confermata' });
+      } catch (error) {
+        this.logger.error(`Errore nel calcolo della prova di inclusione: ${error.message}`);
+        res.status(500).json({ error: 'Errore nel calcolo della prova di inclusione' });
+      }
+    });
+
     // API Peer
     this.app.get('/peers', (req, res) => {
       try {
@@ -364,6 +428,121 @@ export class APIServer {
       }
     });
 
+    // Template di blocco per miner esterni
+    this.app.get('/mining/template', async (req, res) => {
+      try {
+        const { address } = req.query;
+
+        if (!address) {
+          return res.status(400).json({ error: 'Indirizzo per la ricompensa mancante' });
+        }
+
+        if (!this.node.miner) {
+          return res.status(503).json({ error: 'Miner non disponibile' });
+        }
+
+        // I miner esterni risolvono solo il proof-of-work: con l'authority firmano i validatori
+        const consensus = this.node.blockchain.engine.name;
+        if (consensus !== 'pow') {
+          return res.status(501).json({
+            error: `Mining esterno non disponibile con il consenso ${consensus}`
+          });
+        }
+
+        res.json(await this.node.getBlockTemplate(address));
+      } catch (error) {
+        this.logger.error(`Errore nella creazione del template: ${error.message}`);
+        res.status(500).json({ error: 'Errore nella creazione del template' });
+      }
+    });
+
+    // Header risolto da un miner esterno
+    this.app.post('/mining/submit', async (req, res) => {
+      try {
+        const { header } = req.body;
+        const nonce = req.body.nonce !== undefined ? req.body.nonce : header?.nonce;
+
+        if (!header || !header.merkleRoot || !Number.isInteger(nonce)) {
+          return res.status(400).json({ error: 'Header o nonce mancanti' });
+        }
+
+        if (!this.node.miner) {
+          return res.status(503).json({ error: 'Miner non disponibile' });
+        }
+
+        // I miner esterni risolvono solo il proof-of-work: con l'authority firmano i validatori
+        const consensus = this.node.blockchain.engine.name;
+        if (consensus !== 'pow') {
+          return res.status(501).json({
+            error: `Mining esterno non disponibile con il consenso ${consensus}`
+          });
+        }
+
+        const result = await this.node.submitBlock(header, nonce);
+        if (!result.accepted) {
+          return res.status(400).json({ success: false, error: result.reason });
+        }
+
+        res.json({ success: true, hash: result.block.hash, height: result.block.height });
+      } catch (error) {
+        this.logger.error(`Errore nell'invio del blocco: ${error.message}`);
+        res.status(500).json({ error: "Errore nell'invio del blocco" });
+      }
+    });
+
+    // Statistiche del pool di mining
+    this.app.get('/mining/pool', (req, res) => {
+      try {
+        const stats = this.node.getPoolStats();
+        if (!stats) {
+          return res.status(503).json({ error: 'Pool di mining non attivo' });
+        }
+
+        res.json(stats);
+      } catch (error) {
+        this.logger.error(`Errore nel recupero delle statistiche del pool: ${error.message}`);
+        res.status(500).json({ error: 'Errore nel recupero delle statistiche del pool' });
+      }
+    });
+
+    // Validatori del consenso proof-of-authority
+    this.app.get('/validators', (req, res) => {
+      try {
+        if (!this.node.blockchain || this.node.blockchain.engine.name !== 'poa') {
+          return res.status(503).json({ error: 'Consenso proof-of-authority non attivo' });
+        }
+
+        res.json(this.node.blockchain.engine.getStatus());
+      } catch (error) {
+        this.logger.error(`Errore nel recupero dei validatori: ${error.message}`);
+        res.status(500).json({ error: 'Errore nel recupero dei validatori' });
+      }
+    });
+
+    this.app.post('/validators/vote', async (req, res) => {
+      try {
+        const { candidate, vote, fee = 0 } = req.body;
+
+        if (!candidate || (vote !== 'add' && vote !== 'remove')) {
+          return res.status(400).json({ error: "Candidato o voto ('add', 'remove') mancanti" });
+        }
+
+        if (!this.node.blockchain || this.node.blockchain.engine.name !== 'poa') {
+          return res.status(503).json({ error: 'Consenso proof-of-authority non attivo' });
+        }
+
+        const transaction = await this.node.voteValidator(candidate, vote, fee);
+        if (!transaction) {
+          return res.status(400).json({ success: false, error: 'Voto rifiutato' });
+        }
+
+        res.json({ success: true, transactionId: transaction.hash });
+      } catch (error) {
+        this.logger.error(`Errore nel voto del validatore: ${error.message}`);
+        res.status(500).json({ error: 'Errore nel voto del validatore' });
+      }
+    });
+
     // Wallet API
     this.app.get('/wallet/balance/:address', async (req, res) => {
       try {
@@ -373,17 +552,39 @@ export class APIServer {
           return res.status(400).json({ error: 'Indirizzo mancante' });
         }
 
-        if (!this.node.wallet) {
-          return res.status(503).json({ error: 'Wallet non disponibile' });
+        if (!this.node.blockchain) {
+          return res.status(503).json({ error: 'Blockchain non disponibile' });
         }
 
-        const balance = await this.node.wallet.getBalance(address);
+        const balance = await this.node.getWalletBalance(address);
         res.json({ address, balance });
       } catch (error) {
         this.logger.error(`Errore nel recupero del saldo: ${error.message}`);
         res.status(500).json({ error: 'Errore nel recupero del saldo' });
       }
     });
+
+    this.app.get('/wallet/transactions/:address', async (req, res) => {
+      try {
+        const { address } = req.params;
+        const offset = parseInt(req.query.offset || 0);
+        const limit = parseInt(req.query.limit || 20);
+
+        if (isNaN(offset) || isNaN(limit) || offset < 0 || limit < 1 || limit > 100) {
+          return res.status(400).json({ error: 'Paginazione non valida (limit tra 1 e 100)' });
+        }
+
+        if (!this.node.blockchain) {
+          return res.status(503).json({ error: 'Blockchain non disponibile' });
+        }
+
+        const history = await this.node.blockchain.getAddressHistory(address, { offset, limit });
+        res.json({ address, offset, limit, ...history });
+      } catch (error) {
+        this.logger.error(`Errore nel recupero delle transazioni: ${error.message}`);
+        res.status(500).json({ error: 'Errore nel recupero delle transazioni' });
+      }
+    });
   }
 
   /**
@@ -117,15 +117,15 @@ async function runBootstrapNode(options = {}) {
       config.config.p2p.bootstrapNodes = [];
     }
 
-    // MODIFICATO: Imposta il tipo di rete a "demo"
+    // MODIFICATO: Imposta la modalità di rete a "demo"
     if (!config.config.network) {
       config.config.network = {
-        type: 'demo',
+        mode: 'demo',
         maxPeers: 50,
         peerTimeout: 30000
       };
     } else {
-      config.config.network.type = 'demo';
+      config.config.network.mode = 'demo';
     }
     
     // Crea le directory necessarie
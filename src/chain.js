@@ -0,0 +1,131 @@
+import { Config } from './config/config.js';
+import { Blockchain } from './core/Blockchain.js';
+import { ChainMaintenance } from './core/ChainMaintenance.js';
+import { ChainSnapshot } from './core/ChainSnapshot.js';
+import { BlockchainDB } from './storage/BlockchainDB.js';
+import { Logger } from './utils/logger.js';
+
+const logger = new Logger('Chain');
+
+const COMMANDS = ['reindex', 'verify-chain', 'export', 'import', 'migrate'];
+
+const USAGE = `Uso: node src/chain.js <comando> [opzioni]
+
+Comandi:
+  reindex          Ricostruisce catena principale, indici e stato dai blocchi salvati
+  verify-chain     Rivalida tutti i blocchi della catena principale dal genesis
+  export <file>    Esporta catena e stato degli account in uno snapshot
+  import <origine> Importa uno snapshot (file o URL http) in una directory dei dati vuota
+  migrate          Porta il database alla versione dello schema corrente
+
+Opzioni:
+  --data-dir <dir>      Directory del database (predefinita: ~/.drakon-node/data)
+  --chain <rete>        Specifica della rete predefinita (mainnet, testnet, devnet)
+  --chain-spec <file>   File della specifica della rete
+  --restart             Ignora l'avanzamento di un'esecuzione interrotta
+  --state-root <hash>   Con import, state root attesa (obbligatoria per gli snapshot potati)
+  --dry-run             Con migrate, elenca le migrazioni senza applicarle`;
+
+/**
+ * Comandi di manutenzione della catena, da eseguire con il nodo fermo. reindex e verify-chain
+ * salvano l'avanzamento nel database: rilanciati dopo un'interruzione riprendono da dove erano
+ * arrivati. Ogni comando apre il database applicando le migrazioni dello schema, tranne
+ * migrate --dry-run.
+ */
+async function main(command, target, args) {
+  const needsTarget = command === 'export' || command === 'import';
+  if (!COMMANDS.includes(command) || (needsTarget && !target)) {
+    console.log(USAGE);
+    return command ? 1 : 0;
+  }
+
+  const config = new Config().config;
+  config.blockchain = config.blockchain || {};
+  if (args['data-dir']) {
+    config.storage.path = args['data-dir'];
+  }
+  if (args.chain) {
+    config.network.type = args.chain;
+  }
+  if (args['chain-spec']) {
+    config.network.chainSpec = args['chain-spec'];
+  }
+
+  const dryRun = command === 'migrate' && args['dry-run'] === true;
+  const db = new BlockchainDB(config);
+  if (!(await db.init({ dryRun }))) {
+    return 1;
+  }
+
+  try {
+    if (command === 'migrate') {
+      const version = (await db.getSchemaVersion()) ?? 0;
+      logger.info(
+        dryRun
+          ? `Schema del database alla versione ${version}, nessuna modifica applicata`
+          : `Schema del database alla versione ${version}`
+      );
+      return 0;
+    }
+
+    const blockchain = new Blockchain(config, db);
+    if (command === 'export') {
+      await new ChainSnapshot(blockchain).export(target);
+      return 0;
+    }
+    if (command === 'import') {
+      await new ChainSnapshot(blockchain).import(target, { stateRoot: args['state-root'] });
+      return 0;
+    }
+
+    const maintenance = new ChainMaintenance(blockchain);
+    const options = { restart: args.restart === true };
+
+    if (command === 'reindex') {
+      const result = await maintenance.reindex(options);
+      if (result.skipped > 0) {
+        logger.warn(`${result.skipped} blocchi danneggiati ignorati`);
+      }
+      return 0;
+    }
+
+    const result = await maintenance.verifyChain(options);
+    if (!result.valid) {
+      logger.error(
+        `Catena non valida dal blocco ${result.invalidBlock.hash} ` +
+          `(altezza ${result.invalidBlock.height})`
+      );
+      return 1;
+    }
+    return result.stateMismatches > 0 ? 1 : 0;
+  } catch (error) {
+    logger.error(`Errore durante ${command}: ${error.message}`);
+    return 1;
+  } finally {
+    await db.close();
+  }
+}
+
+// Analizza gli argomenti da riga di comando
+function parseCommandLineArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+        args[key] = argv[i + 1];
+        i++;
+      } else {
+        args[key] = true;
+      }
+    }
+  }
+  return args;
+}
+
+const [command, ...rest] = process.argv.slice(2);
+const target = rest[0] && !rest[0].startsWith('--') ? rest.shift() : null;
+main(command, target, parseCommandLineArgs(rest)).then(code => {
+  process.exitCode = code;
+});
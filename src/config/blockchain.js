@@ -4,8 +4,8 @@ module.exports = {
     // Difficoltà iniziale per il mining
     initialDifficulty: 4,
 
-    // Ricompensa per il mining di un blocco
-    miningReward: 10,
+    // Ricompensa per il mining di un blocco e dimezzamenti: campo `reward` della specifica
+    // della rete (src/config/chains)
 
     // Numero massimo di transazioni per blocco
     maxTransactionsPerBlock: 10,
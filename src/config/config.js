@@ -11,12 +11,25 @@ const DEFAULT_CONFIG = {
     dataDir: path.join(os.homedir(), '.drakon-node')
   },
   network: {
+    // Rete a cui partecipare: seleziona la specifica (src/config/chains) con genesis,
+    // ricompense e parametri di consenso
     type: 'testnet',
+    chainSpec: null,
+    // Modalità di connessione: 'demo' non si collega ai nodi bootstrap
+    mode: null,
+    // Salta le firme sotto il blocco assumeValid della specifica durante la prima sincronizzazione
+    assumeValid: true,
     maxPeers: 50,
     port: 6001,
     dht: {
       enabled: true,
       interval: 30000
+    },
+    // Tempo di rete: mediana degli scostamenti degli orologi dei peer
+    time: {
+      minSamples: 5,
+      maxOffset: 4200000, // 70 minuti
+      warnOffset: 300000 // 5 minuti
     }
   },
   p2p: {
@@ -46,16 +59,35 @@ const DEFAULT_CONFIG = {
     }
   },
   storage: {
+    // Backend del database della catena: 'level' (LevelDB in `path`) oppure 'memory' (nessun
+    // file su disco, per test e reti di prova)
+    backend: 'level',
     path: path.join(os.homedir(), '.drakon-node', 'data'),
-    maxSize: 1024 * 1024 * 100, // 100MB
-    options: { valueEncoding: 'json' }
+    options: { valueEncoding: 'json' },
+    // Nodo potato: conserva header, stato e solo gli ultimi `keepBlocks` blocchi completi
+    prune: {
+      enabled: false,
+      keepBlocks: 1000,
+      interval: 60000 // 1 minuto
+    }
+  },
+  // Snapshot della catena serviti dai nodi bootstrap ai nuovi nodi: un file o una directory,
+  // di cui viene servito lo snapshot più recente
+  snapshot: {
+    path: null
   },
   mining: {
     enabled: false,
     difficulty: 4,
     threads: 1,
     interval: 30000,
-    reward: 50
+    // Pool locale: i worker si collegano via TCP e si dividono la ricompensa dei blocchi
+    pool: {
+      enabled: false,
+      port: 3333,
+      // Rispetto al target massimo della rete: valori minori di 1 danno share più frequenti
+      shareDifficulty: 0.01
+    }
   },
   mempool: {
     maxSize: 1000,
@@ -63,7 +95,13 @@ const DEFAULT_CONFIG = {
   },
   gossip: {
     interval: 5000,
-    maxPeersPerGossip: 3
+    maxPeersPerGossip: 3,
+    // Blocchi arrivati prima del genitore, tenuti in attesa che la catena si colleghi
+    orphans: {
+      maxSize: 100,
+      maxPerPeer: 10,
+      maxAge: 600000 // 10 minuti
+    }
   },
   sync: {
     interval: 60000, // 1 minuto
@@ -85,7 +123,10 @@ export class Config {
   }
 
   async createDirectories() {
-    const dirs = [this.config.node.dataDir, this.config.storage.path];
+    const dirs = [this.config.node.dataDir];
+    if (this.config.storage.backend !== 'memory') {
+      dirs.push(this.config.storage.path);
+    }
 
     for (const dir of dirs) {
       await fs.mkdir(dir, { recursive: true });
@@ -111,11 +152,30 @@ export class Config {
       this.config.node.dataDir = process.env.DATA_DIR;
       this.config.storage.path = path.join(process.env.DATA_DIR, 'data');
     }
+    if (process.env.STORAGE_BACKEND) {
+      this.config.storage.backend = process.env.STORAGE_BACKEND;
+    }
+    if (process.env.SNAPSHOT_PATH) {
+      this.config.snapshot.path = process.env.SNAPSHOT_PATH;
+    }
+    if (process.env.PRUNE) {
+      const keepBlocks = parseInt(process.env.PRUNE);
+      this.config.storage.prune.enabled = keepBlocks > 0;
+      if (keepBlocks > 0) {
+        this.config.storage.prune.keepBlocks = keepBlocks;
+      }
+    }
 
     // Mining
     if (process.env.MINING_ENABLED) {
       this.config.mining.enabled = process.env.MINING_ENABLED === 'true';
     }
+    if (process.env.POOL_ENABLED) {
+      this.config.mining.pool.enabled = process.env.POOL_ENABLED === 'true';
+    }
+    if (process.env.POOL_PORT) {
+      this.config.mining.pool.port = parseInt(process.env.POOL_PORT);
+    }
 
     // Bootstrap nodes
     if (process.env.BOOTSTRAP_NODES) {
@@ -129,6 +189,17 @@ export class Config {
       }
     }
 
+    // Specifica della rete
+    if (process.env.NETWORK_TYPE) {
+      this.config.network.type = process.env.NETWORK_TYPE;
+    }
+    if (process.env.CHAIN_SPEC) {
+      this.config.network.chainSpec = process.env.CHAIN_SPEC;
+    }
+    if (process.env.ASSUME_VALID) {
+      this.config.network.assumeValid = process.env.ASSUME_VALID !== 'false';
+    }
+
     // Nodo bootstrap
     if (process.env.IS_BOOTSTRAP) {
       this.config.node.isBootstrap = process.env.IS_BOOTSTRAP === 'true';
@@ -1,4 +1,6 @@
 import { Logger } from '../utils/logger.js';
+import { Block } from '../core/Block.js';
+import { OrphanPool } from './OrphanPool.js';
 
 export class GossipManager {
   constructor(config, networkManager, mempool, blockchain) {
@@ -9,6 +11,8 @@ export class GossipManager {
     this.blockchain = blockchain;
     this.gossipInterval = config.gossip.interval || 5000; // 5 secondi
     this.maxPeersPerGossip = config.gossip.maxPeersPerGossip || 3;
+    // Blocchi arrivati prima del loro genitore
+    this.orphanPool = new OrphanPool(config);
   }
 
   async start() {
@@ -31,6 +35,8 @@ export class GossipManager {
 
   async gossip() {
     try {
+      this.orphanPool.removeExpired();
+
       // Ottieni i peer disponibili
       const peers = this.networkManager.getPeers();
       if (peers.length === 0) {
@@ -96,14 +102,11 @@ export class GossipManager {
         return;
       }
 
-      // Verifica la validità della transazione
-      if (!(await this.blockchain.isValidTransaction(transaction))) {
+      // Aggiungi la transazione al mempool, che la verifica
+      if (!(await this.mempool.addTransaction(transaction))) {
         return;
       }
 
-      // Aggiungi la transazione al mempool
-      await this.mempool.addTransaction(transaction);
-
       // Propaga la transazione ai peer
       const peers = this.networkManager.getPeers();
       const selectedPeers = this.selectRandomPeers(peers, this.maxPeersPerGossip);
@@ -116,36 +119,125 @@ export class GossipManager {
     }
   }
 
-  async handleNewBlock(block) {
+  /**
+   * Gestisce un blocco ricevuto dalla rete. Se il genitore non è ancora noto il blocco resta
+   * nel pool degli orfani, purché l'header superi le verifiche possibili senza il genitore, e
+   * il genitore viene chiesto al peer che l'ha inviato; quando un blocco viene aggiunto, i suoi
+   * figli orfani vengono collegati a seguire.
+   * @param {Object} block - Blocco ricevuto
+   * @param {string|null} [peerId] - Peer che l'ha inviato
+   */
+  async handleNewBlock(block, peerId = null) {
     try {
-      // Verifica se il blocco è già presente
-      const existingBlock = await this.blockchain.getBlock(block.hash);
-      if (existingBlock) {
-        return;
+      if (await this._receiveBlock(block, peerId)) {
+        await this._requestMissingAncestors(block, peerId);
       }
+    } catch (error) {
+      this.logger.error('Errore nella gestione del nuovo blocco:', error);
+    }
+  }
 
-      // Verifica la validità del blocco
-      if (!(await this.blockchain.isValidBlock(block))) {
-        return;
+  /**
+   * Aggiunge un blocco alla catena, collegando i suoi figli orfani, oppure lo mette nel pool
+   * degli orfani se il genitore non è noto
+   * @param {Object} block - Blocco ricevuto
+   * @param {string|null} peerId - Peer che l'ha inviato
+   * @param {boolean} [requested] - Antenato chiesto dal nodo per collegare degli orfani
+   * @returns {Promise<boolean>} - true se il blocco è un nuovo orfano
+   */
+  async _receiveBlock(block, peerId, requested = false) {
+    // Verifica se il blocco è già presente
+    const existingBlock = await this.blockchain.getBlock(block.hash);
+    if (existingBlock || this.orphanPool.has(block.hash)) {
+      return false;
+    }
+
+    // Il genitore non è ancora arrivato: il blocco attende nel pool degli orfani
+    if (block.height > 0 && !(await this.blockchain.getBlock(block.previousHash))) {
+      if (!(await this._isValidOrphan(block))) {
+        this.logger.warn(`Blocco orfano ${block.hash} non valido, scartato`);
+        return false;
       }
+      return this.orphanPool.add(block, peerId, requested);
+    }
+
+    if (await this._acceptBlock(block)) {
+      await this._connectOrphans(block);
+    }
+    return false;
+  }
+
+  async _acceptBlock(block) {
+    // Aggiungi il blocco alla blockchain, che lo verifica
+    if (!(await this.blockchain.addBlock(block))) {
+      return false;
+    }
+
+    // Propaga il blocco ai peer
+    const peers = this.networkManager.getPeers();
+    const selectedPeers = this.selectRandomPeers(peers, this.maxPeersPerGossip);
+
+    for (const peer of selectedPeers) {
+      await this.networkManager.sendBlock(peer.id, block);
+    }
+    return true;
+  }
 
-      // Aggiungi il blocco alla blockchain
-      await this.blockchain.addBlock(block);
+  // Hash e prova di lavoro (o firma del validatore) dell'header: un orfano falso costa
+  // quanto un blocco vero
+  async _isValidOrphan(block) {
+    if (!Number.isInteger(block.height) || Block.calculateHash(block) !== block.hash) {
+      return false;
+    }
+    return this.blockchain.engine.verifyHeader(block);
+  }
 
-      // Rimuovi le transazioni confermate dal mempool
-      for (const tx of block.transactions) {
-        await this.mempool.removeTransaction(tx.hash);
+  // Aggiunge, in ordine, i discendenti orfani di un blocco appena collegato alla catena
+  async _connectOrphans(block) {
+    const parents = [block];
+    while (parents.length > 0) {
+      const parent = parents.shift();
+      for (const child of this.orphanPool.takeChildren(parent.hash)) {
+        this.logger.info(`Blocco orfano ${child.hash} collegato a ${parent.hash}`);
+        if (await this._acceptBlock(child)) {
+          parents.push(child);
+        }
       }
+    }
+  }
 
-      // Propaga il blocco ai peer
-      const peers = this.networkManager.getPeers();
-      const selectedPeers = this.selectRandomPeers(peers, this.maxPeersPerGossip);
+  // Chiede al peer che ha inviato l'orfano gli antenati mancanti, uno alla volta, finché la
+  // catena di orfani non si collega a un blocco noto
+  async _requestMissingAncestors(block, peerId) {
+    if (!peerId) {
+      return;
+    }
 
-      for (const peer of selectedPeers) {
-        await this.networkManager.sendBlock(peer.id, block);
+    // Un blocco molto più avanti della catena locale viene recuperato dalla sincronizzazione
+    if (block.height - this.blockchain.getHeight() > this.orphanPool.maxSize) {
+      this.logger.debug(`Blocco orfano ${block.hash} troppo avanti, attesa della sincronizzazione`);
+      return;
+    }
+
+    let missingHash = this.orphanPool.getMissingAncestor(block.hash);
+    for (let requests = 0; missingHash && requests < this.orphanPool.maxSize; requests++) {
+      let ancestor;
+      try {
+        ancestor = await this.networkManager.requestBlockByHash(peerId, missingHash);
+      } catch (error) {
+        this.logger.warn(
+          `Errore nella richiesta del blocco ${missingHash} al peer ${peerId}:`,
+          error
+        );
+        return;
       }
-    } catch (error) {
-      this.logger.error('Errore nella gestione del nuovo blocco:', error);
+
+      if (!ancestor || ancestor.hash !== missingHash) {
+        return;
+      }
+      missingHash = (await this._receiveBlock(ancestor, peerId, true))
+        ? ancestor.previousHash
+        : null;
     }
   }
 
@@ -153,7 +245,8 @@ export class GossipManager {
     return {
       gossipInterval: this.gossipInterval,
       maxPeersPerGossip: this.maxPeersPerGossip,
-      mempoolSize: this.mempool.getSize()
+      mempoolSize: this.mempool.getSize(),
+      orphanBlocks: this.orphanPool.getSize()
     };
   }
 }
@@ -1,5 +1,6 @@
 import { Logger } from '../utils/logger.js';
 import { EventEmitter } from 'events';
+import { COINBASE_SENDER, Transaction } from '../core/Transaction.js';
 
 export class Mempool extends EventEmitter {
   constructor(config, blockchain) {
@@ -8,13 +9,40 @@ export class Mempool extends EventEmitter {
     this.config = config;
     this.blockchain = blockchain;
     this.transactions = new Map();
+    // Transazioni con nonce successivi a un buco nella sequenza, in attesa di diventare eseguibili
+    this.queued = new Map();
+    // Istante di ingresso nel mempool di ogni transazione, per la scadenza per età
+    this.arrivals = new Map();
     this.maxSize = config.mempool.maxSize || 1000;
+    this.maxTransactionAge = config.mempool.maxTransactionAge || 3600000; // 1 ora
+    this.expiryInterval = config.mempool.expiryInterval || 60000; // 1 minuto
+    this.expiryTimer = null;
+
+    // Aggiorna il mempool quando un blocco cambia lo stato confermato
+    this.blockchain.on('block:new', block => this._handleNewBlock(block));
+    this.blockchain.on('block:reorg', reorg => this._handleReorg(reorg));
+  }
+
+  // Avvia la rimozione periodica delle transazioni scadute
+  start() {
+    if (this.expiryTimer) {
+      return;
+    }
+    this.expiryTimer = setInterval(() => this.removeExpired(), this.expiryInterval);
+    this.logger.info(`Scadenza delle transazioni dopo ${this.maxTransactionAge / 1000}s di attesa`);
+  }
+
+  stop() {
+    if (this.expiryTimer) {
+      clearInterval(this.expiryTimer);
+      this.expiryTimer = null;
+    }
   }
 
   async addTransaction(transaction) {
     try {
       // Verifica se la transazione è già presente
-      if (this.transactions.has(transaction.hash)) {
+      if (await this.hasTransaction(transaction.hash)) {
         this.logger.warn(`Transazione ${transaction.hash} già presente nel mempool`);
         return false;
       }
@@ -25,14 +53,42 @@ export class Mempool extends EventEmitter {
         return false;
       }
 
-      // Verifica se il mempool è pieno
-      if (this.transactions.size >= this.maxSize) {
+      // Un solo nonce in attesa per mittente: può sostituirlo solo una commissione più alta
+      const existing = this._findByNonce(transaction.from, transaction.nonce);
+      if (existing && Transaction.getFee(transaction) <= Transaction.getFee(existing)) {
+        this.logger.warn(
+          `Nonce ${transaction.nonce} di ${transaction.from} già in attesa nel mempool ` +
+            'con una commissione uguale o superiore'
+        );
+        return false;
+      }
+
+      // Verifica che il saldo confermato copra anche le spese già in attesa,
+      // senza contare quella dell'eventuale transazione sostituita
+      const replacesExecutable = existing && this.transactions.has(existing.hash);
+      const isNext =
+        replacesExecutable || transaction.nonce === this.getNextNonce(transaction.from);
+      const spendable =
+        this.getSpendableBalance(transaction.from) +
+        (replacesExecutable ? Transaction.getCost(existing) : 0);
+      if (isNext && Transaction.getCost(transaction) > spendable) {
+        this.logger.warn(`Transazione ${transaction.hash} supera il saldo disponibile`);
+        return false;
+      }
+
+      if (existing) {
+        this._delete(existing.hash);
+        this.emit('transaction:replaced', { replaced: existing, transaction });
+        this.logger.info(`Transazione ${existing.hash} sostituita da ${transaction.hash}`);
+      } else if (this.getSize() >= this.maxSize && !this._evictFor(transaction)) {
         this.logger.warn('Mempool pieno, transazione scartata');
         return false;
       }
 
-      // Aggiungi la transazione
-      this.transactions.set(transaction.hash, transaction);
+      // Aggiungi la transazione: resta in coda finché i nonce precedenti non sono in attesa
+      this.queued.set(transaction.hash, transaction);
+      this.arrivals.set(transaction.hash, Date.now());
+      this._updateSender(transaction.from);
 
       // Emetti evento nuova transazione
       this.emit('transaction:new', transaction);
@@ -47,8 +103,8 @@ export class Mempool extends EventEmitter {
 
   async removeTransaction(hash) {
     try {
-      const transaction = this.transactions.get(hash);
-      if (this.transactions.delete(hash)) {
+      const transaction = this.transactions.get(hash) || this.queued.get(hash);
+      if (this._delete(hash)) {
         // Emetti evento transazione confermata
         if (transaction) {
           this.emit('transaction:confirmed', transaction);
@@ -64,32 +120,285 @@ export class Mempool extends EventEmitter {
     }
   }
 
-  async getPendingTransactions() {
-    return Array.from(this.transactions.values());
+  // Rimuove le transazioni in attesa da più di `maxTransactionAge`
+  removeExpired() {
+    try {
+      const now = Date.now();
+      let expired = 0;
+
+      for (const [hash, arrival] of this.arrivals) {
+        if (now - arrival <= this.maxTransactionAge) {
+          continue;
+        }
+
+        const transaction = this.transactions.get(hash) || this.queued.get(hash);
+        this._delete(hash);
+        if (transaction) {
+          this.emit('transaction:expired', transaction);
+          expired++;
+        }
+      }
+
+      if (expired > 0) {
+        // Le transazioni successive a un nonce scaduto tornano in coda
+        this._updateAllSenders();
+        this.logger.info(`${expired} transazioni scadute rimosse dal mempool`);
+      }
+      return expired;
+    } catch (error) {
+      this.logger.error('Errore nella rimozione delle transazioni scadute:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Libera un posto per `transaction` scartando la transazione in attesa con la commissione
+   * per byte più bassa, se inferiore a quella della nuova. Si considera solo l'ultimo nonce di
+   * ogni mittente, così l'espulsione non lascia buchi nella sequenza.
+   * @param {Object} transaction - Transazione da inserire
+   * @returns {boolean} - true se è stato liberato un posto
+   */
+  _evictFor(transaction) {
+    const tails = new Map();
+    for (const tx of [...this.transactions.values(), ...this.queued.values()]) {
+      if (tx.from === transaction.from) {
+        continue;
+      }
+      const tail = tails.get(tx.from);
+      if (!tail || tx.nonce > tail.nonce) {
+        tails.set(tx.from, tx);
+      }
+    }
+
+    let lowest = null;
+    for (const tx of tails.values()) {
+      if (!lowest || this._compareFeeRate(tx, lowest) > 0) {
+        lowest = tx;
+      }
+    }
+
+    if (!lowest || Transaction.getFeeRate(lowest) >= Transaction.getFeeRate(transaction)) {
+      return false;
+    }
+
+    this._delete(lowest.hash);
+    this.emit('transaction:evicted', lowest);
+    this.logger.info(`Transazione ${lowest.hash} espulsa dal mempool pieno`);
+    return true;
+  }
+
+  // Elimina una transazione da entrambe le mappe senza emettere eventi
+  _delete(hash) {
+    this.arrivals.delete(hash);
+    const removed = this.transactions.delete(hash);
+    return this.queued.delete(hash) || removed;
+  }
+
+  /**
+   * Transazioni eseguibili ordinate per commissione per byte, decrescente. I nonce di ogni
+   * mittente restano in ordine crescente: una transazione viene scelta solo dopo quelle del
+   * suo mittente con nonce inferiore, quindi una commissione alta "trascina" le precedenti
+   * solo quando arriva il suo turno.
+   * @param {number} [limit] - Numero massimo di transazioni da restituire
+   * @returns {Promise<Array>}
+   */
+  async getPendingTransactions(limit = Infinity) {
+    // Code per mittente, in ordine di nonce
+    const queues = new Map();
+    for (const tx of this.transactions.values()) {
+      if (!queues.has(tx.from)) {
+        queues.set(tx.from, []);
+      }
+      queues.get(tx.from).push(tx);
+    }
+    for (const queue of queues.values()) {
+      queue.sort((a, b) => a.nonce - b.nonce);
+    }
+
+    // Sceglie ogni volta la testa di coda con la commissione per byte più alta
+    const selected = [];
+    while (selected.length < limit && queues.size > 0) {
+      let best = null;
+      for (const [address, queue] of queues) {
+        if (!best || this._compareFeeRate(queue[0], queues.get(best)[0]) < 0) {
+          best = address;
+        }
+      }
+
+      const queue = queues.get(best);
+      selected.push(queue.shift());
+      if (queue.length === 0) {
+        queues.delete(best);
+      }
+    }
+
+    return selected;
+  }
+
+  // Ordina per commissione per byte decrescente, a parità per anzianità
+  _compareFeeRate(a, b) {
+    return Transaction.getFeeRate(b) - Transaction.getFeeRate(a) || a.timestamp - b.timestamp;
   }
 
   async getTransaction(hash) {
-    return this.transactions.get(hash);
+    return this.transactions.get(hash) || this.queued.get(hash);
   }
 
   async hasTransaction(hash) {
-    return this.transactions.has(hash);
+    return this.transactions.has(hash) || this.queued.has(hash);
+  }
+
+  /**
+   * Prossimo nonce utilizzabile da un indirizzo, considerando le transazioni eseguibili in attesa
+   * @param {string} address - Indirizzo del mittente
+   * @returns {number}
+   */
+  getNextNonce(address) {
+    let nonce = this.blockchain.getNonce(address);
+    for (const tx of this.transactions.values()) {
+      if (tx.from === address) {
+        nonce++;
+      }
+    }
+    return nonce;
+  }
+
+  /**
+   * Somma di importi e commissioni in uscita da un indirizzo ancora in attesa di conferma
+   * @param {string} address - Indirizzo del mittente
+   * @returns {number}
+   */
+  getPendingOutflow(address) {
+    let outflow = 0;
+    for (const tx of this.transactions.values()) {
+      if (tx.from === address) {
+        outflow += Transaction.getCost(tx);
+      }
+    }
+    return outflow;
+  }
+
+  /**
+   * Saldo confermato meno le spese in attesa nel mempool
+   * @param {string} address - Indirizzo del mittente
+   * @returns {number}
+   */
+  getSpendableBalance(address) {
+    return this.blockchain.getBalance(address) - this.getPendingOutflow(address);
+  }
+
+  async _handleNewBlock(block) {
+    try {
+      // Rimuovi le transazioni confermate dal blocco
+      for (const tx of block.transactions || []) {
+        await this.removeTransaction(tx.hash);
+      }
+
+      this._updateAllSenders();
+    } catch (error) {
+      this.logger.error("Errore nell'aggiornamento del mempool dopo un nuovo blocco:", error);
+    }
+  }
+
+  async _handleReorg({ disconnected, connected }) {
+    try {
+      // Rimuovi le transazioni confermate dal nuovo ramo
+      const confirmed = new Set();
+      for (const block of connected) {
+        for (const tx of block.transactions || []) {
+          confirmed.add(tx.hash);
+          await this.removeTransaction(tx.hash);
+        }
+      }
+      this._updateAllSenders();
+
+      // Le transazioni dei blocchi scollegati rientrano dal blocco più vecchio, con gli stessi
+      // controlli di quelle ricevute: validità sul nuovo ultimo blocco, saldo e spazio libero
+      for (const block of [...disconnected].reverse()) {
+        for (const tx of block.transactions || []) {
+          if (tx.from !== COINBASE_SENDER && !confirmed.has(tx.hash)) {
+            await this.addTransaction(tx);
+          }
+        }
+      }
+
+      this.logger.info('Mempool riallineato dopo la riorganizzazione della catena');
+    } catch (error) {
+      this.logger.error("Errore nell'aggiornamento del mempool dopo una riorganizzazione:", error);
+    }
+  }
+
+  // Riallinea tutte le transazioni in attesa allo stato confermato corrente
+  _updateAllSenders() {
+    const senders = new Set();
+    for (const tx of [...this.transactions.values(), ...this.queued.values()]) {
+      senders.add(tx.from);
+    }
+    for (const address of senders) {
+      this._updateSender(address);
+    }
+  }
+
+  _findByNonce(address, nonce) {
+    for (const tx of [...this.transactions.values(), ...this.queued.values()]) {
+      if (tx.from === address && tx.nonce === nonce) {
+        return tx;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Riordina le transazioni di un mittente: sono eseguibili quelle con nonce consecutivi
+   * a partire dal nonce confermato e coperte dal saldo, le successive a un buco restano in coda.
+   * Vengono scartate quelle con nonce già confermato o non più coperte dal saldo.
+   * @param {string} address - Indirizzo del mittente
+   */
+  _updateSender(address) {
+    const pending = [...this.transactions.values(), ...this.queued.values()]
+      .filter(tx => tx.from === address)
+      .sort((a, b) => a.nonce - b.nonce);
+
+    let nextNonce = this.blockchain.getNonce(address);
+    let balance = this.blockchain.getBalance(address);
+
+    for (const tx of pending) {
+      this.transactions.delete(tx.hash);
+      this.queued.delete(tx.hash);
+
+      if (tx.nonce < nextNonce) {
+        this.arrivals.delete(tx.hash);
+        this.logger.warn(`Transazione ${tx.hash} scartata: nonce già confermato`);
+      } else if (tx.nonce > nextNonce) {
+        this.queued.set(tx.hash, tx);
+      } else if (Transaction.getCost(tx) > balance) {
+        this.arrivals.delete(tx.hash);
+        this.logger.warn(`Transazione ${tx.hash} scartata: saldo non più sufficiente`);
+      } else {
+        this.transactions.set(tx.hash, tx);
+        balance -= Transaction.getCost(tx);
+        nextNonce++;
+      }
+    }
   }
 
   getSize() {
-    return this.transactions.size;
+    return this.transactions.size + this.queued.size;
   }
 
   clear() {
     this.transactions.clear();
+    this.queued.clear();
+    this.arrivals.clear();
     this.logger.info('Mempool svuotato');
   }
 
   getStatus() {
     return {
-      size: this.transactions.size,
+      size: this.getSize(),
       maxSize: this.maxSize,
-      transactions: Array.from(this.transactions.values())
+      transactions: Array.from(this.transactions.values()),
+      queued: Array.from(this.queued.values())
     };
   }
 }
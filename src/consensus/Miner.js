@@ -1,6 +1,12 @@
 import { Logger } from '../utils/logger.js';
-import crypto from 'crypto';
 import { EventEmitter } from 'events';
+import { Transaction } from '../core/Transaction.js';
+import { Block, BLOCK_VERSION } from '../core/Block.js';
+import { MiningPool } from './MiningPool.js';
+import { Target } from './pow/index.js';
+
+// Template per i miner esterni tenuti in memoria: oltre, si scartano i più vecchi
+const MAX_TEMPLATES = 16;
 
 export class Miner extends EventEmitter {
   constructor(config, blockchain, wallet, mempool) {
@@ -12,9 +18,24 @@ export class Miner extends EventEmitter {
     this.mempool = mempool;
     this.isRunning = false;
     this.currentBlock = null;
-    this.difficulty = config.mining.difficulty || 4;
     this.maxNonce = config.mining.maxNonce || 2 ** 32;
     this.rewardAddress = config.mining.rewardAddress;
+    // Transazioni per blocco, ricompensa inclusa
+    this.maxTransactionsPerBlock = config.blockchain.maxTransactionsPerBlock || 10;
+    // Template consegnati ai miner esterni, indicizzati per merkle root
+    this.templates = new Map();
+
+    // La ricerca del nonce gira nei thread del pool, fuori dall'event loop principale
+    this.pool = new MiningPool(config);
+    this.pool.on('progress', ({ hashRate, workers }) => {
+      this.emit('mining:progress', { block: this.currentBlock, hashRate, workers });
+    });
+
+    // Un blocco concorrente (ricevuto via gossip o sync) rende inutile il lavoro in corso
+    this.blockchain.on('block:new', block => this._handleCompetingBlock(block));
+    this.blockchain.on('block:reorg', ({ connected }) => {
+      this._handleCompetingBlock(connected[connected.length - 1]);
+    });
   }
 
   async start() {
@@ -37,52 +58,56 @@ export class Miner extends EventEmitter {
   stop() {
     this.logger.info('Arresto del miner...');
     this.isRunning = false;
+    this.pool.abort();
+    this.blockchain.engine.abort();
+  }
+
+  _handleCompetingBlock(block) {
+    // I template costruiti sul blocco precedente non sono più utilizzabili
+    this.templates.clear();
+
+    if (this.isRunning && this.currentBlock && block.hash !== this.currentBlock.hash) {
+      this.logger.info(`Nuovo blocco ${block.hash}, mining del blocco corrente interrotto`);
+      this.pool.abort();
+      this.blockchain.engine.abort();
+    }
   }
 
   async mine() {
     while (this.isRunning) {
       try {
-        // Crea un nuovo blocco
-        const lastBlock = await this.blockchain.getLastBlock();
-        const transactions = await this.mempool.getPendingTransactions();
-
-        // Aggiungi la transazione di ricompensa
-        const rewardTx = this.wallet.createTransaction(
-          this.rewardAddress,
-          this.config.blockchain.blockReward
+        // Crea un nuovo blocco sull'ultimo della catena principale
+        this.currentBlock = await this.createBlockTemplate(
+          this.rewardAddress || this.wallet.getAddress()
         );
-        transactions.push(rewardTx);
-
-        this.currentBlock = {
-          previousHash: lastBlock ? lastBlock.hash : '0'.repeat(64),
-          timestamp: Date.now(),
-          transactions,
-          nonce: 0,
-          height: lastBlock ? lastBlock.height + 1 : 0
-        };
-
-        // Calcola il target per la difficoltà
-        const target = '0'.repeat(this.difficulty);
+        const transactions = this.currentBlock.transactions;
 
         // Inizia il mining
         this.logger.info(`Inizio mining del blocco ${this.currentBlock.height}`);
         this.emit('mining:start', this.currentBlock);
 
-        while (this.isRunning && this.currentBlock.nonce < this.maxNonce) {
-          this.currentBlock.hash = this.calculateBlockHash(this.currentBlock);
+        // Prova di lavoro o firma, secondo il motore di consenso. Null se il lavoro è stato
+        // interrotto o non è possibile sigillare il blocco: si riparte da un nuovo template,
+        // con timestamp e ultimo blocco aggiornati
+        const sealed = await this.blockchain.engine.sealBlock(this.currentBlock, {
+          pool: this.pool,
+          maxNonce: this.maxNonce,
+          wallet: this.wallet
+        });
 
-          if (this.currentBlock.hash.startsWith(target)) {
-            // Blocco trovato!
-            this.logger.info(
-              `Blocco ${this.currentBlock.height} minato con successo! Hash: ${this.currentBlock.hash}`
-            );
+        if (sealed && this.isRunning) {
+          // Blocco trovato!
+          this.logger.info(
+            `Blocco ${this.currentBlock.height} minato con successo! Hash: ${this.currentBlock.hash}`
+          );
 
-            // Emetti l'evento di blocco trovato
-            this.emit('block:found', this.currentBlock);
-
-            // Aggiungi il blocco alla blockchain
-            await this.blockchain.addBlock(this.currentBlock);
+          // Emetti l'evento di blocco trovato
+          this.emit('block:found', this.currentBlock);
 
+          // Aggiungi il blocco alla blockchain. Se viene rifiutato, per esempio perché nel
+          // frattempo è arrivato un altro blocco alla stessa altezza, le sue transazioni
+          // restano nel mempool per il prossimo template
+          if (await this.blockchain.addBlock(this.currentBlock)) {
             // Rimuovi le transazioni confermate dal mempool
             for (const tx of transactions) {
               await this.mempool.removeTransaction(tx.hash);
@@ -90,18 +115,8 @@ export class Miner extends EventEmitter {
 
             // Emetti l'evento di blocco aggiunto
             this.emit('block:added', this.currentBlock);
-
-            break;
-          }
-
-          this.currentBlock.nonce++;
-
-          // Emetti l'evento di progresso ogni 1000 hash
-          if (this.currentBlock.nonce % 1000 === 0) {
-            this.emit('mining:progress', {
-              block: this.currentBlock,
-              hashRate: 1000 / (Date.now() - this.currentBlock.timestamp)
-            });
+          } else {
+            this.logger.warn(`Blocco ${this.currentBlock.height} minato rifiutato dalla catena`);
           }
         }
 
@@ -114,24 +129,159 @@ export class Miner extends EventEmitter {
         await new Promise(resolve => setTimeout(resolve, 1000)); // Attendi 1 secondo prima di riprovare
       }
     }
+
+    // Libera i thread di mining
+    await this.pool.stop();
   }
 
-  calculateBlockHash(block) {
-    const data = JSON.stringify({
-      previousHash: block.previousHash,
-      timestamp: block.timestamp,
-      transactions: block.transactions,
-      nonce: block.nonce
-    });
+  /**
+   * Prepara un blocco da minare sull'ultimo blocco della catena principale: transazioni
+   * scelte per commissione e coinbase verso `rewardAddress`. Manca solo il nonce.
+   * @param {string} rewardAddress - Indirizzo che riceve ricompensa e commissioni
+   * @param {Map<string, number>} [shares] - Share per indirizzo, per ripartire la ricompensa
+   * @returns {Promise<Object>}
+   */
+  async createBlockTemplate(rewardAddress, shares = null) {
+    // La catena parte sempre dal genesis della specifica della rete
+    const lastBlock = await this.blockchain.getLastBlock();
+    if (!lastBlock) {
+      throw new Error('Blocco genesis mancante, blockchain non inizializzata');
+    }
+    const height = lastBlock.height + 1;
+
+    // Riempi il blocco con le transazioni che pagano di più, lasciando posto alla ricompensa
+    const transactions = await this.mempool.getPendingTransactions(
+      this.maxTransactionsPerBlock - 1
+    );
+
+    // La transazione di ricompensa apre il blocco e incassa anche le commissioni
+    const fees = transactions.reduce((sum, tx) => sum + Transaction.getFee(tx), 0);
+    transactions.unshift(this.createRewardTransaction(height, fees, rewardAddress, shares));
+
+    const template = {
+      version: BLOCK_VERSION,
+      previousHash: lastBlock.hash,
+      merkleRoot: Block.calculateMerkleRoot(transactions),
+      height,
+      // Tempo di rete, ma sempre oltre la mediana degli ultimi blocchi
+      timestamp: Math.max(
+        this.blockchain.networkTime.now(),
+        (await this.blockchain.getMedianTimePast(lastBlock)) + 1
+      ),
+      nonce: 0,
+      transactions
+    };
+
+    // Campi di consenso dell'header: target per il proof-of-work, validatore per l'authority
+    await this.blockchain.engine.prepareBlock(template, lastBlock, this.wallet);
+    return template;
+  }
+
+  /**
+   * Template per un miner esterno. Il template resta in memoria finché non cambia l'ultimo
+   * blocco, così la soluzione può essere inviata con il solo header. Restano solo gli ultimi
+   * MAX_TEMPLATES template: i lavori rinnovati periodicamente non li accumulano.
+   * @param {string} rewardAddress - Indirizzo che riceve ricompensa e commissioni
+   * @param {Map<string, number>} [shares] - Share per indirizzo, per ripartire la ricompensa
+   * @returns {Promise<Object>} - Header, transazioni, coinbase, algoritmo e target
+   */
+  async getBlockTemplate(rewardAddress, shares = null) {
+    const engine = this.blockchain.engine;
+    if (engine.name !== 'pow') {
+      throw new Error(`Template per miner esterni non disponibili con il consenso ${engine.name}`);
+    }
+
+    const template = await this.createBlockTemplate(rewardAddress, shares);
+    this.templates.set(template.merkleRoot, template);
+    for (const merkleRoot of this.templates.keys()) {
+      if (this.templates.size <= MAX_TEMPLATES) {
+        break;
+      }
+      this.templates.delete(merkleRoot);
+    }
+
+    return {
+      header: Block.getHeader(template),
+      transactions: template.transactions,
+      coinbase: template.transactions[0],
+      // L'hash di lavoro dell'header, calcolato con `pow`, non deve superare il target
+      pow: engine.pow.toJSON(),
+      bits: template.bits,
+      target: Target.toHex(Target.fromBits(template.bits))
+    };
+  }
+
+  /**
+   * Completa con le transazioni del template un header risolto da un miner esterno e lo
+   * aggiunge alla blockchain
+   * @param {Object} header - Header del template, eventualmente con timestamp aggiornato
+   * @param {number} nonce - Nonce trovato
+   * @returns {Promise<Object>} - { accepted, block } oppure { accepted: false, reason }
+   */
+  async submitBlock(header, nonce) {
+    const template = this.templates.get(header.merkleRoot);
+    if (!template) {
+      return { accepted: false, reason: 'Template sconosciuto o non più valido' };
+    }
+
+    const block = {
+      ...Block.getHeader({ ...header, nonce }),
+      transactions: template.transactions
+    };
+    block.hash = this.calculateBlockHash(block);
+
+    // La blockchain verifica il blocco una sola volta, aggiungendolo
+    if (!(await this.blockchain.addBlock(block))) {
+      return { accepted: false, reason: 'Blocco non valido o già presente' };
+    }
 
-    return crypto.createHash('sha256').update(data).digest('hex');
+    this.logger.info(`Blocco ${block.height} di un miner esterno accettato: ${block.hash}`);
+    this.emit('block:added', block);
+    return { accepted: true, block };
+  }
+
+  createRewardTransaction(height, fees = 0, rewardAddress = null, shares = null) {
+    // La ricompensa non ha un mittente reale: viene emessa dalla rete secondo il suo calendario
+    const to = rewardAddress || this.rewardAddress || this.wallet.getAddress();
+    const amount = this.blockchain.getBlockReward(height) + fees;
+    const outputs = shares && shares.size > 0 ? this._splitReward(amount, shares, to) : null;
+    return Transaction.createCoinbase(to, amount, height, Date.now(), outputs);
+  }
+
+  // Ripartisce l'importo in proporzione alle share; gli arrotondamenti restano a `to`
+  _splitReward(amount, shares, to) {
+    let totalShares = 0;
+    for (const count of shares.values()) {
+      totalShares += count;
+    }
+
+    const outputs = [];
+    let assigned = 0;
+    for (const [address, count] of shares) {
+      const share = Math.floor((amount * count) / totalShares);
+      if (share > 0) {
+        outputs.push({ address, amount: share });
+        assigned += share;
+      }
+    }
+
+    if (assigned < amount) {
+      outputs.push({ address: to, amount: amount - assigned });
+    }
+    return outputs;
+  }
+
+  // Stesso hash dell'header usato dalla blockchain per validare il blocco
+  calculateBlockHash(block) {
+    return Block.calculateHash(block);
   }
 
   getStatus() {
     return {
       isRunning: this.isRunning,
       currentBlock: this.currentBlock,
-      difficulty: this.difficulty,
+      difficulty: this.blockchain.getDifficulty(),
+      consensus: this.blockchain.engine.getStatus(),
       rewardAddress: this.rewardAddress
     };
   }
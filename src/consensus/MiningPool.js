@@ -0,0 +1,179 @@
+import { Worker } from 'worker_threads';
+import { EventEmitter } from 'events';
+import os from 'os';
+import { Logger } from '../utils/logger.js';
+import { Target } from './pow/index.js';
+
+/**
+ * Pool di thread di mining. Ogni lavoro viene diviso in intervalli di nonce disgiunti,
+ * uno per thread; il primo thread che trova un hash valido chiude il lavoro per tutti.
+ */
+export class MiningPool extends EventEmitter {
+  constructor(config) {
+    super();
+    this.logger = new Logger('MiningPool');
+    this.config = config;
+
+    // `threads` è il numero richiesto di thread, `maxWorkers` il limite massimo
+    const cpus = os.cpus().length;
+    const threads = config.mining.threads || cpus;
+    const maxWorkers = config.mining.maxWorkers || cpus;
+    this.size = Math.max(1, Math.min(threads, maxWorkers));
+
+    this.progressInterval = config.mining.progressInterval || 1000;
+    this.workers = [];
+    this.job = null;
+    this.jobId = 0;
+  }
+
+  // Avvia i thread mancanti, compresi quelli che sostituiscono i thread terminati
+  start() {
+    const missing = this.size - this.workers.length;
+    if (missing <= 0) {
+      return;
+    }
+
+    for (let i = 0; i < missing; i++) {
+      this.workers.push(this._createWorker());
+    }
+
+    if (missing === this.size) {
+      this.logger.info(`Pool di mining avviato con ${this.size} thread`);
+    } else {
+      this.logger.info(`${missing} thread di mining terminati sostituiti`);
+    }
+  }
+
+  /**
+   * Cerca un nonce valido per l'header, dividendo [0, maxNonce) tra i thread
+   * @param {Object} header - Header del blocco (vedi Block.getHeader)
+   * @param {number} maxNonce - Limite superiore (escluso) dei nonce da provare
+   * @param {ProofOfWork} pow - Algoritmo di proof-of-work della rete
+   * @returns {Promise<Object|null>} - { nonce, hash } oppure null se interrotto o esaurito
+   */
+  mine(header, maxNonce, pow) {
+    if (this.workers.length < this.size) {
+      this.start();
+    }
+
+    // Un solo lavoro alla volta: quello precedente viene interrotto
+    this.abort();
+
+    return new Promise(resolve => {
+      const jobId = ++this.jobId;
+      const now = Date.now();
+      this.job = {
+        id: jobId,
+        resolve,
+        pending: this.workers.length,
+        hashes: 0,
+        lastHashes: 0,
+        lastReport: now
+      };
+      this.job.timer = setInterval(() => this._reportProgress(), this.progressInterval);
+
+      const rangeSize = Math.ceil(maxNonce / this.workers.length);
+      this.workers.forEach((worker, i) => {
+        worker.postMessage({
+          type: 'job',
+          jobId,
+          header,
+          pow: pow.toJSON(),
+          target: Target.toHex(Target.fromBits(header.bits)),
+          startNonce: i * rangeSize,
+          endNonce: Math.min((i + 1) * rangeSize, maxNonce)
+        });
+      });
+    });
+  }
+
+  // Interrompe il lavoro in corso, che si risolve con null
+  abort() {
+    if (!this.job) {
+      return;
+    }
+    for (const worker of this.workers) {
+      worker.postMessage({ type: 'abort' });
+    }
+    this._finish(null);
+  }
+
+  async stop() {
+    this.abort();
+    await Promise.all(this.workers.map(worker => worker.terminate()));
+    this.workers = [];
+    this.logger.info('Pool di mining arrestato');
+  }
+
+  // Un thread terminato esce dal pool e viene sostituito al lavoro successivo: sostituirlo
+  // subito ripeterebbe senza sosta un errore che si presenta all'avvio del thread
+  _createWorker() {
+    const worker = new Worker(new URL('./MiningWorker.js', import.meta.url));
+    const remove = () => {
+      this.workers = this.workers.filter(other => other !== worker);
+    };
+
+    worker.on('message', message => this._handleMessage(message));
+    worker.on('error', error => {
+      this.logger.error(`Errore nel thread di mining ${worker.threadId}:`, error);
+      remove();
+      // Il suo intervallo di nonce non verrebbe più provato: il lavoro si chiude
+      this.abort();
+    });
+    worker.on('exit', remove);
+    return worker;
+  }
+
+  _handleMessage(message) {
+    // Ignora i messaggi di lavori già conclusi
+    if (!this.job || message.jobId !== this.job.id) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'progress':
+        this.job.hashes += message.hashes;
+        break;
+      case 'found':
+        this.job.hashes += message.hashes;
+        for (const worker of this.workers) {
+          worker.postMessage({ type: 'abort' });
+        }
+        this._finish({ nonce: message.nonce, hash: message.hash });
+        break;
+      case 'exhausted':
+        this.job.pending--;
+        if (this.job.pending === 0) {
+          this._finish(null);
+        }
+        break;
+      default:
+        this.logger.warn(`Messaggio del thread di mining non supportato: ${message.type}`);
+    }
+  }
+
+  // Hash rate complessivo dei thread dall'ultimo rapporto, in hash al secondo
+  _reportProgress() {
+    const job = this.job;
+    const now = Date.now();
+    const elapsed = (now - job.lastReport) / 1000;
+    if (elapsed <= 0) {
+      return;
+    }
+
+    const hashRate = (job.hashes - job.lastHashes) / elapsed;
+    job.lastHashes = job.hashes;
+    job.lastReport = now;
+    this.emit('progress', { hashRate, hashes: job.hashes, workers: this.workers.length });
+  }
+
+  _finish(result) {
+    const job = this.job;
+    if (!job) {
+      return;
+    }
+    this.job = null;
+    clearInterval(job.timer);
+    job.resolve(result);
+  }
+}
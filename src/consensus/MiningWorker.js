@@ -0,0 +1,70 @@
+import { parentPort } from 'worker_threads';
+import { Block } from '../core/Block.js';
+import { createProofOfWork } from './pow/index.js';
+
+// Hash calcolati tra un controllo e l'altro dei messaggi del thread principale
+const BATCH_SIZE = 5000;
+
+// Durata massima di un lotto: gli algoritmi lenti (scrypt) fanno lotti più piccoli
+const BATCH_TIME = 100;
+
+let currentJob = null;
+
+/**
+ * Thread di mining: cerca un nonce valido per l'header ricevuto nell'intervallo
+ * [startNonce, endNonce). Lavora a lotti per restare reattivo ai messaggi di interruzione.
+ */
+parentPort.on('message', message => {
+  if (message.type === 'job') {
+    currentJob = {
+      ...message,
+      pow: createProofOfWork(message.pow.name, message.pow.options),
+      target: BigInt(`0x${message.target}`),
+      nextNonce: message.startNonce
+    };
+    setImmediate(() => search(currentJob));
+  } else if (message.type === 'abort') {
+    currentJob = null;
+  }
+});
+
+function search(job) {
+  // Il lavoro è stato interrotto o sostituito da uno più recente
+  if (currentJob !== job) {
+    return;
+  }
+
+  const header = job.header;
+  const started = Date.now();
+  let end = Math.min(job.nextNonce + BATCH_SIZE, job.endNonce);
+  let hashes = 0;
+
+  for (let nonce = job.nextNonce; nonce < end; nonce++) {
+    header.nonce = nonce;
+    const powHash = job.pow.hash(header);
+    hashes++;
+
+    if (BigInt(`0x${powHash}`) <= job.target) {
+      currentJob = null;
+      // Al thread principale serve l'identificativo del blocco, non l'hash di lavoro
+      const hash = Block.calculateHash(header);
+      parentPort.postMessage({ type: 'found', jobId: job.jobId, nonce, hash, hashes });
+      return;
+    }
+
+    if (hashes % 64 === 0 && Date.now() - started >= BATCH_TIME) {
+      end = nonce + 1;
+    }
+  }
+
+  job.nextNonce = end;
+  parentPort.postMessage({ type: 'progress', jobId: job.jobId, hashes });
+
+  if (end >= job.endNonce) {
+    currentJob = null;
+    parentPort.postMessage({ type: 'exhausted', jobId: job.jobId });
+    return;
+  }
+
+  setImmediate(() => search(job));
+}
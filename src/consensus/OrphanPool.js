@@ -0,0 +1,141 @@
+import { Logger } from '../utils/logger.js';
+
+/**
+ * Blocchi orfani: ricevuti prima del blocco precedente e tenuti da parte, indicizzati per
+ * hash del genitore mancante, finché il genitore non arriva e la catena può essere collegata.
+ * Il pool è limitato per numero di blocchi, per numero di blocchi dello stesso peer ed età:
+ * oltre i limiti vengono scartati i più vecchi.
+ */
+export class OrphanPool {
+  constructor(config) {
+    this.logger = new Logger('OrphanPool');
+    const options = config.gossip?.orphans || {};
+    this.maxSize = options.maxSize || 100;
+    this.maxPerPeer = options.maxPerPeer || 10;
+    this.maxAge = options.maxAge || 600000; // 10 minuti
+
+    // hash -> { block, peerId, arrival }, in ordine di arrivo
+    this.orphans = new Map();
+    // hash del genitore mancante -> Set degli hash dei figli in attesa
+    this.byParent = new Map();
+  }
+
+  /**
+   * Mette da parte un blocco orfano
+   * @param {Object} block - Blocco il cui genitore non è ancora noto
+   * @param {string|null} peerId - Peer da cui è arrivato, a cui chiedere gli antenati
+   * @param {boolean} [requested] - Antenato chiesto dal nodo: non conta nel limite del peer,
+   *   altrimenti scarterebbe gli orfani che ne hanno causato la richiesta
+   * @returns {boolean} - false se il blocco era già nel pool
+   */
+  add(block, peerId = null, requested = false) {
+    if (this.orphans.has(block.hash)) {
+      return false;
+    }
+
+    this.removeExpired();
+    this.orphans.set(block.hash, { block, peerId, requested, arrival: Date.now() });
+    if (!this.byParent.has(block.previousHash)) {
+      this.byParent.set(block.previousHash, new Set());
+    }
+    this.byParent.get(block.previousHash).add(block.hash);
+
+    // Un solo peer non può riempire il pool: oltre il suo limite si scartano i suoi più vecchi
+    if (peerId) {
+      const fromPeer = [...this.orphans.keys()].filter(hash => {
+        const orphan = this.orphans.get(hash);
+        return orphan.peerId === peerId && !orphan.requested;
+      });
+      for (const hash of fromPeer.slice(0, Math.max(0, fromPeer.length - this.maxPerPeer))) {
+        this.logger.debug(`Blocco orfano ${hash} scartato: limite del peer ${peerId}`);
+        this.remove(hash);
+      }
+    }
+
+    // Oltre il limite scarta gli orfani arrivati per primi
+    while (this.orphans.size > this.maxSize) {
+      const [oldest] = this.orphans.keys();
+      this.logger.debug(`Blocco orfano ${oldest} scartato: pool pieno`);
+      this.remove(oldest);
+    }
+
+    this.logger.info(
+      `Blocco orfano ${block.hash} (altezza: ${block.height}) in attesa di ${block.previousHash}`
+    );
+    return this.orphans.has(block.hash);
+  }
+
+  has(hash) {
+    return this.orphans.has(hash);
+  }
+
+  remove(hash) {
+    const orphan = this.orphans.get(hash);
+    if (!orphan) {
+      return false;
+    }
+
+    this.orphans.delete(hash);
+    const siblings = this.byParent.get(orphan.block.previousHash);
+    siblings.delete(hash);
+    if (siblings.size === 0) {
+      this.byParent.delete(orphan.block.previousHash);
+    }
+    return true;
+  }
+
+  /**
+   * Toglie dal pool e restituisce i figli in attesa del blocco indicato
+   * @param {string} parentHash - Hash del blocco appena collegato alla catena
+   * @returns {Array<Object>}
+   */
+  takeChildren(parentHash) {
+    const hashes = this.byParent.get(parentHash);
+    if (!hashes) {
+      return [];
+    }
+
+    const children = [...hashes].map(hash => this.orphans.get(hash).block);
+    for (const child of children) {
+      this.remove(child.hash);
+    }
+    return children;
+  }
+
+  /**
+   * Primo antenato mancante della catena di orfani che contiene il blocco: è il blocco da
+   * chiedere alla rete per collegarla
+   * @param {string} hash - Hash di un blocco orfano
+   * @returns {string}
+   */
+  getMissingAncestor(hash) {
+    let cursor = this.orphans.get(hash);
+    while (cursor && this.orphans.has(cursor.block.previousHash)) {
+      cursor = this.orphans.get(cursor.block.previousHash);
+    }
+    return cursor ? cursor.block.previousHash : hash;
+  }
+
+  // Scarta gli orfani più vecchi di maxAge
+  removeExpired() {
+    const limit = Date.now() - this.maxAge;
+    let removed = 0;
+    for (const [hash, orphan] of this.orphans) {
+      // La mappa è in ordine di arrivo: i successivi sono più recenti
+      if (orphan.arrival > limit) {
+        break;
+      }
+      this.remove(hash);
+      removed++;
+    }
+
+    if (removed > 0) {
+      this.logger.debug(`${removed} blocchi orfani scaduti`);
+    }
+    return removed;
+  }
+
+  getSize() {
+    return this.orphans.size;
+  }
+}
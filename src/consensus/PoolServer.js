@@ -0,0 +1,412 @@
+import net from 'net';
+import { EventEmitter } from 'events';
+import { Logger } from '../utils/logger.js';
+import { Transaction } from '../core/Transaction.js';
+import { Target } from './pow/index.js';
+
+// Nonce riservati a ogni connessione, così i worker non ripetono lo stesso lavoro
+const NONCE_RANGE = 2 ** 32;
+
+// Lunghezza massima di un messaggio: oltre, la connessione viene chiusa
+const MAX_LINE_LENGTH = 16 * 1024;
+
+// Lavori accettati per le share: il corrente e il precedente, per le share ancora in viaggio
+const MAX_JOBS = 2;
+
+/**
+ * Pool di mining locale. Distribuisce lavoro ai worker con un protocollo TCP di messaggi
+ * JSON separati da a capo, conta le share valide a una difficoltà ridotta e ripartisce
+ * la ricompensa dei blocchi trovati in proporzione alle share, direttamente nella coinbase.
+ *
+ * Messaggi del worker: `{ id, method: 'login', params: { worker, address } }` e
+ * `{ id, method: 'submit', params: { jobId, nonce } }`. Il pool risponde con
+ * `{ id, result }` oppure `{ id, error }` e invia i nuovi lavori con `{ method: 'job', params }`.
+ */
+export class PoolServer extends EventEmitter {
+  constructor(config, miner, blockchain) {
+    super();
+    this.logger = new Logger('PoolServer');
+    this.config = config;
+    this.miner = miner;
+    this.blockchain = blockchain;
+
+    const pool = config.mining.pool || {};
+    this.host = pool.host || '0.0.0.0';
+    this.port = pool.port || 3333;
+    // Difficoltà delle share rispetto al target massimo della rete (powLimit = 1)
+    this.shareDifficulty = pool.shareDifficulty || 0.01;
+    // Intervallo di rinnovo del lavoro, per includere nuove transazioni e share nella coinbase
+    this.jobInterval = pool.jobInterval || 30000;
+    // Finestra su cui viene stimato l'hash rate dei worker
+    this.hashRateWindow = pool.hashRateWindow || 600000;
+    this.rewardAddress = pool.rewardAddress || config.mining.rewardAddress;
+    this.pow = blockchain.engine.pow;
+
+    this.server = null;
+    this.clients = new Set();
+    this.workers = new Map();
+    // Share del round corrente per indirizzo, non ancora pagate da un blocco
+    this.round = new Map();
+    this.jobs = new Map();
+    this.currentJob = null;
+    this.jobId = 0;
+    this.clientId = 0;
+    this.blocksFound = 0;
+    this.jobTimer = null;
+
+    this._onBlock = () => this._refreshJob(true);
+  }
+
+  async start() {
+    if (this.server) {
+      return;
+    }
+
+    this.server = net.createServer(socket => this._handleConnection(socket));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    // Ogni nuovo blocco della catena principale rende obsoleti i lavori in corso
+    this.blockchain.on('block:new', this._onBlock);
+    this.blockchain.on('block:reorg', this._onBlock);
+    this.jobTimer = setInterval(() => this._refreshJob(false), this.jobInterval);
+
+    await this._refreshJob(true);
+    this.logger.info(
+      `Pool di mining in ascolto su ${this.host}:${this.port} ` +
+        `(difficoltà delle share: ${this.shareDifficulty})`
+    );
+  }
+
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    clearInterval(this.jobTimer);
+    this.jobTimer = null;
+    this.blockchain.off('block:new', this._onBlock);
+    this.blockchain.off('block:reorg', this._onBlock);
+
+    for (const client of this.clients) {
+      client.socket.destroy();
+    }
+    this.clients.clear();
+
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+    this.logger.info('Pool di mining arrestato');
+  }
+
+  /**
+   * Statistiche del pool: hash rate stimato dalle share e share per worker
+   * @returns {Object}
+   */
+  getStats() {
+    const now = Date.now();
+    const workers = Array.from(this.workers.values()).map(worker => ({
+      name: worker.name,
+      address: worker.address,
+      connected: worker.connections > 0,
+      acceptedShares: worker.acceptedShares,
+      rejectedShares: worker.rejectedShares,
+      blocksFound: worker.blocksFound,
+      lastShare: worker.lastShare,
+      hashRate: this._estimateHashRate(worker, now)
+    }));
+
+    return {
+      host: this.host,
+      port: this.port,
+      shareDifficulty: this.shareDifficulty,
+      hashRate: workers.reduce((sum, worker) => sum + worker.hashRate, 0),
+      blocksFound: this.blocksFound,
+      currentJob: this.currentJob
+        ? { id: this.currentJob.id, height: this.currentJob.header.height }
+        : null,
+      round: Object.fromEntries(this.round),
+      workers
+    };
+  }
+
+  _handleConnection(socket) {
+    const client = {
+      id: ++this.clientId,
+      socket,
+      worker: null,
+      buffer: '',
+      nonceStart: 0
+    };
+    client.nonceStart = (client.id % 2 ** 20) * NONCE_RANGE;
+    this.clients.add(client);
+
+    socket.setEncoding('utf8');
+    socket.on('data', data => this._handleData(client, data));
+    socket.on('error', error => {
+      this.logger.debug(`Errore nella connessione del worker ${client.id}: ${error.message}`);
+    });
+    socket.on('close', () => {
+      this.clients.delete(client);
+      if (client.worker) {
+        client.worker.connections--;
+        this.logger.info(`Worker ${client.worker.name} disconnesso`);
+      }
+    });
+  }
+
+  _handleData(client, data) {
+    client.buffer += data;
+
+    let index;
+    while ((index = client.buffer.indexOf('\n')) !== -1) {
+      const line = client.buffer.slice(0, index).trim();
+      client.buffer = client.buffer.slice(index + 1);
+      if (line) {
+        this._handleLine(client, line);
+      }
+    }
+
+    if (client.buffer.length > MAX_LINE_LENGTH) {
+      this.logger.warn(`Messaggio troppo lungo dal worker ${client.id}, connessione chiusa`);
+      client.socket.destroy();
+    }
+  }
+
+  async _handleLine(client, line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      this._send(client, { id: null, error: 'Messaggio JSON non valido' });
+      return;
+    }
+
+    const { id = null, method, params = {} } = message;
+    try {
+      switch (method) {
+        case 'login':
+          this._send(client, { id, result: this._login(client, params) });
+          break;
+        case 'submit':
+          this._send(client, { id, result: await this._submit(client, params) });
+          break;
+        default:
+          this._send(client, { id, error: `Metodo non supportato: ${method}` });
+      }
+    } catch (error) {
+      this._send(client, { id, error: error.message });
+    }
+  }
+
+  _login(client, { worker: name, address }) {
+    if (typeof address !== 'string' || !address) {
+      throw new Error('Indirizzo per la ricompensa mancante');
+    }
+    // Finisce nella coinbase e negli indici per indirizzo: un valore arbitrario brucerebbe
+    // la ricompensa
+    if (!Transaction.isValidAddress(address)) {
+      throw new Error(`Indirizzo per la ricompensa non valido: ${address}`);
+    }
+
+    const workerName = typeof name === 'string' && name ? name : `${address}.${client.id}`;
+    let worker = this.workers.get(workerName);
+    if (worker && worker.address !== address) {
+      throw new Error(`Worker ${workerName} già registrato con un altro indirizzo`);
+    }
+    if (!worker) {
+      worker = {
+        name: workerName,
+        address,
+        connections: 0,
+        acceptedShares: 0,
+        rejectedShares: 0,
+        blocksFound: 0,
+        lastShare: null,
+        // Share recenti ({ time, work }) per la stima dell'hash rate
+        recentShares: []
+      };
+      this.workers.set(workerName, worker);
+    }
+
+    if (client.worker) {
+      client.worker.connections--;
+    }
+    client.worker = worker;
+    worker.connections++;
+
+    this.logger.info(`Worker ${workerName} connesso (${address})`);
+    return { worker: workerName, job: this._jobFor(client) };
+  }
+
+  async _submit(client, { jobId, nonce }) {
+    const worker = client.worker;
+    if (!worker) {
+      throw new Error('Login richiesto prima di inviare share');
+    }
+
+    const reject = reason => {
+      worker.rejectedShares++;
+      return { accepted: false, reason };
+    };
+
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return reject('Lavoro sconosciuto o scaduto');
+    }
+
+    if (
+      !Number.isInteger(nonce) ||
+      nonce < client.nonceStart ||
+      nonce >= client.nonceStart + NONCE_RANGE
+    ) {
+      return reject("Nonce fuori dall'intervallo assegnato");
+    }
+
+    if (job.nonces.has(nonce)) {
+      return reject('Share duplicata');
+    }
+
+    const hash = this.pow.hash({ ...job.header, nonce });
+    if (!Target.isMet(hash, job.shareTarget)) {
+      return reject('Hash sopra il target delle share');
+    }
+
+    job.nonces.add(nonce);
+    const now = Date.now();
+    worker.acceptedShares++;
+    worker.lastShare = now;
+    worker.recentShares.push({ time: now, work: job.shareWork });
+    this._pruneShares(worker, now);
+    this.round.set(worker.address, (this.round.get(worker.address) || 0) + 1);
+
+    if (!Target.isMet(hash, job.target)) {
+      return { accepted: true };
+    }
+
+    // La share soddisfa anche il target della rete: è un blocco. Tutti i lavori
+    // sull'ultimo blocco diventano obsoleti, così due share non producono blocchi concorrenti
+    this.jobs.clear();
+
+    // Le share pagate dalla coinbase del lavoro escono dal round prima di aggiungere il
+    // blocco: il lavoro successivo viene creato appena il blocco entra nella catena e non
+    // deve pagarle di nuovo. Se il blocco viene rifiutato restano da pagare.
+    const paid = this._takeShares(job.shares);
+    const result = await this.miner.submitBlock(job.header, nonce);
+    if (!result.accepted) {
+      for (const [address, count] of paid) {
+        this.round.set(address, (this.round.get(address) || 0) + count);
+      }
+      this.logger.warn(`Blocco del worker ${worker.name} rifiutato: ${result.reason}`);
+      await this._refreshJob(true);
+      return { accepted: true, block: { accepted: false, reason: result.reason } };
+    }
+
+    worker.blocksFound++;
+    this.blocksFound++;
+    this.logger.info(`Blocco ${result.block.height} trovato dal worker ${worker.name}`);
+    this.emit('block:found', result.block);
+
+    return { accepted: true, block: { accepted: true, hash: result.block.hash } };
+  }
+
+  // Toglie dal round le share indicate e restituisce quante ne ha tolte per indirizzo
+  _takeShares(shares) {
+    const taken = new Map();
+    for (const [address, count] of shares) {
+      const current = this.round.get(address) || 0;
+      taken.set(address, Math.min(count, current));
+      if (current > count) {
+        this.round.set(address, current - count);
+      } else {
+        this.round.delete(address);
+      }
+    }
+    return taken;
+  }
+
+  // Crea un nuovo lavoro sull'ultimo blocco, ripartendo la ricompensa tra le share del round
+  async _refreshJob(newBlock) {
+    try {
+      if (newBlock) {
+        this.jobs.clear();
+      }
+
+      const shares = new Map(this.round);
+      const template = await this.miner.getBlockTemplate(this.rewardAddress, shares);
+      const target = Target.fromBits(template.bits);
+      // Le share non possono essere più difficili dei blocchi della rete
+      const shareTarget = Target.fromDifficulty(
+        this.shareDifficulty,
+        this.blockchain.engine.powLimit
+      );
+      const job = {
+        id: String(++this.jobId),
+        header: template.header,
+        target,
+        shareTarget: shareTarget > target ? shareTarget : target,
+        shares,
+        nonces: new Set()
+      };
+      job.shareWork = Number(Target.getWork(job.shareTarget));
+
+      this.jobs.set(job.id, job);
+      this.currentJob = job;
+      for (const id of this.jobs.keys()) {
+        if (this.jobs.size <= MAX_JOBS) {
+          break;
+        }
+        this.jobs.delete(id);
+      }
+
+      for (const client of this.clients) {
+        if (client.worker) {
+          this._send(client, { method: 'job', params: this._jobFor(client) });
+        }
+      }
+    } catch (error) {
+      this.logger.error('Errore nella creazione del lavoro per il pool:', error);
+    }
+  }
+
+  _jobFor(client) {
+    const job = this.currentJob;
+    if (!job) {
+      return null;
+    }
+
+    return {
+      jobId: job.id,
+      header: job.header,
+      pow: this.pow.toJSON(),
+      target: Target.toHex(job.target),
+      shareTarget: Target.toHex(job.shareTarget),
+      nonceStart: client.nonceStart,
+      nonceEnd: client.nonceStart + NONCE_RANGE
+    };
+  }
+
+  _pruneShares(worker, now) {
+    const since = now - this.hashRateWindow;
+    if (worker.recentShares.length > 0 && worker.recentShares[0].time <= since) {
+      worker.recentShares = worker.recentShares.filter(share => share.time > since);
+    }
+  }
+
+  // Ogni share vale in media il lavoro atteso per il suo target
+  _estimateHashRate(worker, now) {
+    this._pruneShares(worker, now);
+    const work = worker.recentShares.reduce((sum, share) => sum + share.work, 0);
+    return work / (this.hashRateWindow / 1000);
+  }
+
+  _send(client, message) {
+    if (!client.socket.destroyed) {
+      client.socket.write(`${JSON.stringify(message)}\n`);
+    }
+  }
+}
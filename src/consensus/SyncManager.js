@@ -75,8 +75,15 @@ export class SyncManager extends EventEmitter {
         // Richiedi i blocchi mancanti
         for (let height = localHeight + 1; height <= maxHeight; height++) {
           const block = await this.requestBlock(height);
-          if (block) {
-            await this.blockchain.addBlock(block);
+          if (!block || (await this.blockchain.getBlock(block.hash))) {
+            continue;
+          }
+
+          // Un blocco rifiutato (per esempio in conflitto con un checkpoint) interrompe la
+          // sincronizzazione: i successivi non potrebbero collegarsi
+          if (!(await this.blockchain.addBlock(block))) {
+            this.logger.warn(`Blocco ${height} rifiutato, sincronizzazione interrotta`);
+            break;
           }
         }
       }
@@ -97,8 +104,10 @@ export class SyncManager extends EventEmitter {
 
   async requestBlock(height) {
     try {
-      // Richiedi il blocco ai peer
-      const peers = this.networkManager.getPeers();
+      // Richiedi il blocco ai peer che ne conservano il corpo
+      const peers = this.networkManager
+        .getPeers()
+        .filter(peer => this.networkManager.canServeBlock(peer.id, height));
       for (const peer of peers) {
         const block = await this.networkManager.requestBlock(peer.id, height);
         if (block) {
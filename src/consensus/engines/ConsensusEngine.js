@@ -0,0 +1,91 @@
+/**
+ * Motore di consenso: decide chi può produrre un blocco e come se ne verifica l'header.
+ * La blockchain gestisce catena, stato e fork choice e delega al motore attivo le regole
+ * specifiche del consenso; il Miner gli delega la preparazione e la sigillatura dei blocchi.
+ * Il motore viene scelto dal campo `consensus.engine` della specifica della rete.
+ */
+export class ConsensusEngine {
+  constructor(name, consensus) {
+    this.name = name;
+    this.consensus = consensus;
+    this.blockchain = null;
+  }
+
+  // Collega il motore alla blockchain di cui verifica i blocchi
+  attach(blockchain) {
+    this.blockchain = blockchain;
+  }
+
+  // Campi di consenso dell'header del blocco genesis
+  getGenesisFields() {
+    return {};
+  }
+
+  /**
+   * Completa i campi di consenso dell'header di un nuovo blocco costruito su `parent`
+   * @param {Object} block - Template del blocco
+   * @param {Object} parent - Ultimo blocco della catena principale
+   * @param {Object} wallet - Wallet del nodo
+   */
+  async prepareBlock(block, parent, wallet) {}
+
+  /**
+   * Sigilla il blocco (prova di lavoro o firma) e ne calcola l'hash
+   * @param {Object} block - Blocco preparato con prepareBlock
+   * @param {Object} context - { pool, maxNonce, wallet }
+   * @returns {Promise<Object|null>} - Blocco sigillato, null se interrotto o non consentito
+   */
+  async sealBlock(block, context) {
+    throw new Error(`Sigillatura non implementata dal motore ${this.name}`);
+  }
+
+  // Interrompe una sigillatura in corso
+  abort() {}
+
+  /**
+   * Verifica i campi di consenso dell'header rispetto al blocco precedente
+   * @param {Object} block - Blocco da verificare
+   * @param {Object} parent - Blocco precedente
+   * @returns {Promise<boolean>}
+   */
+  async verifyBlock(block, parent) {
+    throw new Error(`Verifica non implementata dal motore ${this.name}`);
+  }
+
+  /**
+   * Verifica i campi di consenso dell'header senza il blocco precedente, per i blocchi orfani
+   * ricevuti prima del genitore: la verifica completa avviene quando il genitore arriva
+   * @param {Object} block - Blocco da verificare
+   * @returns {Promise<boolean>}
+   */
+  async verifyHeader(block) {
+    return true;
+  }
+
+  /**
+   * Verifica le transazioni riservate al consenso (per esempio i voti dei validatori)
+   * @param {Array} transactions - Transazioni, nell'ordine del blocco
+   * @param {Object} parent - Blocco su cui le transazioni verrebbero applicate
+   * @returns {Promise<string|null>} - Motivo del rifiuto, oppure null
+   */
+  async validateTransactions(transactions, parent) {
+    return null;
+  }
+
+  // Lavoro del blocco, sommato lungo la catena dalla fork choice
+  async getBlockWork(block) {
+    return 1n;
+  }
+
+  // Aggiorna le informazioni sul prossimo blocco dopo un cambio dell'ultimo blocco
+  async onTipChanged(tip) {}
+
+  // Difficoltà del prossimo blocco, null se il motore non ne ha una
+  getDifficulty() {
+    return null;
+  }
+
+  getStatus() {
+    return { engine: this.name };
+  }
+}
@@ -0,0 +1,339 @@
+import crypto from 'crypto';
+import { Logger } from '../../utils/logger.js';
+import { Block } from '../../core/Block.js';
+import { Transaction, VOTE_ADD, VOTE_REMOVE } from '../../core/Transaction.js';
+import { ConsensusEngine } from './ConsensusEngine.js';
+
+// Snapshot dei validatori mantenuti in memoria, uno per blocco
+const MAX_SNAPSHOTS = 1024;
+
+/**
+ * Consenso proof-of-authority per reti private. Solo i validatori autorizzati firmano i
+ * blocchi, a turno: all'altezza h tocca al validatore h % n dell'elenco ordinato. Se il
+ * validatore di turno non risponde, un altro può firmare dopo `outOfTurnDelay`, ma il suo
+ * blocco vale meno lavoro. Un validatore non può firmare più di un blocco ogni n/2 + 1.
+ *
+ * L'elenco dei validatori cambia con transazioni di voto firmate dai validatori stessi:
+ * un candidato entra o esce quando lo vota più della metà dei validatori correnti.
+ */
+export class ProofOfAuthorityEngine extends ConsensusEngine {
+  constructor(consensus) {
+    super('poa', consensus);
+    this.logger = new Logger('ProofOfAuthority');
+
+    const validators = Array.isArray(consensus.validators) ? consensus.validators : [];
+    if (validators.length === 0) {
+      throw new Error('Specifica della rete non valida: consensus.validators è richiesto');
+    }
+    this.initialValidators = Array.from(new Set(validators)).sort();
+    // Attesa aggiuntiva prima che un validatore fuori turno possa firmare
+    this.outOfTurnDelay = consensus.outOfTurnDelay ?? consensus.targetBlockTime ?? 10000;
+
+    // Validatori, voti pendenti e firmatari recenti dopo ogni blocco, indicizzati per hash
+    this.snapshots = new Map();
+    this.tipSnapshot = null;
+    this.pendingWait = null;
+  }
+
+  async prepareBlock(block, parent, wallet) {
+    block.validator = wallet.getAddress();
+  }
+
+  /**
+   * Attende il turno del validatore del nodo e firma l'header. Restituisce null, dopo aver
+   * atteso un intervallo di blocco, se il nodo non può firmare il prossimo blocco.
+   */
+  async sealBlock(block, { wallet }) {
+    const parent = await this.blockchain.db.getBlock(block.previousHash);
+    const snapshot = await this.getSnapshot(parent);
+    const address = wallet.getAddress();
+    const period = this.blockchain.targetBlockTime;
+
+    if (!snapshot.validators.includes(address) || snapshot.recents.includes(address)) {
+      await this._wait(period);
+      return null;
+    }
+
+    const inTurn = this._isInTurn(snapshot, block.height, address);
+    const earliest = parent.timestamp + period + (inTurn ? 0 : this.outOfTurnDelay);
+    const clock = this.blockchain.networkTime;
+    if (!(await this._wait(earliest - clock.now()))) {
+      return null;
+    }
+
+    block.validator = address;
+    block.timestamp = Math.max(clock.now(), earliest);
+    block.nonce = 0;
+
+    const sign = crypto.createSign('SHA256');
+    sign.update(JSON.stringify(Block.getHeader(block)));
+    block.publicKey = wallet.getPublicKey();
+    block.signature = sign.sign(wallet.getPrivateKey(), 'hex');
+    block.hash = Block.calculateHash(block);
+    return block;
+  }
+
+  abort() {
+    if (this.pendingWait) {
+      this.pendingWait.finish(false);
+    }
+  }
+
+  async verifyBlock(block, parent) {
+    if (block.bits !== undefined || block.nonce !== 0) {
+      this.logger.warn('Campi di proof-of-work in un blocco proof-of-authority');
+      return false;
+    }
+
+    const snapshot = await this.getSnapshot(parent);
+    if (!snapshot.validators.includes(block.validator)) {
+      this.logger.warn(`Blocco firmato da ${block.validator}, che non è un validatore`);
+      return false;
+    }
+
+    if (!this._verifySignature(block)) {
+      this.logger.warn('Firma del validatore sul blocco non valida');
+      return false;
+    }
+
+    if (snapshot.recents.includes(block.validator)) {
+      this.logger.warn(`Il validatore ${block.validator} ha firmato troppo di recente`);
+      return false;
+    }
+
+    const inTurn = this._isInTurn(snapshot, block.height, block.validator);
+    const earliest =
+      parent.timestamp + this.blockchain.targetBlockTime + (inTurn ? 0 : this.outOfTurnDelay);
+    if (block.timestamp < earliest) {
+      this.logger.warn(`Blocco firmato prima del turno del validatore ${block.validator}`);
+      return false;
+    }
+
+    return true;
+  }
+
+  // Senza il blocco precedente si verifica la firma di un validatore dell'ultimo blocco noto
+  async verifyHeader(block) {
+    const validators = this.tipSnapshot ? this.tipSnapshot.validators : this.initialValidators;
+    if (block.bits !== undefined || block.nonce !== 0 || !validators.includes(block.validator)) {
+      this.logger.warn(`Blocco non firmato da un validatore: ${block.validator}`);
+      return false;
+    }
+
+    if (!this._verifySignature(block)) {
+      this.logger.warn('Firma del validatore sul blocco non valida');
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Verifica i voti nell'ordine del blocco: ogni voto deve venire da un validatore corrente e
+   * proporre un cambiamento possibile (aggiungere un non validatore o rimuovere un validatore)
+   */
+  async validateTransactions(transactions, parent) {
+    let snapshot = await this.getSnapshot(parent);
+
+    for (const tx of transactions) {
+      if (!Transaction.isVote(tx)) {
+        continue;
+      }
+
+      const reason = this._validateVote(snapshot, tx);
+      if (reason) {
+        return reason;
+      }
+      snapshot = this._applyVote(snapshot, tx);
+    }
+
+    return null;
+  }
+
+  // Il blocco del validatore di turno pesa il doppio, così la fork choice lo preferisce
+  async getBlockWork(block) {
+    if (block.height === 0) {
+      return 1n;
+    }
+
+    const parent = await this.blockchain.db.getBlock(block.previousHash);
+    if (!parent) {
+      return 1n;
+    }
+    const snapshot = await this.getSnapshot(parent);
+    return this._isInTurn(snapshot, block.height, block.validator) ? 2n : 1n;
+  }
+
+  async onTipChanged(tip) {
+    this.tipSnapshot = await this.getSnapshot(tip);
+  }
+
+  getStatus() {
+    const snapshot = this.tipSnapshot;
+    return {
+      engine: this.name,
+      validators: snapshot ? snapshot.validators : this.initialValidators,
+      votes: snapshot ? snapshot.votes : [],
+      nextValidator: snapshot
+        ? snapshot.validators[(snapshot.height + 1) % snapshot.validators.length]
+        : null
+    };
+  }
+
+  /**
+   * Validatori, voti pendenti e firmatari recenti dopo il blocco indicato. Gli snapshot
+   * mancanti vengono ricostruiti risalendo fino all'ultimo noto o al genesis.
+   * @param {Object} block - Blocco della catena principale o di una catena laterale
+   * @returns {Promise<Object>}
+   */
+  async getSnapshot(block) {
+    const pending = [];
+    let cursor = block;
+    while (cursor && !this.snapshots.has(cursor.hash) && cursor.height > 0) {
+      pending.push(cursor);
+      cursor = await this.blockchain.db.getBlock(cursor.previousHash);
+    }
+    if (!cursor) {
+      throw new Error(`Antenato del blocco ${block.hash} mancante, validatori non ricostruibili`);
+    }
+
+    let snapshot = this.snapshots.get(cursor.hash);
+    if (!snapshot) {
+      snapshot = {
+        hash: cursor.hash,
+        height: 0,
+        validators: this.initialValidators,
+        votes: [],
+        recents: []
+      };
+      this._cacheSnapshot(snapshot);
+    }
+
+    for (const next of pending.reverse()) {
+      snapshot = this._applyBlock(snapshot, next);
+      this._cacheSnapshot(snapshot);
+    }
+    return snapshot;
+  }
+
+  _applyBlock(snapshot, block) {
+    let next = { ...snapshot, hash: block.hash, height: block.height };
+    for (const tx of block.transactions || []) {
+      if (Transaction.isVote(tx)) {
+        next = this._applyVote(next, tx);
+      }
+    }
+
+    if (next.validators !== snapshot.validators) {
+      this.logger.info(
+        `Validatori all'altezza ${block.height}: ${next.validators.join(', ')}`
+      );
+    }
+
+    // Ultimi firmatari: nessuno di loro può firmare il blocco successivo
+    const limit = Math.floor(next.validators.length / 2);
+    next.recents = limit > 0 ? [...next.recents, block.validator].slice(-limit) : [];
+    return next;
+  }
+
+  _validateVote(snapshot, tx) {
+    if (tx.vote !== VOTE_ADD && tx.vote !== VOTE_REMOVE) {
+      return `voto ${tx.vote} non valido`;
+    }
+    if (Number(tx.amount) !== 0) {
+      return 'un voto non può trasferire fondi';
+    }
+    if (!snapshot.validators.includes(tx.from)) {
+      return `${tx.from} non è un validatore e non può votare`;
+    }
+    if (typeof tx.to !== 'string' || !tx.to) {
+      return 'candidato del voto mancante';
+    }
+
+    const isValidator = snapshot.validators.includes(tx.to);
+    if (tx.vote === VOTE_ADD && isValidator) {
+      return `${tx.to} è già un validatore`;
+    }
+    if (tx.vote === VOTE_REMOVE && !isValidator) {
+      return `${tx.to} non è un validatore`;
+    }
+    // Senza validatori nessuno potrebbe più firmare un blocco
+    if (tx.vote === VOTE_REMOVE && snapshot.validators.length === 1) {
+      return "non si può rimuovere l'ultimo validatore";
+    }
+    return null;
+  }
+
+  // Registra il voto (sostituendo quello precedente dello stesso validatore sul candidato) e
+  // applica il cambiamento quando raggiunge la maggioranza
+  _applyVote(snapshot, tx) {
+    const votes = snapshot.votes.filter(v => !(v.validator === tx.from && v.candidate === tx.to));
+    votes.push({ validator: tx.from, candidate: tx.to, vote: tx.vote });
+
+    const tally = votes.filter(v => v.candidate === tx.to && v.vote === tx.vote).length;
+    // La rimozione dell'ultimo validatore resta un voto pendente, senza effetto
+    const emptiesSet = tx.vote === VOTE_REMOVE && snapshot.validators.length <= 1;
+    if (tally <= snapshot.validators.length / 2 || emptiesSet) {
+      return { ...snapshot, votes };
+    }
+
+    const validators =
+      tx.vote === VOTE_ADD
+        ? [...snapshot.validators, tx.to].sort()
+        : snapshot.validators.filter(address => address !== tx.to);
+
+    return {
+      ...snapshot,
+      validators,
+      // I voti sul candidato sono chiusi; quelli di un validatore rimosso non contano più
+      votes: votes.filter(v => v.candidate !== tx.to && v.validator !== tx.to),
+      recents: snapshot.recents.filter(address => address !== tx.to)
+    };
+  }
+
+  _isInTurn(snapshot, height, address) {
+    return snapshot.validators[height % snapshot.validators.length] === address;
+  }
+
+  _verifySignature(block) {
+    if (!block.signature || !block.publicKey) {
+      return false;
+    }
+    if (Transaction.deriveAddress(block.publicKey) !== block.validator) {
+      return false;
+    }
+
+    const verify = crypto.createVerify('SHA256');
+    verify.update(JSON.stringify(Block.getHeader(block)));
+    return verify.verify(block.publicKey, block.signature, 'hex');
+  }
+
+  _cacheSnapshot(snapshot) {
+    this.snapshots.set(snapshot.hash, snapshot);
+    if (this.snapshots.size > MAX_SNAPSHOTS) {
+      this.snapshots.delete(this.snapshots.keys().next().value);
+    }
+  }
+
+  // Attesa interrompibile con abort(): restituisce false se interrotta
+  _wait(ms) {
+    this.abort();
+    if (ms <= 0) {
+      return Promise.resolve(true);
+    }
+
+    return new Promise(resolve => {
+      const wait = {
+        timer: setTimeout(() => wait.finish(true), ms),
+        finish: completed => {
+          clearTimeout(wait.timer);
+          if (this.pendingWait === wait) {
+            this.pendingWait = null;
+          }
+          resolve(completed);
+        }
+      };
+      this.pendingWait = wait;
+    });
+  }
+}
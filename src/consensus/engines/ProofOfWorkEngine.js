@@ -0,0 +1,183 @@
+import { Logger } from '../../utils/logger.js';
+import { Block } from '../../core/Block.js';
+import { Transaction } from '../../core/Transaction.js';
+import { ConsensusEngine } from './ConsensusEngine.js';
+import { createProofOfWork, DEFAULT_POW, Target } from '../pow/index.js';
+
+/**
+ * Consenso proof-of-work: un blocco è valido se l'hash di lavoro del suo header non supera
+ * il target dichiarato nei `bits`, ricalcolato ogni `retargetInterval` blocchi.
+ */
+export class ProofOfWorkEngine extends ConsensusEngine {
+  constructor(consensus) {
+    super('pow', consensus);
+    this.logger = new Logger('ProofOfWork');
+
+    // Algoritmo di proof-of-work: nome ("scrypt") o oggetto con i parametri
+    // ({ "algorithm": "scrypt", "N": 1024 })
+    const { algorithm = DEFAULT_POW, ...options } =
+      typeof consensus.pow === 'object'
+        ? consensus.pow
+        : { algorithm: consensus.pow || DEFAULT_POW };
+    this.pow = createProofOfWork(algorithm, options);
+
+    // Target iniziale in forma compatta; `difficulty` (zeri esadecimali iniziali) è accettato
+    // per le specifiche precedenti ai target numerici
+    if (consensus.bits !== undefined) {
+      this.initialBits = Target.parseBits(consensus.bits);
+    } else if (Number.isInteger(consensus.difficulty)) {
+      this.initialBits = Target.toBits(Target.fromLeadingZeros(consensus.difficulty));
+    } else {
+      throw new Error('Specifica della rete non valida: consensus.bits è richiesto');
+    }
+
+    // Target più facile consentito dalla rete, predefinito al target iniziale
+    this.powLimit = Target.fromBits(
+      consensus.powLimit !== undefined ? Target.parseBits(consensus.powLimit) : this.initialBits
+    );
+    if (Target.fromBits(this.initialBits) > this.powLimit) {
+      throw new Error('Specifica della rete non valida: il target iniziale supera powLimit');
+    }
+
+    // Target (in forma compatta) richiesto per il prossimo blocco della catena principale
+    this.bits = this.initialBits;
+  }
+
+  getGenesisFields() {
+    return { bits: this.initialBits };
+  }
+
+  async prepareBlock(block, parent) {
+    block.bits = await this.getNextBits(parent);
+  }
+
+  // La ricerca del nonce gira nel pool di thread del Miner
+  async sealBlock(block, { pool, maxNonce }) {
+    const result = await pool.mine(Block.getHeader(block), maxNonce, this.pow);
+    if (!result) {
+      return null;
+    }
+
+    block.nonce = result.nonce;
+    block.hash = result.hash;
+    return block;
+  }
+
+  // Verifica il target dichiarato nell'header e che la prova di lavoro lo soddisfi
+  async verifyBlock(block, parent) {
+    const expectedBits = await this.getNextBits(parent);
+    if (block.bits !== expectedBits) {
+      this.logger.warn(`Target del blocco ${block.bits}, atteso ${expectedBits}`);
+      return false;
+    }
+
+    if (!this.pow.verify(block)) {
+      this.logger.warn(`Il blocco non soddisfa il target richiesto (${this.pow.name})`);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Senza il blocco precedente il target atteso non si conosce: si verifica che la prova di
+   * lavoro soddisfi i bits dell'header e che questi non siano più facili di quanto consentito
+   * dai cambi di finestra tra il prossimo blocco della catena principale e il blocco
+   */
+  async verifyHeader(block) {
+    if (!Target.isValidBits(block.bits) || Target.fromBits(block.bits) > this.powLimit) {
+      this.logger.warn(`Target del blocco ${block.bits} non valido`);
+      return false;
+    }
+
+    // Ogni cambio di finestra può rendere il target al massimo 4 volte più facile; una
+    // finestra in più copre le diramazioni nate prima dell'ultimo ricalcolo
+    const interval = this.blockchain.retargetInterval;
+    const windows = Math.abs(
+      Math.floor(block.height / interval) -
+        Math.floor((this.blockchain.getHeight() + 1) / interval)
+    );
+    const easiest = Target.fromBits(this.bits) * 4n ** BigInt(Math.min(windows + 1, 128));
+    if (Target.fromBits(block.bits) > easiest) {
+      this.logger.warn(`Target del blocco ${block.bits} troppo facile rispetto a ${this.bits}`);
+      return false;
+    }
+
+    if (!this.pow.verify(block)) {
+      this.logger.warn(`Il blocco non soddisfa il target dichiarato (${this.pow.name})`);
+      return false;
+    }
+
+    return true;
+  }
+
+  async validateTransactions(transactions) {
+    if (transactions.some(tx => Transaction.isVote(tx))) {
+      return 'voti dei validatori non previsti dal proof-of-work';
+    }
+    return null;
+  }
+
+  // Numero atteso di hash per trovare un blocco con il target dei suoi `bits`
+  async getBlockWork(block) {
+    return Target.getWork(Target.fromBits(block.bits ?? this.initialBits));
+  }
+
+  /**
+   * Calcola il target (in forma compatta) richiesto per il blocco successivo a `parent`.
+   * Il target resta invariato all'interno di una finestra di `retargetInterval` blocchi; al
+   * cambio di finestra viene scalato in proporzione al tempo impiegato rispetto all'obiettivo,
+   * con una correzione massima di 4 volte per finestra e senza superare `powLimit`.
+   * @param {Object|null} parent - Blocco precedente, null per il blocco genesis
+   * @returns {Promise<number>}
+   */
+  async getNextBits(parent) {
+    if (!parent) {
+      return this.initialBits;
+    }
+
+    const { retargetInterval, targetBlockTime } = this.blockchain;
+    const bits = parent.bits ?? this.initialBits;
+    const height = parent.height + 1;
+    if (height % retargetInterval !== 0) {
+      return bits;
+    }
+
+    // Il timestamp del genesis è fissato dalla specifica: la finestra parte dal blocco 1
+    const first = await this.blockchain.getAncestor(parent, Math.max(1, height - retargetInterval));
+    if (!first || first.height === parent.height) {
+      return bits;
+    }
+
+    const expectedTime = (parent.height - first.height) * targetBlockTime;
+    const actualTime = Math.min(
+      Math.max(parent.timestamp - first.timestamp, expectedTime / 4),
+      expectedTime * 4
+    );
+
+    let target =
+      (Target.fromBits(bits) * BigInt(Math.round(actualTime))) / BigInt(Math.round(expectedTime));
+    if (target > this.powLimit) {
+      target = this.powLimit;
+    }
+    return Target.toBits(target);
+  }
+
+  async onTipChanged(tip) {
+    this.bits = await this.getNextBits(tip);
+  }
+
+  // Difficoltà del prossimo blocco rispetto al target massimo della rete (powLimit = 1)
+  getDifficulty() {
+    return Target.getDifficulty(Target.fromBits(this.bits), this.powLimit);
+  }
+
+  getStatus() {
+    return {
+      engine: this.name,
+      algorithm: this.pow.name,
+      bits: this.bits,
+      difficulty: this.getDifficulty()
+    };
+  }
+}
@@ -0,0 +1,29 @@
+import { ProofOfWorkEngine } from './ProofOfWorkEngine.js';
+import { ProofOfAuthorityEngine } from './ProofOfAuthorityEngine.js';
+
+export { ConsensusEngine } from './ConsensusEngine.js';
+
+// Motori selezionabili con il campo `consensus.engine` della specifica della rete
+const ENGINES = {
+  pow: ProofOfWorkEngine,
+  poa: ProofOfAuthorityEngine
+};
+
+export const DEFAULT_ENGINE = 'pow';
+
+/**
+ * Crea il motore di consenso descritto dalla sezione `consensus` della specifica della rete
+ * @param {Object} consensus - Parametri di consenso della specifica
+ * @returns {ConsensusEngine}
+ */
+export function createConsensusEngine(consensus) {
+  const name = consensus.engine || DEFAULT_ENGINE;
+  const Engine = ENGINES[name];
+  if (!Engine) {
+    throw new Error(
+      `Motore di consenso non supportato: ${name} ` +
+        `(disponibili: ${Object.keys(ENGINES).join(', ')})`
+    );
+  }
+  return new Engine(consensus);
+}
@@ -0,0 +1,47 @@
+import { Block } from '../../core/Block.js';
+import { Target } from './Target.js';
+
+/**
+ * Algoritmo di proof-of-work. Le sottoclassi implementano `hash`; il confronto con il target
+ * dichiarato nell'header (`bits`) è comune a tutti gli algoritmi.
+ *
+ * L'hash di lavoro è distinto dall'identificativo del blocco (Block.calculateHash), che resta
+ * lo SHA-256 dell'header indipendentemente dall'algoritmo scelto dalla rete.
+ */
+export class ProofOfWork {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+  }
+
+  /**
+   * Hash di lavoro dell'header
+   * @param {Object} header - Blocco completo o header (vedi Block.getHeader)
+   * @returns {string} - Hash esadecimale di 256 bit
+   */
+  hash(header) {
+    throw new Error(`Hash non implementato per l'algoritmo ${this.name}`);
+  }
+
+  // Dati dell'header su cui viene calcolato l'hash di lavoro
+  serialize(header) {
+    return JSON.stringify(Block.getHeader(header));
+  }
+
+  /**
+   * Verifica che l'header soddisfi il target dichiarato nei suoi `bits`
+   * @param {Object} header - Blocco completo o header
+   * @returns {boolean}
+   */
+  verify(header) {
+    if (!Target.isValidBits(header.bits)) {
+      return false;
+    }
+    return Target.isMet(this.hash(header), Target.fromBits(header.bits));
+  }
+
+  // Descrizione serializzabile, per ricreare l'algoritmo nei thread di mining
+  toJSON() {
+    return { name: this.name, options: this.options };
+  }
+}
@@ -0,0 +1,21 @@
+import crypto from 'crypto';
+import { ProofOfWork } from './ProofOfWork.js';
+
+/**
+ * Scrypt dell'header, con l'header stesso come salt. Ogni hash richiede 128 * N * r byte
+ * di memoria, così il mining non trae vantaggio da hardware dedicato con poca memoria.
+ * I parametri predefiniti sono quelli di Litecoin (N=1024, r=1, p=1).
+ */
+export class Scrypt extends ProofOfWork {
+  constructor(options = {}) {
+    const { N = 1024, r = 1, p = 1 } = options;
+    super('scrypt', { N, r, p });
+    this.maxmem = 256 * N * r + 1024 * 1024;
+  }
+
+  hash(header) {
+    const data = this.serialize(header);
+    const { N, r, p } = this.options;
+    return crypto.scryptSync(data, data, 32, { N, r, p, maxmem: this.maxmem }).toString('hex');
+  }
+}
@@ -0,0 +1,13 @@
+import crypto from 'crypto';
+import { ProofOfWork } from './ProofOfWork.js';
+
+// SHA-256 singolo dell'header: l'hash di lavoro coincide con l'identificativo del blocco
+export class Sha256 extends ProofOfWork {
+  constructor(options = {}) {
+    super('sha256', options);
+  }
+
+  hash(header) {
+    return crypto.createHash('sha256').update(this.serialize(header)).digest('hex');
+  }
+}
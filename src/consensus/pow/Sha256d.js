@@ -0,0 +1,14 @@
+import crypto from 'crypto';
+import { ProofOfWork } from './ProofOfWork.js';
+
+// Doppio SHA-256 dell'header, come in Bitcoin
+export class Sha256d extends ProofOfWork {
+  constructor(options = {}) {
+    super('sha256d', options);
+  }
+
+  hash(header) {
+    const first = crypto.createHash('sha256').update(this.serialize(header)).digest();
+    return crypto.createHash('sha256').update(first).digest('hex');
+  }
+}
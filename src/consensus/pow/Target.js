@@ -0,0 +1,113 @@
+// Target massimo rappresentabile: qualunque hash di 256 bit lo soddisfa
+export const MAX_TARGET = (1n << 256n) - 1n;
+
+// Precisione usata per convertire difficoltà frazionarie in target
+const DIFFICULTY_SCALE = 1n << 32n;
+
+/**
+ * Target di proof-of-work: un hash è valido se, letto come intero di 256 bit, non supera il
+ * target. Nell'header il target viaggia nella codifica compatta "bits" a 32 bit: il byte alto
+ * è la lunghezza in byte del target, i 3 byte bassi le sue cifre più significative.
+ */
+export class Target {
+  /**
+   * Decodifica la forma compatta di un target
+   * @param {number} bits - Target in forma compatta
+   * @returns {bigint}
+   */
+  static fromBits(bits) {
+    if (!Target.isValidBits(bits)) {
+      throw new Error(`Target in forma compatta non valido: ${bits}`);
+    }
+
+    const size = bits >>> 24;
+    const mantissa = BigInt(bits & 0x007fffff);
+    if (size <= 3) {
+      return mantissa >> BigInt(8 * (3 - size));
+    }
+    return mantissa << BigInt(8 * (size - 3));
+  }
+
+  /**
+   * Codifica un target nella forma compatta, troncandolo ai 3 byte più significativi
+   * @param {bigint} target
+   * @returns {number}
+   */
+  static toBits(target) {
+    let size = target === 0n ? 0 : Math.ceil(target.toString(16).length / 2);
+    let mantissa =
+      size <= 3
+        ? Number(target << BigInt(8 * (3 - size)))
+        : Number(target >> BigInt(8 * (size - 3)));
+
+    // Il bit alto della mantissa indica un target negativo: si sposta in un byte in più
+    if (mantissa & 0x00800000) {
+      mantissa >>= 8;
+      size++;
+    }
+    return ((size << 24) | mantissa) >>> 0;
+  }
+
+  // Forma compatta ben formata: intero a 32 bit, non negativa e che non supera MAX_TARGET
+  static isValidBits(bits) {
+    if (!Number.isInteger(bits) || bits < 0 || bits > 0xffffffff) {
+      return false;
+    }
+    if (bits & 0x00800000) {
+      return false;
+    }
+    const size = bits >>> 24;
+    return size <= 32 || (bits & 0x007fffff) === 0;
+  }
+
+  /**
+   * Legge un valore "bits" da una specifica, come numero o stringa esadecimale ("0x1f0fffff")
+   * @param {number|string} value
+   * @returns {number}
+   */
+  static parseBits(value) {
+    const bits = typeof value === 'string' ? Number.parseInt(value, 16) : value;
+    if (!Target.isValidBits(bits)) {
+      throw new Error(`Target in forma compatta non valido: ${value}`);
+    }
+    return bits;
+  }
+
+  // Target equivalente a un hash esadecimale che inizia con `zeros` zeri
+  static fromLeadingZeros(zeros) {
+    return (1n << BigInt(256 - 4 * zeros)) - 1n;
+  }
+
+  /**
+   * Target corrispondente a una difficoltà, espressa come multiplo di quella del target
+   * massimo della rete (`powLimit` ha difficoltà 1, valori minori di 1 danno target più facili)
+   * @param {number} difficulty
+   * @param {bigint} powLimit
+   * @returns {bigint}
+   */
+  static fromDifficulty(difficulty, powLimit) {
+    const scaled = BigInt(Math.max(1, Math.round(difficulty * Number(DIFFICULTY_SCALE))));
+    const target = (powLimit * DIFFICULTY_SCALE) / scaled;
+    return target > MAX_TARGET ? MAX_TARGET : target;
+  }
+
+  // Difficoltà di un target rispetto a `powLimit`, per statistiche e log
+  static getDifficulty(target, powLimit) {
+    return Number((powLimit * DIFFICULTY_SCALE) / (target + 1n)) / Number(DIFFICULTY_SCALE);
+  }
+
+  // Numero atteso di hash per trovarne uno che soddisfi il target
+  static getWork(target) {
+    return (1n << 256n) / (target + 1n);
+  }
+
+  // Verifica che un hash esadecimale non superi il target
+  static isMet(hash, target) {
+    return typeof hash === 'string' && BigInt(`0x${hash}`) <= target;
+  }
+
+  // Target come stringa esadecimale di 64 cifre, confrontabile con gli hash
+  static toHex(target) {
+    return target.toString(16).padStart(64, '0');
+  }
+}
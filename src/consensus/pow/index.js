@@ -0,0 +1,32 @@
+import { Sha256 } from './Sha256.js';
+import { Sha256d } from './Sha256d.js';
+import { Scrypt } from './Scrypt.js';
+
+export { ProofOfWork } from './ProofOfWork.js';
+export { Target, MAX_TARGET } from './Target.js';
+
+// Algoritmi selezionabili con il campo `consensus.pow` della specifica della rete
+const ALGORITHMS = {
+  sha256: Sha256,
+  sha256d: Sha256d,
+  scrypt: Scrypt
+};
+
+export const DEFAULT_POW = 'sha256d';
+
+/**
+ * Crea l'algoritmo di proof-of-work indicato
+ * @param {string} name - Nome dell'algoritmo (sha256, sha256d, scrypt)
+ * @param {Object} [options] - Parametri dell'algoritmo (per scrypt: N, r, p)
+ * @returns {ProofOfWork}
+ */
+export function createProofOfWork(name = DEFAULT_POW, options = {}) {
+  const Algorithm = ALGORITHMS[name];
+  if (!Algorithm) {
+    throw new Error(
+      `Algoritmo di proof-of-work non supportato: ${name} ` +
+        `(disponibili: ${Object.keys(ALGORITHMS).join(', ')})`
+    );
+  }
+  return new Algorithm(options);
+}
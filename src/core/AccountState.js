@@ -0,0 +1,250 @@
+import { Logger } from '../utils/logger.js';
+import { MerkleTree } from './MerkleTree.js';
+import { COINBASE_SENDER, Transaction } from './Transaction.js';
+
+/**
+ * Stato degli account derivato dai blocchi confermati.
+ * Mantiene in memoria saldo e nonce per indirizzo e li persiste nelle chiavi `wallet:<address>`
+ * del BlockchainDB, insieme all'hash dell'ultimo blocco applicato.
+ */
+export class AccountState {
+  constructor(config, db) {
+    this.logger = new Logger('AccountState');
+    this.config = config;
+    this.db = db;
+    this.accounts = new Map();
+  }
+
+  /**
+   * Carica lo stato persistito, ricostruendolo se non è allineato con la blockchain
+   */
+  async init() {
+    try {
+      const lastBlockHash = await this.db.getLastBlockHash();
+      const stateBlockHash = await this.db.getStateBlockHash();
+
+      if (lastBlockHash !== stateBlockHash) {
+        this.logger.warn('Stato degli account non allineato con la blockchain');
+        await this.rebuild();
+        return;
+      }
+
+      this.accounts.clear();
+      for (const state of await this.db.getWalletStates()) {
+        this.accounts.set(state.address, state);
+      }
+
+      this.logger.info(`Stato degli account caricato: ${this.accounts.size} indirizzi`);
+    } catch (error) {
+      this.logger.error("Errore nell'inizializzazione dello stato degli account:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ricostruisce i saldi rieseguendo le transazioni di tutti i blocchi salvati
+   */
+  async rebuild() {
+    this.logger.info('Ricostruzione dello stato degli account dai blocchi confermati...');
+
+    // Le transazioni dei blocchi potati non sono più disponibili
+    const prunedHeight = await this.db.getPrunedHeight();
+    if (prunedHeight > 0) {
+      throw new Error(
+        `Blocchi potati fino all'altezza ${prunedHeight - 1}, stato non ricostruibile`
+      );
+    }
+
+    this.accounts.clear();
+    await this.db.clearWalletStates();
+
+    const lastBlock = await this.db.getLastBlock();
+    if (lastBlock) {
+      for (let height = 0; height <= lastBlock.height; height++) {
+        const block = await this.db.getBlockByHeight(height);
+        if (!block) {
+          throw new Error(`Blocco all'altezza ${height} mancante, stato non ricostruibile`);
+        }
+        this._applyTransactions(block.transactions);
+      }
+    }
+
+    await this._persist(Array.from(this.accounts.keys()), lastBlock ? lastBlock.hash : null);
+    this.logger.info(`Stato degli account ricostruito: ${this.accounts.size} indirizzi`);
+  }
+
+  /**
+   * Applica le transazioni di un blocco solo in memoria
+   * @param {Object} block - Blocco da applicare
+   * @returns {Array<string>} - Indirizzi modificati
+   */
+  apply(block) {
+    return this._applyTransactions(block.transactions);
+  }
+
+  /**
+   * Annulla in memoria le transazioni di un blocco, in ordine inverso
+   * @param {Object} block - Blocco da scollegare
+   * @returns {Array<string>} - Indirizzi modificati
+   */
+  revert(block) {
+    const touched = new Set();
+
+    for (const tx of [...(block.transactions || [])].reverse()) {
+      for (const output of Transaction.getOutputs(tx)) {
+        const recipient = this.getAccount(output.address);
+        this.accounts.set(output.address, {
+          ...recipient,
+          balance: recipient.balance - Number(output.amount)
+        });
+        touched.add(output.address);
+      }
+
+      if (tx.from !== COINBASE_SENDER) {
+        const sender = this.getAccount(tx.from);
+        this.accounts.set(tx.from, {
+          ...sender,
+          balance: sender.balance + Transaction.getCost(tx),
+          nonce: sender.nonce - 1
+        });
+        touched.add(tx.from);
+      }
+    }
+
+    return Array.from(touched);
+  }
+
+  // Copia in memoria dello stato, usata per simulare una riorganizzazione prima di applicarla
+  clone() {
+    const copy = new AccountState(this.config, this.db);
+    copy.accounts = new Map(this.accounts);
+    return copy;
+  }
+
+  // Sostituisce lo stato in memoria con quello di una copia già persistita
+  adopt(other) {
+    this.accounts = other.accounts;
+  }
+
+  /**
+   * State root: merkle root degli account ({ address, balance, nonce }) ordinati per indirizzo.
+   * Riassume lo stato in un hash, per confrontarlo tra nodi e verificare gli snapshot. Gli
+   * account vuoti (saldo e nonce a 0) sono esclusi: equivalgono a quelli mai toccati, e una
+   * riorganizzazione li lascia solo sui nodi che avevano applicato i blocchi scollegati.
+   * @param {Array<Object>} accounts - Stati degli account
+   * @returns {string}
+   */
+  static calculateStateRoot(accounts) {
+    const tree = new MerkleTree();
+    tree.addLeaves(
+      [...accounts]
+        .filter(account => account.balance !== 0 || account.nonce !== 0)
+        .sort((a, b) => (a.address < b.address ? -1 : a.address > b.address ? 1 : 0))
+        .map(({ address, balance, nonce }) => ({ address, balance, nonce }))
+    );
+    return tree.getRoot();
+  }
+
+  getStateRoot() {
+    const accounts = Array.from(this.accounts.keys(), address => this.getAccount(address));
+    return AccountState.calculateStateRoot(accounts);
+  }
+
+  /**
+   * Restituisce lo stato di un indirizzo
+   * @param {string} address - Indirizzo del wallet
+   * @returns {Object} - Stato dell'account ({ address, balance, nonce })
+   */
+  getAccount(address) {
+    return { address, balance: 0, nonce: 0, ...this.accounts.get(address) };
+  }
+
+  getBalance(address) {
+    return this.getAccount(address).balance;
+  }
+
+  // Nonce atteso per la prossima transazione dell'indirizzo
+  getNonce(address) {
+    return this.getAccount(address).nonce;
+  }
+
+  /**
+   * Verifica che le transazioni, applicate in ordine allo stato corrente, abbiano importi e
+   * commissioni validi, rispettino la sequenza dei nonce e non rendano negativo il saldo di
+   * alcun mittente
+   * @param {Array} transactions - Transazioni da verificare
+   * @returns {Object|null} - Prima transazione non valida con il motivo, oppure null
+   */
+  findInvalidTransaction(transactions = []) {
+    const accounts = new Map();
+
+    for (const tx of transactions) {
+      if (tx.from !== COINBASE_SENDER) {
+        if (!Transaction.hasValidAmount(tx)) {
+          return { transaction: tx, reason: 'importo non valido' };
+        }
+
+        if (!Transaction.hasValidFee(tx)) {
+          return { transaction: tx, reason: 'commissione non valida' };
+        }
+
+        const sender = accounts.get(tx.from) || this.getAccount(tx.from);
+        if (tx.nonce !== sender.nonce) {
+          return { transaction: tx, reason: `nonce ${tx.nonce} diverso da ${sender.nonce}` };
+        }
+        if (sender.balance < Transaction.getCost(tx)) {
+          return { transaction: tx, reason: 'saldo insufficiente' };
+        }
+      }
+
+      this._applyTransaction(tx, accounts);
+    }
+
+    return null;
+  }
+
+  _applyTransactions(transactions = []) {
+    const touched = new Set();
+
+    for (const tx of transactions) {
+      this._applyTransaction(tx, this.accounts);
+      touched.add(tx.from);
+      for (const output of Transaction.getOutputs(tx)) {
+        touched.add(output.address);
+      }
+    }
+
+    touched.delete(COINBASE_SENDER);
+    return Array.from(touched);
+  }
+
+  // Applica una transazione agli account in `accounts`, partendo dallo stato confermato.
+  // La commissione esce dal saldo del mittente: la incassa il miner con la ricompensa del blocco
+  _applyTransaction(tx, accounts) {
+    const accountOf = address => accounts.get(address) || this.getAccount(address);
+
+    if (tx.from !== COINBASE_SENDER) {
+      const sender = accountOf(tx.from);
+      accounts.set(tx.from, {
+        ...sender,
+        balance: sender.balance - Transaction.getCost(tx),
+        nonce: sender.nonce + 1
+      });
+    }
+
+    for (const output of Transaction.getOutputs(tx)) {
+      const recipient = accountOf(output.address);
+      accounts.set(output.address, {
+        ...recipient,
+        balance: recipient.balance + Number(output.amount)
+      });
+    }
+  }
+
+  async _persist(addresses, blockHash) {
+    for (const address of addresses) {
+      await this.db.saveWalletState(address, this.getAccount(address));
+    }
+    await this.db.saveStateBlockHash(blockHash);
+  }
+}
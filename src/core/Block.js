@@ -1,61 +1,88 @@
-const crypto = require('crypto');
-const MerkleTree = require('./MerkleTree');
+import crypto from 'crypto';
+import { MerkleTree } from './MerkleTree.js';
 
-class Block {
-  constructor(previousHash, timestamp, transactions, difficulty = 4) {
-    this.version = '1.0.0';
+// Versione del formato dell'header dei blocchi (2: target in forma compatta nei `bits`)
+export const BLOCK_VERSION = 2;
+
+export class Block {
+  constructor(previousHash, timestamp, transactions = [], bits = 0, height = 0) {
+    this.version = BLOCK_VERSION;
     this.previousHash = previousHash;
+    this.height = height;
     this.timestamp = timestamp;
-    this.transactions = transactions;
-    this.difficulty = difficulty;
+    this.bits = bits;
     this.nonce = 0;
-    this.merkleTree = new MerkleTree();
-    this.merkleRoot = null;
     this.hash = null;
+    this.addTransactions(transactions);
+  }
+
+  /**
+   * Header canonico del blocco: è l'unica parte coperta dall'hash, le transazioni
+   * sono impegnate tramite la merkle root
+   * @param {Object} block - Blocco completo o header
+   * @returns {Object}
+   */
+  static getHeader(block) {
+    return {
+      version: block.version,
+      previousHash: block.previousHash,
+      merkleRoot: block.merkleRoot,
+      height: block.height,
+      timestamp: block.timestamp,
+      bits: block.bits,
+      nonce: block.nonce,
+      // Validatore che firma il blocco, solo con il consenso proof-of-authority
+      validator: block.validator
+    };
+  }
+
+  // Calcola la merkle root di una lista di transazioni
+  static calculateMerkleRoot(transactions = []) {
+    const tree = new MerkleTree();
+    tree.addLeaves(transactions);
+    return tree.getRoot();
+  }
+
+  // Identificativo del blocco: SHA-256 dell'header. La prova di lavoro usa invece
+  // l'algoritmo della rete (vedi consensus/pow)
+  static calculateHash(block) {
+    const data = JSON.stringify(Block.getHeader(block));
+    return crypto.createHash('sha256').update(data).digest('hex');
   }
 
   // Aggiunge transazioni e aggiorna il Merkle Tree
   addTransactions(transactions) {
     this.transactions = transactions;
     this.merkleTree = new MerkleTree();
-    transactions.forEach(tx => this.merkleTree.addLeaf(tx));
+    this.merkleTree.addLeaves(transactions);
     this.merkleRoot = this.merkleTree.getRoot();
   }
 
   // Calcola l'hash del blocco
   calculateHash() {
-    const data = JSON.stringify({
-      version: this.version,
-      previousHash: this.previousHash,
-      timestamp: this.timestamp,
-      merkleRoot: this.merkleRoot,
-      difficulty: this.difficulty,
-      nonce: this.nonce
-    });
-
-    return crypto.createHash('sha256').update(data).digest('hex');
+    return Block.calculateHash(this);
   }
 
-  // Verifica se il blocco soddisfa la difficoltà
-  hasValidHash() {
-    return this.hash.startsWith('0'.repeat(this.difficulty));
+  // Verifica se l'header soddisfa il target con l'algoritmo di proof-of-work `pow`
+  hasValidHash(pow) {
+    return pow.verify(this);
   }
 
-  // Esegue il mining del blocco
-  mine() {
-    do {
+  // Esegue il mining del blocco con l'algoritmo di proof-of-work `pow`
+  mine(pow) {
+    while (!this.hasValidHash(pow)) {
       this.nonce++;
-      this.hash = this.calculateHash();
-    } while (!this.hasValidHash());
+    }
 
+    this.hash = this.calculateHash();
     return this.hash;
   }
 
   // Verifica la validità del blocco
-  isValid() {
+  isValid(pow) {
     return (
       this.hash === this.calculateHash() &&
-      this.hasValidHash() &&
+      this.hasValidHash(pow) &&
       this.merkleRoot === this.merkleTree.getRoot()
     );
   }
@@ -63,25 +90,25 @@ class Block {
   // Converte il blocco in formato JSON
   toJSON() {
     return {
-      version: this.version,
-      previousHash: this.previousHash,
-      timestamp: this.timestamp,
+      ...Block.getHeader(this),
       transactions: this.transactions,
-      merkleRoot: this.merkleRoot,
-      difficulty: this.difficulty,
-      nonce: this.nonce,
       hash: this.hash
     };
   }
 
   // Crea un blocco da JSON
   static fromJSON(json) {
-    const block = new Block(json.previousHash, json.timestamp, json.transactions, json.difficulty);
+    const block = new Block(
+      json.previousHash,
+      json.timestamp,
+      json.transactions,
+      json.bits,
+      json.height
+    );
+    block.version = json.version;
     block.nonce = json.nonce;
     block.hash = json.hash;
     block.merkleRoot = json.merkleRoot;
     return block;
   }
 }
-
-module.exports = Block;
@@ -0,0 +1,112 @@
+import { Logger } from '../utils/logger.js';
+import { Transaction } from './Transaction.js';
+
+// Blocchi completi sempre conservati, per poter gestire le riorganizzazioni
+const MIN_KEEP_BLOCKS = 100;
+
+/**
+ * Potatura dei blocchi: con `storage.prune.enabled` il nodo conserva header, stato degli
+ * account e solo gli ultimi `keepBlocks` blocchi completi. I corpi dei blocchi più vecchi
+ * vengono eliminati in background, a lotti, lasciando header e firma; restano anche i voti dei
+ * validatori, da cui il proof-of-authority ricostruisce l'elenco dei validatori.
+ */
+export class BlockPruner {
+  constructor(config, blockchain) {
+    this.logger = new Logger('BlockPruner');
+    this.blockchain = blockchain;
+    this.db = blockchain.db;
+
+    const options = config.storage?.prune || {};
+    this.enabled = options.enabled === true;
+    this.keepBlocks = Math.max(options.keepBlocks || 1000, MIN_KEEP_BLOCKS);
+    this.interval = options.interval || 60000; // 1 minuto
+    this.batchSize = options.batchSize || 100;
+    this.timer = null;
+    this.isPruning = false;
+  }
+
+  // Avvia la potatura periodica, se abilitata
+  start() {
+    if (!this.enabled || this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.prune(), this.interval);
+    this.logger.info(`Potatura attiva: conservati gli ultimi ${this.keepBlocks} blocchi completi`);
+    this.prune();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Pota i blocchi della catena principale più vecchi degli ultimi `keepBlocks`. Il genesis
+   * resta sempre completo.
+   * @returns {Promise<number>} - Numero di blocchi potati
+   */
+  async prune() {
+    if (this.isPruning) {
+      return 0;
+    }
+
+    this.isPruning = true;
+    let pruned = 0;
+    try {
+      const target = this.blockchain.getHeight() - this.keepBlocks + 1;
+      while (Math.max(this.blockchain.prunedHeight, 1) < target) {
+        const from = Math.max(this.blockchain.prunedHeight, 1);
+        const to = Math.min(target, from + this.batchSize);
+
+        const blocks = [];
+        for (let height = from; height < to; height++) {
+          const block = await this.db.getBlockByHeight(height);
+          if (block && !block.pruned) {
+            blocks.push(BlockPruner.pruneBlock(block));
+          }
+        }
+
+        if (!(await this.db.pruneBlocks(blocks, to))) {
+          break;
+        }
+        this.blockchain.prunedHeight = to;
+        pruned += blocks.length;
+
+        // Lascia spazio alle altre attività del nodo tra un lotto e il successivo
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      if (pruned > 0) {
+        this.logger.info(`${pruned} blocchi potati fino all'altezza ${target - 1}`);
+      }
+    } catch (error) {
+      this.logger.error('Errore nella potatura dei blocchi:', error);
+    } finally {
+      this.isPruning = false;
+    }
+    return pruned;
+  }
+
+  /**
+   * Versione potata di un blocco: header, hash e firma, con i soli voti dei validatori
+   * @param {Object} block - Blocco completo
+   * @returns {Object}
+   */
+  static pruneBlock(block) {
+    return {
+      ...block,
+      transactions: (block.transactions || []).filter(tx => Transaction.isVote(tx)),
+      pruned: true
+    };
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      keepBlocks: this.enabled ? this.keepBlocks : null,
+      prunedHeight: this.blockchain.getPrunedHeight()
+    };
+  }
+}
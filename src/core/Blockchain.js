@@ -1,6 +1,14 @@
 import { Logger } from '../utils/logger.js';
-import crypto from 'crypto';
 import { EventEmitter } from 'events';
+import { AccountState } from './AccountState.js';
+import { Block, BLOCK_VERSION } from './Block.js';
+import { ChainSpec } from './ChainSpec.js';
+import { MerkleTree } from './MerkleTree.js';
+import { COINBASE_SENDER, Transaction } from './Transaction.js';
+import { NetworkTime } from '../network/NetworkTime.js';
+
+// Anticipo massimo di blocchi e transazioni rispetto al tempo di rete
+const MAX_FUTURE_TIME = 7200000; // 2 ore
 
 export class Blockchain extends EventEmitter {
   constructor(config, db) {
@@ -9,20 +17,71 @@ export class Blockchain extends EventEmitter {
     this.config = config;
     this.db = db;
     this.height = 0;
-    this.difficulty = config.blockchain.difficulty || 4;
+    // I parametri di consenso della specifica della rete prevalgono sulla configurazione locale
+    this.chainSpec = ChainSpec.fromConfig(config);
+    const consensus = this.chainSpec.consensus;
+    // Le regole di produzione e verifica dei blocchi sono del motore di consenso della rete
+    this.engine = this.chainSpec.engine;
+    this.engine.attach(this);
+    // Ogni `retargetInterval` blocchi la difficoltà insegue il tempo di blocco obiettivo
+    this.retargetInterval = consensus.retargetInterval || config.blockchain.retargetInterval || 10;
+    this.targetBlockTime =
+      consensus.targetBlockTime ||
+      config.mining?.targetBlockTime ||
+      config.blockchain.blockInterval ||
+      10000;
+    // Il timestamp di un blocco deve superare la mediana di quelli degli ultimi blocchi
+    this.medianTimeSpan = consensus.medianTimeSpan || 11;
+    // Orologio locale corretto con quelli dei peer, alimentato dal NetworkManager
+    this.networkTime = new NetworkTime(config);
+    // Blocco assunto valido dalla specifica, disattivabile per verificare tutte le firme
+    this.assumeValid = config.network?.assumeValid === false ? null : this.chainSpec.assumeValid;
+    // Sotto questa altezza della catena principale i blocchi sono potati (header senza corpo)
+    this.prunedHeight = 0;
+    this.state = new AccountState(config, db);
   }
 
   async init() {
     try {
       this.logger.info('Inizializzazione Blockchain...');
 
+      // Ripara un ultimo blocco lasciato a metà da un'interruzione
+      await this.db.repairTip();
+
       // Recupera l'ultimo blocco
       const lastBlock = await this.db.getLastBlock();
       if (lastBlock) {
+        // Il database deve appartenere alla rete della specifica caricata
+        const genesisHash = await this.db.getBlockHashByHeight(0);
+        if (genesisHash !== this.getGenesisHash()) {
+          throw new Error(
+            `Il database contiene il genesis ${genesisHash}, ` +
+              `la rete ${this.chainSpec.name} richiede ${this.getGenesisHash()}`
+          );
+        }
+
         this.height = lastBlock.height;
+        await this._checkCheckpoints();
+        this.prunedHeight = await this.db.getPrunedHeight();
+        if (this.prunedHeight > 0) {
+          this.logger.info(`Blocchi potati fino all'altezza ${this.prunedHeight - 1}`);
+        }
+        await this.engine.onTipChanged(lastBlock);
         this.logger.info(`Blockchain inizializzata all'altezza ${this.height}`);
-      } else {
-        this.logger.info('Blockchain vuota, verrà creato il blocco genesis');
+      }
+
+      if (this.assumeValid && this.height < this.assumeValid.height) {
+        this.logger.info(
+          `Firme delle transazioni non verificate fino al blocco ${this.assumeValid.hash} ` +
+            `(altezza ${this.assumeValid.height}), assunto valido dalla specifica della rete`
+        );
+      }
+
+      // Carica lo stato degli account derivato dai blocchi
+      await this.state.init();
+
+      if (!lastBlock) {
+        await this._createGenesisBlock();
       }
     } catch (error) {
       this.logger.error("Errore nell'inizializzazione della blockchain:", error);
@@ -30,23 +89,89 @@ export class Blockchain extends EventEmitter {
     }
   }
 
+  // La catena principale salvata deve contenere i checkpoint della specifica già raggiunti
+  async _checkCheckpoints() {
+    for (const [height, hash] of this.chainSpec.checkpoints) {
+      if (height > this.height) {
+        break;
+      }
+
+      const mainHash = await this.db.getBlockHashByHeight(height);
+      if (mainHash !== hash) {
+        throw new Error(
+          `Il database contiene il blocco ${mainHash} all'altezza ${height}, ` +
+            `in conflitto con il checkpoint ${hash} della rete ${this.chainSpec.name}`
+        );
+      }
+    }
+  }
+
+  // Salva il blocco genesis della specifica della rete e applica le allocazioni iniziali
+  async _createGenesisBlock() {
+    const genesis = this.chainSpec.genesisBlock;
+    const info = {
+      hash: genesis.hash,
+      previousHash: genesis.previousHash,
+      height: 0,
+      totalWork: (await this.getBlockWork(genesis)).toString()
+    };
+
+    await this._connectBlock(genesis, info);
+
+    this.logger.info(`Blocco genesis della rete ${this.chainSpec.name} creato: ${genesis.hash}`);
+  }
+
+  /**
+   * Aggiunge un blocco applicando la fork choice per lavoro cumulativo: il blocco estende la
+   * catena principale, resta su una catena laterale oppure provoca una riorganizzazione
+   * @param {Object} block - Blocco ricevuto o minato
+   * @returns {Promise<boolean>} - true se il blocco è stato accettato
+   */
   async addBlock(block) {
     try {
+      // Ignora i blocchi già noti
+      if (await this.getBlockInfo(block.hash)) {
+        this.logger.debug(`Blocco ${block.hash} già presente`);
+        return false;
+      }
+
       // Verifica la validità del blocco
       if (!(await this.isValidBlock(block))) {
         throw new Error('Blocco non valido');
       }
 
-      // Aggiungi il blocco al database
-      await this.db.addBlock(block);
+      // Registra il lavoro cumulativo della catena che termina con questo blocco
+      const parentInfo = block.height > 0 ? await this.getBlockInfo(block.previousHash) : null;
+      const parentWork = parentInfo ? BigInt(parentInfo.totalWork) : 0n;
+      const totalWork = parentWork + (await this.getBlockWork(block));
+      const info = {
+        hash: block.hash,
+        previousHash: block.previousHash,
+        height: block.height,
+        totalWork: totalWork.toString()
+      };
 
-      // Aggiorna l'altezza
-      this.height = block.height;
+      const tip = await this.getLastBlock();
 
-      // Emetti evento nuovo blocco
-      this.emit('block:new', block);
+      // Il blocco estende la catena principale
+      if (!tip || block.previousHash === tip.hash) {
+        await this._connectBlock(block, info);
+        return true;
+      }
+
+      if (!(await this.db.saveBlock(block, info))) {
+        throw new Error('Salvataggio del blocco fallito');
+      }
 
-      this.logger.info(`Nuovo blocco aggiunto: ${block.hash} (altezza: ${block.height})`);
+      // Il blocco chiude una catena laterale con più lavoro: riorganizza
+      const tipInfo = await this.getBlockInfo(tip.hash);
+      if (totalWork > BigInt(tipInfo.totalWork)) {
+        return await this._reorganize(block);
+      }
+
+      this.logger.info(
+        `Blocco ${block.hash} salvato su una catena laterale (altezza: ${block.height})`
+      );
       return true;
     } catch (error) {
       this.logger.error("Errore nell'aggiunta del blocco:", error);
@@ -54,36 +179,246 @@ export class Blockchain extends EventEmitter {
     }
   }
 
-  async isValidBlock(block) {
+  /**
+   * Collega un blocco in cima alla catena principale. Il blocco, i suoi indici e lo stato degli
+   * account aggiornato vengono salvati con una sola scrittura atomica.
+   * @param {Object} block - Blocco che estende l'ultimo blocco
+   * @param {Object} info - Altezza, predecessore e lavoro cumulativo
+   */
+  async _connectBlock(block, info) {
+    // Applica le transazioni in memoria e le annulla se il salvataggio fallisce
+    const touched = this.state.apply(block);
+    const saved = await this.db.addBlock(block, {
+      info,
+      walletStates: touched.map(address => this.state.getAccount(address))
+    });
+    if (!saved) {
+      this.state.revert(block);
+      throw new Error('Salvataggio del blocco fallito');
+    }
+
+    // Aggiorna l'altezza e le regole di consenso del prossimo blocco
+    this.height = block.height;
+    await this.engine.onTipChanged(block);
+
+    // Emetti evento nuovo blocco
+    this.emit('block:new', block);
+
+    this.logger.info(`Nuovo blocco aggiunto: ${block.hash} (altezza: ${block.height})`);
+  }
+
+  /**
+   * Sposta la catena principale sul ramo che termina con `newTip`: scollega i blocchi
+   * successivi al punto di biforcazione e collega quelli del nuovo ramo. Lo stato viene
+   * simulato su una copia e salvato con una sola scrittura atomica.
+   * @param {Object} newTip - Ultimo blocco della catena con più lavoro
+   * @returns {Promise<boolean>} - true se la riorganizzazione è stata applicata
+   */
+  async _reorganize(newTip) {
+    // Risali il nuovo ramo fino al primo blocco della catena principale
+    const connected = [];
+    let cursor = newTip;
+    while (cursor && (await this.db.getBlockHashByHeight(cursor.height)) !== cursor.hash) {
+      connected.unshift(cursor);
+      cursor = cursor.height > 0 ? await this.db.getBlock(cursor.previousHash) : null;
+    }
+
+    if (!cursor) {
+      this.logger.warn(`Il blocco ${newTip.hash} non ha antenati comuni con la catena principale`);
+      return false;
+    }
+
+    const disconnected = [];
+    for (let height = this.height; height > cursor.height; height--) {
+      disconnected.push(await this.db.getBlockByHeight(height));
+    }
+
+    // Senza le transazioni dei blocchi potati lo stato non può essere ricalcolato
+    if ([...disconnected, ...connected].some(block => block.pruned)) {
+      this.logger.warn(
+        `Riorganizzazione all'altezza ${cursor.height} rifiutata: blocchi già potati`
+      );
+      return false;
+    }
+
+    // Simula la riorganizzazione su una copia dello stato
+    const state = this.state.clone();
+    const touched = new Set();
+    for (const block of disconnected) {
+      state.revert(block).forEach(address => touched.add(address));
+    }
+
+    for (const [index, block] of connected.entries()) {
+      const invalid = state.findInvalidTransaction(block.transactions);
+      if (invalid) {
+        this.logger.warn(
+          `Riorganizzazione annullata, blocco ${block.hash} non valido: ${invalid.reason}`
+        );
+
+        // Il blocco e i suoi discendenti non potranno mai entrare nella catena principale,
+        // purché l'errore sia nel contenuto impegnato dal suo hash e non in una copia alterata
+        if (
+          !this.hasCommittedTransactions(block) ||
+          this.calculateBlockHash(block) !== block.hash
+        ) {
+          return false;
+        }
+        for (const invalidBlock of connected.slice(index)) {
+          const info = await this.getBlockInfo(invalidBlock.hash);
+          await this.db.saveBlockInfo({ ...info, invalid: true });
+        }
+        return false;
+      }
+      state.apply(block).forEach(address => touched.add(address));
+    }
+
+    // Indici, ultimo blocco e stato degli account in un'unica scrittura
+    const saved = await this.db.saveReorganization({
+      connected,
+      disconnected,
+      walletStates: Array.from(touched).map(address => state.getAccount(address))
+    });
+    if (!saved) {
+      throw new Error('Salvataggio della riorganizzazione fallito');
+    }
+
+    this.state.adopt(state);
+    this.height = newTip.height;
+    await this.engine.onTipChanged(newTip);
+
+    this.logger.warn(
+      `Riorganizzazione della catena all'altezza ${cursor.height}: ` +
+        `${disconnected.length} blocchi scollegati, ${connected.length} collegati`
+    );
+    this.emit('block:reorg', { disconnected, connected });
+    return true;
+  }
+
+  /**
+   * Verifica un blocco. Le regole che dipendono dallo stato degli account si applicano solo
+   * ai blocchi che estendono la catena principale: per quelli delle catene laterali vengono
+   * verificate al momento di un'eventuale riorganizzazione.
+   * @param {Object} block - Blocco da verificare
+   * @param {Object} [chain] - Catena che il blocco estende, se diversa da quella principale
+   *   (per la rivalidazione della catena salvata): { height, tipHash, state, assumeValid }
+   * @returns {Promise<boolean>}
+   */
+  async isValidBlock(block, chain = null) {
     try {
-      // Verifica l'hash del blocco
+      if (block.version !== BLOCK_VERSION) {
+        this.logger.warn(`Versione del blocco non supportata: ${block.version}`);
+        return false;
+      }
+
+      if (!this.hasCommittedTransactions(block)) {
+        return false;
+      }
+
+      // Verifica l'hash dell'header
       const calculatedHash = this.calculateBlockHash(block);
       if (calculatedHash !== block.hash) {
         this.logger.warn('Hash del blocco non valido');
         return false;
       }
 
-      // Verifica il previousHash
+      // L'unico blocco genesis valido è quello della specifica della rete
+      if (block.height === 0) {
+        if (block.hash !== this.getGenesisHash()) {
+          this.logger.warn(`Blocco genesis ${block.hash} di un'altra rete`);
+          return false;
+        }
+        return true;
+      }
+
+      // Verifica il previousHash e l'altezza
+      let previousBlock = null;
       if (block.height > 0) {
-        const previousBlock = await this.db.getBlock(block.previousHash);
+        previousBlock = await this.db.getBlock(block.previousHash);
         if (!previousBlock) {
           this.logger.warn('Blocco precedente non trovato');
           return false;
         }
+
+        if (block.height !== previousBlock.height + 1) {
+          this.logger.warn('Altezza del blocco non coerente con il blocco precedente');
+          return false;
+        }
+
+        const previousInfo = await this.db.getBlockInfo(block.previousHash);
+        if (previousInfo && previousInfo.invalid) {
+          this.logger.warn('Il blocco discende da un blocco non valido');
+          return false;
+        }
       }
 
-      // Verifica il timestamp
-      const currentTime = Date.now();
-      if (block.timestamp > currentTime + 7200000) {
-        // 2 ore di tolleranza
+      const chainHeight = chain ? chain.height : this.height;
+      if (!this.isValidCheckpoint(block, chainHeight)) {
+        return false;
+      }
+
+      // Verifica il timestamp: non oltre 2 ore nel futuro secondo il tempo di rete e
+      // successivo alla mediana degli ultimi blocchi, così non può tornare indietro
+      if (!Number.isInteger(block.timestamp)) {
+        this.logger.warn('Timestamp del blocco non valido');
+        return false;
+      }
+
+      if (block.timestamp > this.networkTime.now() + MAX_FUTURE_TIME) {
         this.logger.warn('Timestamp del blocco nel futuro');
         return false;
       }
 
-      // Verifica la difficoltà
-      const target = '0'.repeat(this.difficulty);
-      if (!block.hash.startsWith(target)) {
-        this.logger.warn('Blocco non soddisfa la difficoltà richiesta');
+      const medianTimePast = await this.getMedianTimePast(previousBlock);
+      if (block.timestamp <= medianTimePast) {
+        this.logger.warn(
+          `Timestamp del blocco ${block.timestamp} non successivo alla mediana ` +
+            `degli ultimi ${this.medianTimeSpan} blocchi (${medianTimePast})`
+        );
+        return false;
+      }
+
+      // Prova di lavoro o firma del validatore, secondo il motore di consenso
+      if (!(await this.engine.verifyBlock(block, previousBlock))) {
+        return false;
+      }
+
+      if (!this.isValidCoinbase(block)) {
+        return false;
+      }
+
+      // Verifica le firme: nonce e importi sono coperti dalla firma del mittente. Durante la
+      // prima sincronizzazione i blocchi sotto quello assunto valido ne sono esenti
+      const verifySignatures =
+        chain?.assumeValid === false || !this.isAssumedValid(block, chainHeight);
+      for (const tx of verifySignatures ? block.transactions : []) {
+        if (tx.from !== COINBASE_SENDER && !this.verifyTransactionSignature(tx)) {
+          this.logger.warn(`Firma della transazione ${tx.hash} nel blocco non valida`);
+          return false;
+        }
+      }
+
+      // Transazioni riservate al consenso, come i voti dei validatori
+      const consensusError = await this.engine.validateTransactions(
+        block.transactions,
+        previousBlock
+      );
+      if (consensusError) {
+        this.logger.warn(`Transazioni del blocco non valide: ${consensusError}`);
+        return false;
+      }
+
+      const tipHash = chain ? chain.tipHash : await this.db.getLastBlockHash();
+      if (tipHash && block.previousHash !== tipHash) {
+        return true;
+      }
+
+      // Verifica nonce e saldi dei mittenti rispetto allo stato confermato
+      const state = chain ? chain.state : this.state;
+      const invalid = state.findInvalidTransaction(block.transactions);
+      if (invalid) {
+        this.logger.warn(
+          `Transazione ${invalid.transaction.hash} del blocco non valida: ${invalid.reason}`
+        );
         return false;
       }
 
@@ -94,39 +429,331 @@ export class Blockchain extends EventEmitter {
     }
   }
 
-  calculateBlockHash(block) {
-    const data = JSON.stringify({
-      previousHash: block.previousHash,
-      timestamp: block.timestamp,
-      transactions: block.transactions,
-      nonce: block.nonce
-    });
+  /**
+   * Verifica che la merkle root dell'header impegni esattamente le transazioni del blocco:
+   * solo così un errore nel contenuto è un errore del blocco con quell'hash
+   * @param {Object} block - Blocco da verificare
+   * @returns {boolean}
+   */
+  hasCommittedTransactions(block) {
+    if (!Array.isArray(block.transactions)) {
+      this.logger.warn('Transazioni del blocco mancanti');
+      return false;
+    }
+
+    // Nei livelli dispari l'ultimo nodo è accoppiato con se stesso: [a, b, c] e [a, b, c, c]
+    // hanno la stessa merkle root, quindi le transazioni ripetute si rifiutano prima
+    const hashes = new Set(block.transactions.map(tx => tx.hash));
+    if (hashes.size !== block.transactions.length) {
+      this.logger.warn('Transazioni ripetute nel blocco');
+      return false;
+    }
+
+    if (block.merkleRoot !== Block.calculateMerkleRoot(block.transactions)) {
+      this.logger.warn('Merkle root del blocco non valida');
+      return false;
+    }
+
+    // La merkle root impegna gli hash dichiarati: devono corrispondere al contenuto,
+    // altrimenti indici e prove di inclusione punterebbero a transazioni diverse
+    for (const tx of block.transactions) {
+      if (tx.hash !== Transaction.calculateHash(tx)) {
+        this.logger.warn(`Hash della transazione ${tx.hash} nel blocco non valido`);
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  getGenesisHash() {
+    return this.chainSpec.genesisHash;
+  }
+
+  /**
+   * Verifica il blocco rispetto ai checkpoint della rete: all'altezza di un checkpoint è
+   * valido solo il blocco indicato, e una volta superato un checkpoint la catena fino a
+   * quell'altezza non può più cambiare
+   * @param {Object} block - Blocco da verificare
+   * @param {number} [height] - Altezza della catena che il blocco estende
+   * @returns {boolean}
+   */
+  isValidCheckpoint(block, height = this.height) {
+    const checkpoint = this.chainSpec.checkpoints.get(block.height);
+    if (checkpoint && checkpoint !== block.hash) {
+      this.logger.warn(
+        `Blocco ${block.hash} in conflitto con il checkpoint all'altezza ${block.height}`
+      );
+      return false;
+    }
+
+    const last = this.chainSpec.getLastCheckpoint(height);
+    if (last && block.height <= last.height) {
+      this.logger.warn(
+        `Blocco ${block.hash} su una diramazione precedente al checkpoint ` +
+          `all'altezza ${last.height}`
+      );
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Un blocco è assunto valido se precede il blocco assumeValid della specifica e la catena
+   * locale non lo ha ancora raggiunto. Le altre regole (consenso, coinbase, saldi e nonce)
+   * restano verificate; il checkpoint all'altezza di assumeValid scarta le catene che non
+   * lo contengono.
+   * @param {Object} block - Blocco da verificare
+   * @param {number} [height] - Altezza della catena che il blocco estende
+   * @returns {boolean}
+   */
+  isAssumedValid(block, height = this.height) {
+    return (
+      !!this.assumeValid &&
+      block.height < this.assumeValid.height &&
+      height < this.assumeValid.height
+    );
+  }
+
+  // Ricompensa prevista dal calendario della rete per il blocco all'altezza indicata
+  getBlockReward(height) {
+    return this.chainSpec.getBlockReward(height);
+  }
+
+  /**
+   * Verifica la transazione di ricompensa: deve essere una sola, la prima del blocco, con
+   * nonce uguale all'altezza e importo non superiore a sussidio più commissioni
+   * @param {Object} block - Blocco da verificare
+   * @returns {boolean}
+   */
+  isValidCoinbase(block) {
+    const [coinbase, ...transactions] = block.transactions;
+
+    if (!coinbase || !Transaction.isCoinbase(coinbase) || coinbase.from !== COINBASE_SENDER) {
+      this.logger.warn('La prima transazione del blocco non è una coinbase');
+      return false;
+    }
+
+    if (coinbase.nonce !== block.height || coinbase.hash !== Transaction.calculateHash(coinbase)) {
+      this.logger.warn('Coinbase del blocco non valida');
+      return false;
+    }
+
+    let fees = 0;
+    for (const tx of transactions) {
+      if (Transaction.isCoinbase(tx) || tx.from === COINBASE_SENDER) {
+        this.logger.warn('Il blocco contiene più di una transazione di ricompensa');
+        return false;
+      }
+
+      if (!Transaction.hasValidFee(tx)) {
+        this.logger.warn(`Commissione della transazione ${tx.hash} nel blocco non valida`);
+        return false;
+      }
+      fees += Transaction.getFee(tx);
+    }
+
+    const amount = Number(coinbase.amount);
+    const maxAmount = this.getBlockReward(block.height) + fees;
+    if (!Number.isInteger(amount) || amount < 0 || amount > maxAmount) {
+      this.logger.warn(`Coinbase di ${coinbase.amount}, massimo consentito ${maxAmount}`);
+      return false;
+    }
+
+    // La ripartizione di un pool deve distribuire esattamente l'importo della coinbase
+    if (coinbase.outputs !== undefined && !this._isValidCoinbaseSplit(coinbase)) {
+      this.logger.warn('Ripartizione della coinbase non valida');
+      return false;
+    }
+
+    return true;
+  }
+
+  _isValidCoinbaseSplit(coinbase) {
+    if (!Array.isArray(coinbase.outputs) || coinbase.outputs.length === 0) {
+      return false;
+    }
+
+    let total = 0;
+    for (const output of coinbase.outputs) {
+      if (!output || typeof output.address !== 'string' || !output.address) {
+        return false;
+      }
 
-    return crypto.createHash('sha256').update(data).digest('hex');
+      const amount = Number(output.amount);
+      if (!Number.isInteger(amount) || amount < 0) {
+        return false;
+      }
+      total += amount;
+    }
+
+    return total === Number(coinbase.amount);
+  }
+
+  // Lavoro del blocco secondo il motore di consenso, sommato lungo la catena
+  async getBlockWork(block) {
+    return await this.engine.getBlockWork(block);
+  }
+
+  /**
+   * Risale la catena di `block` fino all'altezza indicata, seguendo i previousHash così da
+   * funzionare anche per i blocchi delle catene laterali
+   * @param {Object} block - Blocco di partenza
+   * @param {number} height - Altezza dell'antenato cercato
+   * @returns {Promise<Object|null>}
+   */
+  async getAncestor(block, height) {
+    let cursor = block;
+    while (cursor && cursor.height > height) {
+      cursor = await this.db.getBlock(cursor.previousHash);
+    }
+    return cursor;
+  }
+
+  /**
+   * Mediana dei timestamp degli ultimi `medianTimeSpan` blocchi fino a quello indicato
+   * (median-time-past): il blocco successivo deve avere un timestamp maggiore
+   * @param {Object} block - Ultimo blocco della finestra
+   * @returns {Promise<number>}
+   */
+  async getMedianTimePast(block) {
+    const timestamps = [];
+    let cursor = block;
+    while (cursor && timestamps.length < this.medianTimeSpan) {
+      timestamps.push(cursor.timestamp);
+      cursor = cursor.height > 0 ? await this.db.getBlock(cursor.previousHash) : null;
+    }
+
+    timestamps.sort((a, b) => a - b);
+    return timestamps[Math.floor(timestamps.length / 2)];
+  }
+
+  /**
+   * Restituisce altezza, predecessore e lavoro cumulativo di un blocco. Per i blocchi salvati
+   * prima dell'introduzione del lavoro cumulativo le informazioni vengono ricalcolate
+   * risalendo la catena.
+   * @param {string} hash - Hash del blocco
+   * @returns {Promise<Object|null>}
+   */
+  async getBlockInfo(hash) {
+    const info = await this.db.getBlockInfo(hash);
+    if (info) {
+      return info;
+    }
+
+    const missing = [];
+    let parentInfo = null;
+    let block = await this.db.getBlock(hash);
+    while (block) {
+      missing.unshift(block);
+      if (block.height === 0) {
+        break;
+      }
+      parentInfo = await this.db.getBlockInfo(block.previousHash);
+      if (parentInfo) {
+        break;
+      }
+      block = await this.db.getBlock(block.previousHash);
+    }
+
+    let totalWork = parentInfo ? BigInt(parentInfo.totalWork) : 0n;
+    let last = null;
+    for (const missingBlock of missing) {
+      totalWork += await this.getBlockWork(missingBlock);
+      last = {
+        hash: missingBlock.hash,
+        previousHash: missingBlock.previousHash,
+        height: missingBlock.height,
+        totalWork: totalWork.toString()
+      };
+      await this.db.saveBlockInfo(last);
+    }
+
+    return last;
+  }
+
+  // L'hash copre solo l'header canonico del blocco
+  calculateBlockHash(block) {
+    return Block.calculateHash(block);
   }
 
   async isValidTransaction(transaction) {
     try {
+      // Mempool e indici usano l'hash dichiarato: deve corrispondere al contenuto, come
+      // richiesto per le transazioni dei blocchi
+      if (transaction.hash !== Transaction.calculateHash(transaction)) {
+        this.logger.warn(`Hash della transazione ${transaction.hash} non valido`);
+        return false;
+      }
+
       // Verifica se la transazione esiste già
       if (await this.db.hasTransaction(transaction.hash)) {
         this.logger.warn('Transazione già esistente');
         return false;
       }
 
-      // Verifica il timestamp
-      const currentTime = Date.now();
-      if (transaction.timestamp > currentTime + 7200000) {
-        // 2 ore di tolleranza
+      // Verifica il timestamp rispetto al tempo di rete. La mediana degli ultimi blocchi vale
+      // solo per i blocchi: le transazioni riammesse dopo una riorganizzazione o rimaste a lungo
+      // nella mempool la precedono sempre, e resterebbero escluse dalla catena
+      if (transaction.timestamp > this.networkTime.now() + MAX_FUTURE_TIME) {
         this.logger.warn('Timestamp della transazione nel futuro');
         return false;
       }
 
+      // Verifica l'importo: solo i voti dei validatori non trasferiscono fondi
+      if (!Transaction.hasValidAmount(transaction)) {
+        this.logger.warn('Importo della transazione non valido');
+        return false;
+      }
+      const amount = Number(transaction.amount);
+
+      // Verifica la commissione: facoltativa, ma intera e mai negativa
+      if (!Transaction.hasValidFee(transaction)) {
+        this.logger.warn('Commissione della transazione non valida');
+        return false;
+      }
+      const fee = Transaction.getFee(transaction);
+
+      // Le ricompense vengono create solo dal miner all'interno di un blocco
+      if (transaction.from === COINBASE_SENDER || Transaction.isCoinbase(transaction)) {
+        this.logger.warn('Transazione di ricompensa fuori da un blocco');
+        return false;
+      }
+
+      // Verifica il nonce: quelli già usati dal mittente non possono essere riutilizzati
+      if (!Number.isInteger(transaction.nonce) || transaction.nonce < 0) {
+        this.logger.warn('Nonce della transazione mancante o non valido');
+        return false;
+      }
+
+      if (transaction.nonce < this.state.getNonce(transaction.from)) {
+        this.logger.warn('Nonce della transazione già utilizzato');
+        return false;
+      }
+
+      // Verifica che il saldo confermato del mittente copra importo e commissione
+      if (this.getBalance(transaction.from) < amount + fee) {
+        this.logger.warn('Saldo insufficiente per la transazione');
+        return false;
+      }
+
       // Verifica la firma
       if (!this.verifyTransactionSignature(transaction)) {
         this.logger.warn('Firma della transazione non valida');
         return false;
       }
 
+      // Verifica le regole del consenso rispetto all'ultimo blocco
+      const consensusError = await this.engine.validateTransactions(
+        [transaction],
+        await this.getLastBlock()
+      );
+      if (consensusError) {
+        this.logger.warn(`Transazione non valida: ${consensusError}`);
+        return false;
+      }
+
       return true;
     } catch (error) {
       this.logger.error('Errore nella validazione della transazione:', error);
@@ -136,17 +763,7 @@ export class Blockchain extends EventEmitter {
 
   verifyTransactionSignature(transaction) {
     try {
-      const verifier = crypto.createVerify('SHA256');
-      verifier.update(
-        JSON.stringify({
-          from: transaction.from,
-          to: transaction.to,
-          amount: transaction.amount,
-          timestamp: transaction.timestamp
-        })
-      );
-
-      return verifier.verify(transaction.from, transaction.signature, 'hex');
+      return Transaction.verifySignature(transaction);
     } catch (error) {
       this.logger.error('Errore nella verifica della firma:', error);
       return false;
@@ -157,8 +774,22 @@ export class Blockchain extends EventEmitter {
     return this.height;
   }
 
+  // Prima altezza della catena principale con i blocchi completi, 0 se nessun blocco è potato
+  getPrunedHeight() {
+    return this.prunedHeight;
+  }
+
+  // Difficoltà del prossimo blocco, null se il motore di consenso non ne prevede una
   getDifficulty() {
-    return this.difficulty;
+    return this.engine.getDifficulty();
+  }
+
+  getBalance(address) {
+    return this.state.getBalance(address);
+  }
+
+  getNonce(address) {
+    return this.state.getNonce(address);
   }
 
   async getLastBlock() {
@@ -176,4 +807,95 @@ export class Blockchain extends EventEmitter {
   async getBlocks(startHeight, endHeight) {
     return await this.db.getBlocks(startHeight, endHeight);
   }
+
+  /**
+   * Numero di conferme di una transazione: 1 quando è nell'ultimo blocco, 0 se non è nella
+   * catena principale
+   * @param {string} hash - Hash della transazione
+   * @returns {Promise<number>}
+   */
+  async getConfirmations(hash) {
+    const location = await this.db.getTransactionLocation(hash);
+    return location ? this.height - location.height + 1 : 0;
+  }
+
+  /**
+   * Transazione confermata con la sua posizione nella catena principale
+   * @param {string} hash - Hash della transazione
+   * @returns {Promise<Object|null>} - { hash, transaction, blockHash, height, index,
+   *   confirmations };
+   *   transaction è null se il blocco è già stato potato
+   */
+  async getTransaction(hash) {
+    const location = await this.db.getTransactionLocation(hash);
+    if (!location) {
+      return null;
+    }
+
+    return {
+      hash,
+      transaction: await this.db.getTransaction(hash),
+      blockHash: location.blockHash,
+      height: location.height,
+      index: location.index,
+      confirmations: this.height - location.height + 1
+    };
+  }
+
+  /**
+   * Prova di inclusione di una transazione: il percorso di Merkle dalla transazione alla
+   * merkle root dell'header del suo blocco
+   * @param {string} hash - Hash della transazione
+   * @returns {Promise<Object|null>} - { transaction, blockHash, height, index, merkleRoot,
+   *   proof, confirmations }; null se la transazione non è confermata o il blocco è potato
+   */
+  async getTransactionProof(hash) {
+    const location = await this.db.getTransactionLocation(hash);
+    const block = location ? await this.db.getBlock(location.blockHash) : null;
+    if (!block || block.pruned) {
+      return null;
+    }
+
+    const transaction = block.transactions[location.index];
+    const tree = new MerkleTree();
+    tree.addLeaves(block.transactions);
+    return {
+      transaction,
+      blockHash: block.hash,
+      height: block.height,
+      index: location.index,
+      merkleRoot: block.merkleRoot,
+      proof: tree.getProof(transaction),
+      confirmations: this.height - block.height + 1
+    };
+  }
+
+  /**
+   * Storico delle transazioni confermate di un indirizzo, dalla più recente
+   * @param {string} address - Indirizzo
+   * @param {Object} [options] - { offset, limit }
+   * @returns {Promise<Object>} - { transactions, hasMore }
+   */
+  async getAddressHistory(address, options = {}) {
+    const { entries, hasMore } = await this.db.getAddressHistory(address, options);
+
+    // Più voci dello stesso blocco condividono una sola lettura
+    const blocks = new Map();
+    const transactions = [];
+    for (const entry of entries) {
+      if (!blocks.has(entry.blockHash)) {
+        blocks.set(entry.blockHash, await this.db.getBlock(entry.blockHash));
+      }
+      const block = blocks.get(entry.blockHash);
+      transactions.push({
+        hash: entry.hash,
+        transaction: block && !block.pruned ? block.transactions[entry.index] : null,
+        blockHash: entry.blockHash,
+        height: entry.height,
+        index: entry.index,
+        confirmations: this.height - entry.height + 1
+      });
+    }
+    return { transactions, hasMore };
+  }
 }
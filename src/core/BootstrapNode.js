@@ -3,6 +3,8 @@ import { Logger } from '../utils/logger.js';
 import { NetworkManager } from '../network/NetworkManager.js';
 import { APIServer } from '../api/server.js';
 import { NodeStorage } from '../utils/NodeStorage.js';
+import { ChainSnapshot } from './ChainSnapshot.js';
+import fs from 'fs';
 import path from 'path';
 
 /**
@@ -114,10 +116,11 @@ export class BootstrapNode extends EventEmitter {
       // Avvia il network manager (P2P)
       await this.networkManager.start();
       
-      // Avvia il server API
+      // Avvia il server API. Gli endpoint vanno registrati prima dell'avvio, che aggiunge
+      // in coda la gestione delle risorse non trovate
       if (this.config.api && this.config.api.enabled) {
-        await this.apiServer.start();
         await this._setupApiEndpoints(); // Configura gli endpoint API
+        await this.apiServer.start();
       }
 
       // Ottieni il PeerId corrente dal networkManager
@@ -343,6 +346,43 @@ export class BootstrapNode extends EventEmitter {
                 res.status(500).json({ error: 'Errore interno del server' });
             }
         });
+
+        // Ultimo snapshot della catena, da importare con `chain import` per l'avvio rapido
+        this.apiServer.addEndpoint('/api/snapshot/info', 'GET', async (req, res) => {
+            try {
+                const file = await this._getLatestSnapshot();
+                if (!file) {
+                    return res.status(404).json({ error: 'Nessuno snapshot disponibile' });
+                }
+
+                const { size } = await fs.promises.stat(file);
+                res.json({ header: await ChainSnapshot.readHeader(file), size });
+            } catch (error) {
+                this.logger.error("Errore nella lettura dell'header dello snapshot:", error);
+                res.status(500).json({ error: 'Errore interno del server' });
+            }
+        });
+
+        this.apiServer.addEndpoint('/api/snapshot', 'GET', async (req, res) => {
+            try {
+                const file = await this._getLatestSnapshot();
+                if (!file) {
+                    return res.status(404).json({ error: 'Nessuno snapshot disponibile' });
+                }
+
+                this.logger.info(`Invio dello snapshot ${path.basename(file)}`);
+                res.download(file, path.basename(file));
+            } catch (error) {
+                this.logger.error("Errore nell'invio dello snapshot:", error);
+                res.status(500).json({ error: 'Errore interno del server' });
+            }
+        });
     }
   }
+
+  // Snapshot più recente tra quelli configurati in `snapshot.path`, null se assente
+  async _getLatestSnapshot() {
+    const location = this.config.snapshot?.path;
+    return location ? await ChainSnapshot.findLatest(location) : null;
+  }
 }
\ No newline at end of file
@@ -0,0 +1,347 @@
+import { Logger } from '../utils/logger.js';
+import { AccountState } from './AccountState.js';
+import { Block } from './Block.js';
+
+// Blocchi elaborati tra un salvataggio dell'avanzamento e il successivo
+const PROGRESS_INTERVAL = 500;
+
+/**
+ * Manutenzione offline della catena salvata, da eseguire con il nodo fermo:
+ * - reindex ricostruisce dai blocchi grezzi (`block:`) lavoro cumulativo, catena principale
+ *   (`height:` e `lastBlockHash`), indici delle transazioni e degli indirizzi, stato degli
+ *   account;
+ * - verifyChain rivalida con le regole correnti ogni blocco della catena principale, dal genesis.
+ * L'avanzamento viene salvato nel database: un'operazione interrotta riprende da dove era arrivata.
+ */
+export class ChainMaintenance {
+  /**
+   * @param {Blockchain} blockchain - Blockchain non inizializzata, collegata al database
+   * @param {Function} [onProgress] - Chiamata con { task, phase, done, total }
+   */
+  constructor(blockchain, onProgress = null) {
+    this.logger = new Logger('ChainMaintenance');
+    this.blockchain = blockchain;
+    this.db = blockchain.db;
+    this.onProgress = onProgress;
+  }
+
+  /**
+   * Ricostruisce tutti gli indici derivati dai blocchi salvati
+   * @param {Object} [options]
+   * @param {boolean} [options.restart] - Ignora l'avanzamento di un reindex interrotto
+   * @returns {Promise<Object>} - { blocks, skipped, height, tip }
+   */
+  async reindex({ restart = false } = {}) {
+    let progress = restart ? null : await this.db.getProgress('reindex');
+    if (progress) {
+      this.logger.info(`Ripresa della reindicizzazione dalla fase ${progress.phase}`);
+    } else {
+      progress = { phase: 'blocks', height: -1 };
+    }
+
+    // Senza i corpi dei blocchi potati lo stato degli account non è ricalcolabile: si
+    // conserva quello salvato, che deve corrispondere all'ultimo blocco ricostruito
+    const prunedHeight = await this.db.getPrunedHeight();
+    const { headers, skipped } = await this._scanBlocks();
+    if (!headers.some(header => header.hash === this.blockchain.getGenesisHash())) {
+      throw new Error(
+        `Il database non contiene il genesis della rete ${this.blockchain.chainSpec.name}`
+      );
+    }
+
+    if (progress.phase === 'blocks') {
+      await this._indexBlocks(headers, progress.height);
+      progress = { phase: 'chain' };
+      await this.db.saveProgress('reindex', progress);
+    }
+
+    if (progress.phase === 'chain') {
+      const tip = await this._selectTip(headers);
+      if (prunedHeight > 0 && tip.hash !== (await this.db.getStateBlockHash())) {
+        throw new Error(
+          `Blocchi potati fino all'altezza ${prunedHeight - 1}: lo stato degli account non ` +
+            `corrisponde al blocco ${tip.hash} e non può essere ricalcolato`
+        );
+      }
+      await this._indexMainChain(headers, tip);
+      progress = {
+        phase: 'transactions',
+        tip: { hash: tip.hash, height: tip.height },
+        height: -1
+      };
+      await this.db.saveProgress('reindex', progress);
+    }
+
+    const { tip } = progress;
+    if (progress.phase === 'transactions') {
+      await this._indexTransactions(tip, progress.height);
+      progress = { phase: 'state', tip };
+      await this.db.saveProgress('reindex', progress);
+    }
+
+    // Lo stato degli account si ricalcola rieseguendo la nuova catena principale
+    if (prunedHeight === 0) {
+      await this.blockchain.state.rebuild();
+    }
+    await this.db.clearProgress('reindex');
+
+    this.logger.info(
+      `Reindicizzazione completata: ${headers.length} blocchi, ultimo blocco ${tip.hash} ` +
+        `(altezza ${tip.height})`
+    );
+    return { blocks: headers.length, skipped, height: tip.height, tip: tip.hash };
+  }
+
+  /**
+   * Rivalida la catena principale dal genesis, rieseguendo le transazioni su uno stato in
+   * memoria. Le firme sono verificate tutte, anche sotto il blocco assumeValid.
+   * @param {Object} [options]
+   * @param {boolean} [options.restart] - Ignora l'avanzamento di una verifica interrotta
+   * @returns {Promise<Object>} - { valid, height, invalidBlock, stateMismatches }
+   */
+  async verifyChain({ restart = false } = {}) {
+    const tip = await this.db.getLastBlock();
+    if (!tip) {
+      throw new Error('Il database non contiene blocchi');
+    }
+
+    const prunedHeight = await this.db.getPrunedHeight();
+    if (prunedHeight > 0) {
+      throw new Error(
+        `Blocchi potati fino all'altezza ${prunedHeight - 1}: la verifica richiede tutti i blocchi`
+      );
+    }
+
+    const genesis = await this.db.getBlockByHeight(0);
+    if (!genesis || genesis.hash !== this.blockchain.getGenesisHash()) {
+      const invalidBlock = { height: 0, hash: genesis ? genesis.hash : null };
+      this.logger.error(`Genesis non valido per la rete ${this.blockchain.chainSpec.name}`);
+      return { valid: false, height: tip.height, invalidBlock };
+    }
+
+    let progress = restart ? null : await this.db.getProgress('verify');
+    if (progress && (await this.db.getBlockHashByHeight(progress.height)) !== progress.hash) {
+      this.logger.warn('La catena principale è cambiata dalla verifica interrotta: si ricomincia');
+      progress = null;
+    }
+
+    const state = new AccountState(this.blockchain.config, this.db);
+    state.apply(genesis);
+    let previous = genesis;
+
+    // I blocchi già verificati prima dell'interruzione vengono solo riapplicati allo stato
+    if (progress) {
+      this.logger.info(`Ripresa della verifica dall'altezza ${progress.height + 1}`);
+      for (let height = 1; height <= progress.height; height++) {
+        previous = await this.db.getBlockByHeight(height);
+        state.apply(previous);
+      }
+    }
+
+    for (let height = previous.height + 1; height <= tip.height; height++) {
+      const block = await this.db.getBlockByHeight(height);
+      const chain = { height: previous.height, tipHash: previous.hash, state, assumeValid: false };
+      if (!block || !(await this.blockchain.isValidBlock(block, chain))) {
+        const invalidBlock = { height, hash: block ? block.hash : null };
+        this.logger.error(`Blocco non valido all'altezza ${height}: ${invalidBlock.hash}`);
+        return { valid: false, height: tip.height, invalidBlock };
+      }
+
+      state.apply(block);
+      previous = block;
+      if (height % PROGRESS_INTERVAL === 0 || height === tip.height) {
+        await this.db.saveProgress('verify', { height, hash: block.hash });
+        this._report('verify-chain', 'blocks', height, tip.height);
+      }
+    }
+
+    // Lo stato salvato deve coincidere con quello ricalcolato
+    const stateMismatches = await this._compareState(state);
+    if (stateMismatches > 0) {
+      this.logger.warn(
+        `Stato degli account salvato diverso da quello ricalcolato per ${stateMismatches} ` +
+          'indirizzi: eseguire reindex'
+      );
+    }
+
+    await this.db.clearProgress('verify');
+    this.logger.info(`Verifica completata: ${tip.height + 1} blocchi validi`);
+    return { valid: true, height: tip.height, invalidBlock: null, stateMismatches };
+  }
+
+  // Intestazioni di tutti i blocchi salvati, ordinate per altezza; i blocchi il cui contenuto
+  // non corrisponde all'hash vengono scartati
+  async _scanBlocks() {
+    const headers = [];
+    let skipped = 0;
+
+    for await (const block of this.db.iterateBlocks()) {
+      // Dei blocchi potati resta solo l'header da verificare
+      if (
+        Block.calculateHash(block) !== block.hash ||
+        (!block.pruned &&
+          (!Array.isArray(block.transactions) ||
+            block.merkleRoot !== Block.calculateMerkleRoot(block.transactions)))
+      ) {
+        this.logger.warn(`Blocco ${block.hash} danneggiato, ignorato`);
+        skipped++;
+        continue;
+      }
+      headers.push({ ...Block.getHeader(block), hash: block.hash });
+    }
+
+    headers.sort((a, b) => a.height - b.height);
+    this.logger.info(`Trovati ${headers.length} blocchi salvati`);
+    return { headers, skipped };
+  }
+
+  /**
+   * Ricalcola altezza, predecessore e lavoro cumulativo di ogni blocco. I blocchi già marcati
+   * non validi restano tali, insieme ai loro discendenti e ai blocchi in conflitto con un
+   * checkpoint della specifica.
+   * @param {Array} headers - Intestazioni ordinate per altezza
+   * @param {number} doneHeight - Altezza fino a cui le informazioni sono già state ricalcolate
+   */
+  async _indexBlocks(headers, doneHeight) {
+    const infos = new Map();
+
+    for (let i = 0; i < headers.length; i++) {
+      const header = headers[i];
+      if (header.height <= doneHeight) {
+        const info = await this.db.getBlockInfo(header.hash);
+        if (info) {
+          infos.set(header.hash, info);
+        }
+        continue;
+      }
+
+      // Tutti i blocchi delle altezze precedenti sono indicizzati: punto di ripresa sicuro
+      if (i % PROGRESS_INTERVAL === 0 && header.height > 0) {
+        await this.db.saveProgress('reindex', { phase: 'blocks', height: header.height - 1 });
+        this._report('reindex', 'blocks', i, headers.length);
+      }
+
+      const info = await this._buildBlockInfo(header, infos);
+      if (info) {
+        await this.db.saveBlockInfo(info);
+        infos.set(header.hash, info);
+      }
+    }
+
+    this._report('reindex', 'blocks', headers.length, headers.length);
+  }
+
+  async _buildBlockInfo(header, infos) {
+    let parent = null;
+    if (header.height === 0) {
+      if (header.hash !== this.blockchain.getGenesisHash()) {
+        this.logger.warn(`Genesis ${header.hash} di un'altra rete, ignorato`);
+        return null;
+      }
+    } else {
+      parent = infos.get(header.previousHash);
+      if (!parent || parent.height !== header.height - 1) {
+        this.logger.warn(`Blocco ${header.hash} senza predecessore, ignorato`);
+        return null;
+      }
+    }
+
+    const previous = await this.db.getBlockInfo(header.hash);
+    const checkpoint = this.blockchain.chainSpec.checkpoints.get(header.height);
+    const work = await this.blockchain.getBlockWork(header);
+    const info = {
+      hash: header.hash,
+      previousHash: header.previousHash,
+      height: header.height,
+      totalWork: ((parent ? BigInt(parent.totalWork) : 0n) + work).toString()
+    };
+
+    if (previous?.invalid || parent?.invalid || (checkpoint && checkpoint !== header.hash)) {
+      info.invalid = true;
+    }
+    return info;
+  }
+
+  // Ultimo blocco valido con il maggior lavoro cumulativo; a parità resta quello attuale
+  async _selectTip(headers) {
+    const currentTip = await this.db.getLastBlockHash();
+    let best = null;
+
+    for (const header of headers) {
+      const info = await this.db.getBlockInfo(header.hash);
+      if (!info || info.invalid) {
+        continue;
+      }
+
+      const work = BigInt(info.totalWork);
+      if (!best || work > best.work || (work === best.work && info.hash === currentTip)) {
+        best = { hash: info.hash, height: info.height, work };
+      }
+    }
+    return best;
+  }
+
+  // Riscrive l'indice per altezza risalendo dall'ultimo blocco della catena principale
+  async _indexMainChain(headers, tip) {
+    const byHash = new Map(headers.map(header => [header.hash, header]));
+    const chain = [];
+    for (let cursor = byHash.get(tip.hash); cursor; cursor = byHash.get(cursor.previousHash)) {
+      chain.push(cursor.hash);
+      if (cursor.height === 0) {
+        break;
+      }
+    }
+
+    if (!(await this.db.saveMainChain(chain.reverse()))) {
+      throw new Error(`Impossibile salvare la catena principale fino al blocco ${tip.hash}`);
+    }
+
+    this.logger.info(`Catena principale ricostruita fino all'altezza ${tip.height}`);
+  }
+
+  // Riscrive gli indici delle transazioni e degli indirizzi della catena principale
+  async _indexTransactions(tip, doneHeight) {
+    if (doneHeight < 0) {
+      await this.db.clearTransactions();
+    }
+
+    for (let height = doneHeight + 1; height <= tip.height; height++) {
+      const block = await this.db.getBlockByHeight(height);
+      // Le transazioni dei blocchi potati non sono più disponibili
+      if (!block.pruned) {
+        await this.db.indexBlock(block);
+      }
+
+      if (height % PROGRESS_INTERVAL === 0 || height === tip.height) {
+        await this.db.saveProgress('reindex', { phase: 'transactions', tip, height });
+        this._report('reindex', 'transactions', height, tip.height);
+      }
+    }
+  }
+
+  // Numero di indirizzi il cui stato salvato differisce da quello ricalcolato
+  async _compareState(state) {
+    const saved = new Map();
+    for (const account of await this.db.getWalletStates()) {
+      saved.set(account.address, account);
+    }
+
+    let mismatches = 0;
+    const addresses = new Set([...saved.keys(), ...state.accounts.keys()]);
+    for (const address of addresses) {
+      const expected = state.getAccount(address);
+      const actual = { balance: 0, nonce: 0, ...saved.get(address) };
+      if (expected.balance !== actual.balance || expected.nonce !== actual.nonce) {
+        mismatches++;
+      }
+    }
+    return mismatches;
+  }
+
+  _report(task, phase, done, total) {
+    this.logger.info(`${task}: ${phase} ${done}/${total}`);
+    if (this.onProgress) {
+      this.onProgress({ task, phase, done, total });
+    }
+  }
+}
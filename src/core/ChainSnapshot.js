@@ -0,0 +1,403 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import zlib from 'zlib';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import axios from 'axios';
+import { Logger } from '../utils/logger.js';
+import { AccountState } from './AccountState.js';
+import { Block } from './Block.js';
+
+export const SNAPSHOT_FORMAT = 'drakon-snapshot';
+export const SNAPSHOT_VERSION = 1;
+export const SNAPSHOT_EXTENSION = '.snapshot';
+
+// Blocchi elaborati tra una segnalazione dell'avanzamento e la successiva
+const PROGRESS_INTERVAL = 500;
+
+/**
+ * Snapshot della catena per l'avvio rapido dei nuovi nodi: file gzip di righe JSON con
+ * un header (formato, versione, rete, ultimo blocco, state root), i blocchi della catena
+ * principale dal genesis, gli stati degli account ordinati per indirizzo e, in chiusura,
+ * lo SHA-256 di tutte le righe precedenti.
+ *
+ * L'importazione verifica gli header dei blocchi (hash, collegamento, merkle root, checkpoint,
+ * timestamp e regole del motore di consenso). Header e checksum vengono dallo stesso file, quindi
+ * la state root dichiarata non basta: se lo snapshot contiene tutti i blocchi le transazioni
+ * vengono rieseguite e lo stato degli account deve coincidere con quello ricalcolato; se è
+ * potato la state root deve essere indicata da chi importa, da una fonte fidata.
+ */
+export class ChainSnapshot {
+  /**
+   * @param {Blockchain} blockchain - Blockchain non inizializzata, collegata al database
+   * @param {Function} [onProgress] - Chiamata con { task, phase, done, total }
+   */
+  constructor(blockchain, onProgress = null) {
+    this.logger = new Logger('ChainSnapshot');
+    this.blockchain = blockchain;
+    this.db = blockchain.db;
+    this.onProgress = onProgress;
+  }
+
+  /**
+   * Esporta catena principale e stato degli account in un file di snapshot
+   * @param {string} file - Percorso del file da scrivere
+   * @returns {Promise<Object>} - Header dello snapshot
+   */
+  async export(file) {
+    const tip = await this.db.getLastBlock();
+    if (!tip) {
+      throw new Error('Il database non contiene blocchi');
+    }
+    if ((await this.db.getStateBlockHash()) !== tip.hash) {
+      throw new Error("Stato degli account non allineato con l'ultimo blocco: eseguire reindex");
+    }
+
+    const accounts = (await this.db.getWalletStates())
+      .map(({ address, balance, nonce }) => ({ address, balance, nonce }))
+      .sort((a, b) => (a.address < b.address ? -1 : 1));
+    const header = {
+      type: 'header',
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      chain: this.blockchain.chainSpec.name,
+      genesisHash: this.blockchain.getGenesisHash(),
+      height: tip.height,
+      tipHash: tip.hash,
+      prunedHeight: await this.db.getPrunedHeight(),
+      stateRoot: AccountState.calculateStateRoot(accounts),
+      accounts: accounts.length,
+      createdAt: Date.now()
+    };
+
+    const self = this;
+    async function* lines() {
+      const checksum = crypto.createHash('sha256');
+      const line = entry => {
+        const text = `${JSON.stringify(entry)}\n`;
+        checksum.update(text);
+        return text;
+      };
+
+      yield line(header);
+      for (let height = 0; height <= tip.height; height++) {
+        const block = await self.db.getBlockByHeight(height);
+        if (!block) {
+          throw new Error(`Blocco all'altezza ${height} mancante`);
+        }
+        yield line({ type: 'block', block });
+        if (height % PROGRESS_INTERVAL === 0 || height === tip.height) {
+          self._report('export', 'blocks', height, tip.height);
+        }
+      }
+      for (const account of accounts) {
+        yield line({ type: 'account', account });
+      }
+      yield `${JSON.stringify({ type: 'checksum', sha256: checksum.digest('hex') })}\n`;
+    }
+
+    // Il file compare solo a scrittura completata
+    const partial = `${file}.partial`;
+    try {
+      await pipeline(Readable.from(lines()), zlib.createGzip(), fs.createWriteStream(partial));
+      await fsPromises.rename(partial, file);
+    } catch (error) {
+      await fsPromises.rm(partial, { force: true });
+      throw error;
+    }
+
+    this.logger.info(
+      `Snapshot esportato in ${file}: ${tip.height + 1} blocchi, ${accounts.length} account, ` +
+        `state root ${header.stateRoot}`
+    );
+    return header;
+  }
+
+  /**
+   * Importa uno snapshot in un database vuoto. L'ultimo blocco viene registrato solo a
+   * importazione completata: un'importazione interrotta lascia il database ancora vuoto.
+   * @param {string} source - Percorso del file oppure URL http(s) da cui scaricarlo
+   * @param {Object} [options]
+   * @param {string} [options.stateRoot] - State root attesa, obbligatoria per gli snapshot potati
+   * @returns {Promise<Object>} - Header dello snapshot
+   */
+  async import(source, { stateRoot: trustedStateRoot = null } = {}) {
+    if (await this.db.getLastBlockHash()) {
+      throw new Error(
+        "Il database contiene già una catena: l'importazione richiede una directory vuota"
+      );
+    }
+
+    // Resti di un'importazione interrotta: blocchi, altezze, indici e stati dei wallet
+    await this.db.clearUnregisteredChain();
+    await this.db.clearWalletStates();
+
+    const input = await ChainSnapshot.open(source);
+    const lines = readline.createInterface({
+      input: input.pipe(zlib.createGunzip()),
+      crlfDelay: Infinity
+    });
+
+    const checksum = crypto.createHash('sha256');
+    const accounts = [];
+    let header = null;
+    let trailer = null;
+    let parent = null;
+    // Stato ricalcolato rieseguendo le transazioni, null per gli snapshot potati
+    let replay = null;
+
+    for await (const line of lines) {
+      if (trailer) {
+        throw new Error('Dati dopo il checksum dello snapshot');
+      }
+
+      const entry = JSON.parse(line);
+      if (entry.type === 'checksum') {
+        trailer = entry;
+        continue;
+      }
+      checksum.update(`${line}\n`);
+
+      if (!header) {
+        header = this._checkHeader(entry, trustedStateRoot);
+        replay =
+          header.prunedHeight > 0 ? null : new AccountState(this.blockchain.config, this.db);
+      } else if (entry.type === 'block') {
+        if (accounts.length > 0) {
+          throw new Error('Blocco dopo gli account dello snapshot');
+        }
+        parent = await this._importBlock(entry.block, parent, header, replay);
+      } else if (entry.type === 'account') {
+        await this._importAccount(entry.account, accounts);
+      } else {
+        throw new Error(`Voce dello snapshot non riconosciuta: ${entry.type}`);
+      }
+    }
+
+    if (!trailer || trailer.sha256 !== checksum.digest('hex')) {
+      throw new Error('Checksum dello snapshot non valido o mancante');
+    }
+    if (!parent || parent.hash !== header.tipHash) {
+      throw new Error(`Lo snapshot non contiene la catena fino al blocco ${header.tipHash}`);
+    }
+    const stateRoot = AccountState.calculateStateRoot(accounts);
+    if (accounts.length !== header.accounts || stateRoot !== header.stateRoot) {
+      throw new Error(
+        `State root ${stateRoot} diversa da quella dello snapshot ${header.stateRoot}`
+      );
+    }
+    if (replay && replay.getStateRoot() !== stateRoot) {
+      throw new Error(
+        `State root ${stateRoot} diversa da quella delle transazioni rieseguite ` +
+          replay.getStateRoot()
+      );
+    }
+
+    if (header.prunedHeight > 0) {
+      await this.db.pruneBlocks([], header.prunedHeight);
+    }
+    await this.db.saveStateBlockHash(header.tipHash);
+    await this.db.saveLastBlockHash(header.tipHash);
+
+    this.logger.info(
+      `Snapshot importato: ${header.height + 1} blocchi, ${accounts.length} account, ` +
+        `ultimo blocco ${header.tipHash}`
+    );
+    return header;
+  }
+
+  /**
+   * Apre in lettura uno snapshot locale o remoto
+   * @param {string} source - Percorso del file oppure URL http(s)
+   * @returns {Promise<Readable>}
+   */
+  static async open(source) {
+    if (/^https?:\/\//.test(source)) {
+      const response = await axios.get(source, { responseType: 'stream' });
+      return response.data;
+    }
+    return fs.createReadStream(source);
+  }
+
+  /**
+   * Snapshot più recente: il file indicato oppure, se è una directory, l'ultimo file
+   * `.snapshot` modificato al suo interno
+   * @param {string} location - File o directory degli snapshot
+   * @returns {Promise<string|null>}
+   */
+  static async findLatest(location) {
+    try {
+      const stats = await fsPromises.stat(location);
+      if (!stats.isDirectory()) {
+        return location;
+      }
+
+      let latest = null;
+      for (const name of await fsPromises.readdir(location)) {
+        if (!name.endsWith(SNAPSHOT_EXTENSION)) {
+          continue;
+        }
+        const file = path.join(location, name);
+        const { mtimeMs } = await fsPromises.stat(file);
+        if (!latest || mtimeMs > latest.mtimeMs) {
+          latest = { file, mtimeMs };
+        }
+      }
+      return latest ? latest.file : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Legge l'header di uno snapshot senza decomprimere il resto del file
+   * @param {string} file - Percorso del file
+   * @returns {Promise<Object>}
+   */
+  static async readHeader(file) {
+    const input = fs.createReadStream(file);
+    const lines = readline.createInterface({
+      input: input.pipe(zlib.createGunzip()),
+      crlfDelay: Infinity
+    });
+    try {
+      for await (const line of lines) {
+        return JSON.parse(line);
+      }
+      throw new Error(`Snapshot ${file} vuoto`);
+    } finally {
+      lines.close();
+      input.destroy();
+    }
+  }
+
+  _checkHeader(header, trustedStateRoot) {
+    if (header.type !== 'header' || header.format !== SNAPSHOT_FORMAT) {
+      throw new Error('Il file non è uno snapshot della catena');
+    }
+    if (!Number.isInteger(header.version) || header.version > SNAPSHOT_VERSION) {
+      throw new Error(`Versione dello snapshot ${header.version} non supportata`);
+    }
+    if (header.genesisHash !== this.blockchain.getGenesisHash()) {
+      throw new Error(
+        `Snapshot della rete ${header.chain} (genesis ${header.genesisHash}), ` +
+          `atteso ${this.blockchain.chainSpec.name}`
+      );
+    }
+    if (trustedStateRoot && header.stateRoot !== trustedStateRoot) {
+      throw new Error(
+        `State root dello snapshot ${header.stateRoot} diversa da quella attesa ${trustedStateRoot}`
+      );
+    }
+    if (header.prunedHeight > 0 && !trustedStateRoot) {
+      throw new Error(
+        `Snapshot potato fino all'altezza ${header.prunedHeight - 1}: le transazioni non ` +
+          'possono essere rieseguite, indicare la state root attesa'
+      );
+    }
+
+    this.logger.info(
+      `Importazione dello snapshot della rete ${header.chain}: ${header.height + 1} blocchi, ` +
+        `ultimo blocco ${header.tipHash}`
+    );
+    return header;
+  }
+
+  // Verifica l'header del blocco rispetto al precedente e lo salva con le sue transazioni.
+  // Con `replay` il blocco viene validato per intero e le sue transazioni applicate allo stato
+  async _importBlock(block, parent, header, replay) {
+    const height = parent ? parent.height + 1 : 0;
+    const invalid = reason => new Error(`Blocco ${block.hash} all'altezza ${height}: ${reason}`);
+
+    if (block.height !== height || Block.calculateHash(block) !== block.hash) {
+      throw invalid('altezza o hash non validi');
+    }
+    if (height === 0 && block.hash !== this.blockchain.getGenesisHash()) {
+      throw invalid("genesis di un'altra rete");
+    }
+    if (parent && block.previousHash !== parent.hash) {
+      throw invalid('non collegato al blocco precedente');
+    }
+
+    // Dei blocchi potati resta solo l'header, e solo sotto l'altezza dichiarata
+    if (block.pruned && height >= header.prunedHeight) {
+      throw invalid("blocco potato sopra l'altezza di potatura dello snapshot");
+    }
+    if (
+      !block.pruned &&
+      (!Array.isArray(block.transactions) ||
+        block.merkleRoot !== Block.calculateMerkleRoot(block.transactions))
+    ) {
+      throw invalid('merkle root non valida');
+    }
+
+    const checkpoint = this.blockchain.chainSpec.checkpoints.get(height);
+    if (checkpoint && checkpoint !== block.hash) {
+      throw invalid(`in conflitto con il checkpoint ${checkpoint}`);
+    }
+
+    if (parent && replay) {
+      const chain = { height: parent.height, tipHash: parent.hash, state: replay };
+      if (!(await this.blockchain.isValidBlock(block, chain))) {
+        throw invalid('blocco o transazioni non validi');
+      }
+    } else if (parent) {
+      if (block.timestamp <= (await this.blockchain.getMedianTimePast(parent))) {
+        throw invalid('timestamp non successivo alla mediana degli ultimi blocchi');
+      }
+      if (!(await this.blockchain.engine.verifyBlock(block, parent))) {
+        throw invalid('regole del consenso non rispettate');
+      }
+    }
+
+    const parentWork = parent ? BigInt(parent.totalWork) : 0n;
+    const info = {
+      hash: block.hash,
+      previousHash: block.previousHash,
+      height,
+      totalWork: (parentWork + (await this.blockchain.getBlockWork(block))).toString()
+    };
+    if (!(await this.db.importBlock(block, info))) {
+      throw invalid('salvataggio fallito');
+    }
+    if (replay) {
+      replay.apply(block);
+    }
+
+    if (height % PROGRESS_INTERVAL === 0 || height === header.height) {
+      this._report('import', 'blocks', height, header.height);
+    }
+    return { ...block, totalWork: info.totalWork };
+  }
+
+  // Gli account arrivano ordinati per indirizzo, ognuno una sola volta
+  async _importAccount(account, accounts) {
+    const previous = accounts[accounts.length - 1];
+    if (
+      typeof account?.address !== 'string' ||
+      !Number.isInteger(account.balance) ||
+      !Number.isInteger(account.nonce) ||
+      account.nonce < 0 ||
+      (previous && account.address <= previous.address)
+    ) {
+      throw new Error(`Account dello snapshot non valido: ${JSON.stringify(account)}`);
+    }
+
+    const state = { address: account.address, balance: account.balance, nonce: account.nonce };
+    await this.db.saveWalletState(state.address, state);
+    accounts.push(state);
+  }
+
+  _report(task, phase, done, total) {
+    this.logger.info(`${task}: ${phase} ${done}/${total}`);
+    if (this.onProgress) {
+      this.onProgress({ task, phase, done, total });
+    }
+  }
+}
@@ -0,0 +1,172 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Block, BLOCK_VERSION } from './Block.js';
+import { COINBASE_SENDER, Transaction } from './Transaction.js';
+import { createConsensusEngine } from '../consensus/engines/index.js';
+
+// Directory con le specifiche delle reti predefinite (testnet, mainnet, devnet)
+const CHAINS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../config/chains');
+
+export const DEFAULT_CHAIN = 'testnet';
+
+/**
+ * Specifica di una rete: blocco genesis con le allocazioni iniziali, calendario delle
+ * ricompense e parametri di consenso. Tutti i nodi della stessa rete devono usare la stessa
+ * specifica, altrimenti i loro blocchi genesis (e quindi le catene) non coincidono.
+ */
+export class ChainSpec {
+  constructor(spec) {
+    if (!spec || !spec.name || !spec.genesis || !spec.consensus) {
+      throw new Error('Specifica della rete non valida: name, genesis e consensus sono richiesti');
+    }
+
+    this.name = spec.name;
+    this.genesis = { allocations: [], ...spec.genesis };
+    const addresses = new Set();
+    for (const allocation of this.genesis.allocations) {
+      const amount = allocation?.amount;
+      if (!allocation?.address || !Number.isInteger(amount) || amount <= 0) {
+        throw new Error(
+          'Specifica della rete non valida: ogni allocazione richiede address e un importo intero ' +
+            'positivo'
+        );
+      }
+      // Due allocazioni uguali avrebbero lo stesso hash e renderebbero invalido il genesis
+      if (addresses.has(allocation.address)) {
+        throw new Error(
+          `Specifica della rete non valida: allocazione ripetuta per ${allocation.address}`
+        );
+      }
+      addresses.add(allocation.address);
+    }
+    this.reward = { initial: 0, halvingInterval: 0, ...spec.reward };
+    this.consensus = spec.consensus;
+
+    // Motore di consenso (proof-of-work o proof-of-authority) con i suoi parametri
+    this.engine = createConsensusEngine(spec.consensus);
+    this.genesisBlock = this.createGenesisBlock();
+    this.genesisHash = this.genesisBlock.hash;
+
+    // Checkpoint: altezza -> hash del blocco che ogni catena valida deve contenere
+    this.checkpoints = ChainSpec.parseCheckpoints(spec.checkpoints);
+    // Blocco assunto valido ({ height, hash }): le firme delle transazioni nei blocchi
+    // precedenti non vengono verificate durante la prima sincronizzazione. Vale anche come
+    // checkpoint, così una catena che non lo contiene viene rifiutata.
+    this.assumeValid = null;
+    if (spec.assumeValid) {
+      const { height, hash } = spec.assumeValid;
+      const existing = this.checkpoints.get(height);
+      if (!Number.isInteger(height) || height < 1 || !ChainSpec.isBlockHash(hash)) {
+        throw new Error('Specifica della rete non valida: assumeValid richiede height e hash');
+      }
+      if (existing && existing !== hash) {
+        throw new Error(
+          `Specifica della rete non valida: assumeValid in conflitto con il checkpoint ${height}`
+        );
+      }
+      this.assumeValid = { height, hash };
+      this.checkpoints = ChainSpec.parseCheckpoints({ ...spec.checkpoints, [height]: hash });
+    }
+  }
+
+  /**
+   * Legge i checkpoint di una specifica ({ "1000": "<hash>" }), ordinati per altezza
+   * @param {Object} [checkpoints]
+   * @returns {Map<number, string>}
+   */
+  static parseCheckpoints(checkpoints = {}) {
+    const entries = Object.entries(checkpoints).map(([height, hash]) => {
+      const value = Number(height);
+      if (!Number.isInteger(value) || value < 0 || !ChainSpec.isBlockHash(hash)) {
+        throw new Error(`Specifica della rete non valida: checkpoint ${height} non valido`);
+      }
+      return [value, hash];
+    });
+    return new Map(entries.sort(([a], [b]) => a - b));
+  }
+
+  static isBlockHash(hash) {
+    return typeof hash === 'string' && /^[0-9a-f]{64}$/.test(hash);
+  }
+
+  /**
+   * Ultimo checkpoint fino all'altezza indicata
+   * @param {number} height - Altezza massima
+   * @returns {{ height: number, hash: string }|null}
+   */
+  getLastCheckpoint(height) {
+    let last = null;
+    for (const [checkpointHeight, hash] of this.checkpoints) {
+      if (checkpointHeight > height) {
+        break;
+      }
+      last = { height: checkpointHeight, hash };
+    }
+    return last;
+  }
+
+  /**
+   * Carica la specifica di una rete predefinita o da un file
+   * @param {string} [name] - Nome della rete (testnet, mainnet, devnet)
+   * @param {string} [specPath] - Percorso di un file di specifica personalizzato
+   * @returns {ChainSpec}
+   */
+  static load(name = DEFAULT_CHAIN, specPath = null) {
+    const file = specPath || path.join(CHAINS_DIR, `${name}.json`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Specifica della rete ${name} non trovata: ${file}`);
+    }
+    return new ChainSpec(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  // Carica la specifica della rete `network.type` o del file `network.chainSpec`
+  static fromConfig(config) {
+    return ChainSpec.load(config.network?.type || DEFAULT_CHAIN, config.network?.chainSpec);
+  }
+
+  /**
+   * Costruisce il blocco genesis in modo deterministico a partire dalla specifica:
+   * le allocazioni iniziali sono transazioni di ricompensa senza mittente reale
+   * @returns {Object}
+   */
+  createGenesisBlock() {
+    const transactions = this.genesis.allocations.map(allocation => {
+      const transaction = {
+        from: COINBASE_SENDER,
+        to: allocation.address,
+        amount: allocation.amount,
+        timestamp: this.genesis.timestamp
+      };
+      transaction.hash = Transaction.calculateHash(transaction);
+      return transaction;
+    });
+
+    const block = {
+      version: BLOCK_VERSION,
+      previousHash: '0'.repeat(64),
+      merkleRoot: Block.calculateMerkleRoot(transactions),
+      height: 0,
+      timestamp: this.genesis.timestamp,
+      ...this.engine.getGenesisFields(),
+      nonce: 0,
+      transactions
+    };
+    block.hash = Block.calculateHash(block);
+    return block;
+  }
+
+  /**
+   * Ricompensa per il blocco all'altezza indicata: parte da `reward.initial` e si dimezza
+   * ogni `reward.halvingInterval` blocchi (0 disattiva il dimezzamento)
+   * @param {number} height - Altezza del blocco
+   * @returns {number}
+   */
+  getBlockReward(height) {
+    const { initial, halvingInterval } = this.reward;
+    if (!halvingInterval) {
+      return initial;
+    }
+    return Math.floor(initial / 2 ** Math.floor(height / halvingInterval));
+  }
+}
@@ -1,6 +1,9 @@
-const crypto = require("crypto");
+import crypto from "crypto";
 
-class MerkleTree {
+// Root di un albero senza foglie (blocco senza transazioni)
+export const EMPTY_MERKLE_ROOT = "0".repeat(64);
+
+export class MerkleTree {
   constructor() {
     this.leaves = [];
     this.tree = [];
@@ -13,9 +16,17 @@ class MerkleTree {
     this._buildTree();
   }
 
-  // Costruisce l'albero di Merkle
+  // Aggiunge più transazioni ricostruendo l'albero una sola volta
+  addLeaves(transactions) {
+    for (const transaction of transactions) {
+      this.leaves.push(this._hashTransaction(transaction));
+    }
+    this._buildTree();
+  }
+
+  // Costruisce l'albero di Merkle: ogni livello è un array di hash, l'ultimo contiene la root
   _buildTree() {
-    this.tree = [...this.leaves];
+    this.tree = [[...this.leaves]];
 
     let level = 0;
     while (this.tree[level].length > 1) {
@@ -49,6 +60,9 @@ class MerkleTree {
 
   // Restituisce la root dell'albero
   getRoot() {
+    if (this.leaves.length === 0) {
+      return EMPTY_MERKLE_ROOT;
+    }
     return this.tree[this.tree.length - 1][0];
   }
 
@@ -68,12 +82,15 @@ class MerkleTree {
       const isRight = currentIndex % 2 === 1;
       const siblingIndex = isRight ? currentIndex - 1 : currentIndex + 1;
 
-      if (siblingIndex < this.tree[level].length) {
-        proof.push({
-          hash: this.tree[level][siblingIndex],
-          isRight: !isRight,
-        });
-      }
+      // L'ultimo nodo di un livello dispari è accoppiato con se stesso (vedi _buildTree)
+      const sibling =
+        siblingIndex < this.tree[level].length
+          ? this.tree[level][siblingIndex]
+          : this.tree[level][currentIndex];
+      proof.push({
+        hash: sibling,
+        isRight: !isRight,
+      });
 
       currentIndex = Math.floor(currentIndex / 2);
     }
@@ -96,5 +113,3 @@ class MerkleTree {
     return currentHash === root;
   }
 }
-
-module.exports = MerkleTree;
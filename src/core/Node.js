@@ -3,11 +3,13 @@ import { Logger } from '../utils/logger.js';
 import { NetworkManager } from '../network/NetworkManager.js';
 import { PeerManager } from '../network/PeerManager.js';
 import { Blockchain } from './Blockchain.js';
+import { BlockPruner } from './BlockPruner.js';
 import { Wallet } from './Wallet.js';
 import { Miner } from '../consensus/Miner.js';
 import { SyncManager } from '../consensus/SyncManager.js';
 import { GossipManager } from '../consensus/GossipManager.js';
 import { Mempool } from '../consensus/Mempool.js';
+import { PoolServer } from '../consensus/PoolServer.js';
 import { BlockchainDB } from '../storage/BlockchainDB.js';
 import { BlockchainEventEmitter } from '../utils/BlockchainEventEmitter.js';
 import { APIServer } from '../api/server.js';
@@ -62,9 +64,22 @@ export class Node extends EventEmitter {
       );
 
       this.blockchain = new Blockchain(this.config, this.blockchainDB);
+      this.pruner = new BlockPruner(this.config, this.blockchain);
       this.wallet = new Wallet(this.config);
       this.mempool = new Mempool(this.config, this.blockchain);
       this.miner = new Miner(this.config, this.blockchain, this.wallet, this.mempool);
+      // Pool di mining locale, attivo solo se richiesto dalla configurazione e con il
+      // consenso proof-of-work
+      this.poolServer = null;
+      if (this.config.mining?.pool?.enabled) {
+        if (this.blockchain.engine.name === 'pow') {
+          this.poolServer = new PoolServer(this.config, this.miner, this.blockchain);
+        } else {
+          this.logger.warn(
+            `Pool di mining non disponibile con il consenso ${this.blockchain.engine.name}`
+          );
+        }
+      }
       this.syncManager = new SyncManager(this.config, this.blockchain, this.networkManager);
       this.gossipManager = new GossipManager(
         this.config,
@@ -108,7 +123,6 @@ export class Node extends EventEmitter {
     if (!validatedConfig.blockchain) {
       validatedConfig.blockchain = {
         difficulty: 4,
-        miningReward: 50,
         maxTransactionsPerBlock: 10,
         blockInterval: 10000
       };
@@ -136,13 +150,9 @@ export class Node extends EventEmitter {
     if (!validatedConfig.storage) {
       validatedConfig.storage = {
         path: path.join(process.cwd(), 'db', validatedConfig.node.id || 'node'),
-        maxSize: 1024 * 1024 * 100, // 100MB
         options: { valueEncoding: 'json' }
       };
     } else {
-      if (!validatedConfig.storage.maxSize) {
-        validatedConfig.storage.maxSize = 1024 * 1024 * 100; // 100MB
-      }
       if (!validatedConfig.storage.options) {
         validatedConfig.storage.options = { valueEncoding: 'json' };
       }
@@ -249,8 +259,10 @@ export class Node extends EventEmitter {
         }
       });
 
-      // Inizializza il database blockchain
-      await this.blockchainDB.init();
+      // Inizializza il database blockchain, applicando le migrazioni dello schema
+      if (!(await this.blockchainDB.init())) {
+        throw new Error('Database blockchain non utilizzabile');
+      }
 
       // Inizializza la blockchain
       await this.blockchain.init();
@@ -258,9 +270,19 @@ export class Node extends EventEmitter {
       // Inizializza il wallet
       await this.wallet.init();
 
+      // Avvia la scadenza periodica delle transazioni in attesa
+      this.mempool.start();
+
+      // Avvia la potatura dei blocchi più vecchi, se abilitata
+      this.pruner.start();
+
       // Aggiorna il NetworkManager per usare il nodeId già generato
       this.networkManager.nodeId = this.nodeId;
 
+      // I peer vengono accettati solo se condividono il nostro blocco genesis
+      this.networkManager.genesisHash = this.blockchain.getGenesisHash();
+      this.networkManager.blockchain = this.blockchain;
+
       // Inizializza il network manager
       await this.networkManager.start();
 
@@ -270,6 +292,11 @@ export class Node extends EventEmitter {
       // Inizializza il sync manager
       await this.syncManager.start();
 
+      // Avvia il pool di mining
+      if (this.poolServer) {
+        await this.poolServer.start();
+      }
+
       // Avvia il server API
       if (this.config.api?.enabled !== false) {
         await this.apiServer.start();
@@ -316,8 +343,13 @@ export class Node extends EventEmitter {
         await this.apiServer.stop();
       }
 
+      // Ferma il pool di mining
+      if (this.poolServer) {
+        await this.poolServer.stop();
+      }
+
       // Ferma il miner
-      if (this.miner && this.miner.isMining) {
+      if (this.miner && this.miner.isRunning) {
         await this.miner.stop();
       }
 
@@ -326,6 +358,16 @@ export class Node extends EventEmitter {
         await this.gossipManager.stop();
       }
 
+      // Ferma la scadenza delle transazioni in attesa
+      if (this.mempool) {
+        this.mempool.stop();
+      }
+
+      // Ferma la potatura dei blocchi
+      if (this.pruner) {
+        this.pruner.stop();
+      }
+
       // Ferma il sync manager
       if (this.syncManager) {
         await this.syncManager.stop();
@@ -360,9 +402,25 @@ export class Node extends EventEmitter {
     });
 
     this.networkManager.on('peer:disconnect', peer => {
+      this.blockchain.networkTime.removeSample(peer.id);
       this.emit('peer:disconnect', peer);
     });
 
+    // Orologi dei peer, per il tempo di rete usato nella validazione
+    this.networkManager.on('peer:time', ({ peerId, timestamp, localTime }) => {
+      this.blockchain.networkTime.addSample(peerId, timestamp, localTime);
+    });
+
+    // Blocchi ricevuti dai peer, anche fuori ordine
+    this.networkManager.on('block:received', ({ block, peerId }) => {
+      this.gossipManager.handleNewBlock(block, peerId);
+    });
+
+    // Transazioni ricevute dai peer, come i voti dei validatori
+    this.networkManager.on('transaction:received', ({ transaction }) => {
+      this.gossipManager.handleNewTransaction(transaction);
+    });
+
     // Eventi blockchain
     this.blockchain.on('block:new', block => {
       this.emit('block:new', block);
@@ -381,11 +439,35 @@ export class Node extends EventEmitter {
       this.emit('transaction:confirmed', transaction);
     });
 
+    this.mempool.on('transaction:expired', transaction => {
+      this.emit('transaction:expired', transaction);
+    });
+
+    this.mempool.on('transaction:evicted', transaction => {
+      this.emit('transaction:evicted', transaction);
+    });
+
+    this.mempool.on('transaction:replaced', replacement => {
+      this.emit('transaction:replaced', replacement);
+    });
+
     // Eventi mining
     this.miner.on('block:mined', block => {
       this.emit('block:mined', block);
     });
 
+    // I blocchi trovati dai worker del pool vengono propagati alla rete
+    if (this.poolServer) {
+      this.poolServer.on('block:found', async block => {
+        try {
+          await this.networkManager.broadcast({ type: 'new_block', block });
+        } catch (error) {
+          this.logger.error('Errore nella propagazione del blocco del pool:', error);
+        }
+        this.emit('block:mined', block);
+      });
+    }
+
     // Eventi sync
     this.syncManager.on('sync:start', () => {
       this.emit('sync:start');
@@ -424,6 +506,12 @@ export class Node extends EventEmitter {
       return {
         height: this.blockchain ? this.blockchain.getHeight() : 0,
         hash: this.blockchain ? this.blockchain.getLatestBlockHash() : null,
+        chain: this.blockchain ? this.blockchain.chainSpec.name : null,
+        genesisHash: this.blockchain ? this.blockchain.getGenesisHash() : null,
+        stateRoot: this.blockchain ? this.blockchain.state.getStateRoot() : null,
+        consensus: this.blockchain ? this.blockchain.engine.getStatus() : null,
+        networkTime: this.blockchain ? this.blockchain.networkTime.getStatus() : null,
+        pruning: this.pruner ? this.pruner.getStatus() : null,
         difficulty: this.blockchain
           ? this.blockchain.getDifficulty()
           : this.config.blockchain.difficulty,
@@ -443,22 +531,85 @@ export class Node extends EventEmitter {
 
   async getWalletBalance(address) {
     try {
-      return this.wallet ? await this.wallet.getBalance(address) : 0;
+      return this.blockchain ? this.blockchain.getBalance(address) : 0;
     } catch (error) {
       this.logger.error(`Errore nel recupero del saldo per l'indirizzo ${address}:`, error);
       return 0;
     }
   }
 
-  async createTransaction(to, amount) {
+  async createTransaction(to, amount, fee = 0) {
     try {
-      return this.wallet ? await this.wallet.createTransaction(to, amount) : null;
+      if (!this.wallet) {
+        return null;
+      }
+
+      // Il nonce segue quelli già confermati o in attesa nel mempool
+      const nonce = this.mempool.getNextNonce(this.wallet.getAddress());
+      return await this.wallet.createTransaction(to, amount, nonce, fee);
     } catch (error) {
       this.logger.error('Errore nella creazione della transazione:', error);
       throw error;
     }
   }
 
+  /**
+   * Vota l'aggiunta o la rimozione di un validatore proof-of-authority con il wallet del nodo
+   * @param {string} candidate - Indirizzo del candidato
+   * @param {string} vote - 'add' o 'remove'
+   * @param {number} [fee] - Commissione
+   * @returns {Promise<Object|null>} - Transazione di voto, null se rifiutata dal mempool
+   */
+  async voteValidator(candidate, vote, fee = 0) {
+    try {
+      if (!this.wallet) {
+        return null;
+      }
+
+      const nonce = this.mempool.getNextNonce(this.wallet.getAddress());
+      const transaction = this.wallet.createVote(candidate, vote, nonce, fee);
+      if (!(await this.mempool.addTransaction(transaction))) {
+        return null;
+      }
+
+      if (this.networkManager) {
+        await this.networkManager.broadcast({ type: 'new_transaction', transaction });
+      }
+      return transaction;
+    } catch (error) {
+      this.logger.error('Errore nel voto del validatore:', error);
+      throw error;
+    }
+  }
+
+  async getBlockTemplate(rewardAddress) {
+    return await this.miner.getBlockTemplate(rewardAddress);
+  }
+
+  /**
+   * Accetta un header risolto da un miner esterno e propaga il blocco alla rete
+   * @param {Object} header - Header del template ricevuto da getBlockTemplate
+   * @param {number} nonce - Nonce trovato
+   * @returns {Promise<Object>} - Esito della validazione
+   */
+  async submitBlock(header, nonce) {
+    try {
+      const result = await this.miner.submitBlock(header, nonce);
+      if (result.accepted && this.networkManager) {
+        await this.networkManager.broadcast({ type: 'new_block', block: result.block });
+      }
+      return result;
+    } catch (error) {
+      this.logger.error("Errore nell'invio del blocco minato esternamente:", error);
+      throw error;
+    }
+  }
+
+  // Statistiche del pool di mining, null se il pool non è attivo
+  getPoolStats() {
+    return this.poolServer ? this.poolServer.getStats() : null;
+  }
+
   async broadcastTransaction(transaction) {
     try {
       return this.gossipManager
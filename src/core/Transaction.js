@@ -1,70 +1,241 @@
-const crypto = require("crypto");
-const logger = require("../utils/logger");
+import crypto from 'crypto';
+import { Logger } from '../utils/logger.js';
 
-class Transaction {
-  constructor(from, to, amount, timestamp = Date.now()) {
+const logger = new Logger('Transaction');
+
+// Mittente convenzionale delle transazioni di ricompensa: accreditano senza addebitare
+export const COINBASE_SENDER = 'network';
+
+// Tipo della transazione di ricompensa, sempre la prima di ogni blocco
+export const COINBASE_TYPE = 'coinbase';
+
+// Voto di un validatore proof-of-authority per aggiungere o rimuovere il validatore `to`
+export const VOTE_TYPE = 'vote';
+export const VOTE_ADD = 'add';
+export const VOTE_REMOVE = 'remove';
+
+export class Transaction {
+  constructor(from, to, amount, nonce, timestamp = Date.now(), fee = 0) {
     this.from = from;
     this.to = to;
     this.amount = amount;
+    this.fee = fee;
+    this.nonce = nonce;
     this.timestamp = timestamp;
+    this.publicKey = null;
     this.signature = null;
   }
 
+  // Dati coperti dalla firma: il nonce rende ogni transazione firmata utilizzabile una sola volta.
+  // Tipo e voto compaiono solo nei voti, così le firme dei trasferimenti restano invariate
+  static getSignedData(transaction) {
+    return JSON.stringify({
+      type: transaction.type,
+      from: transaction.from,
+      to: transaction.to,
+      amount: transaction.amount,
+      fee: transaction.fee,
+      nonce: transaction.nonce,
+      timestamp: transaction.timestamp,
+      vote: transaction.vote
+    });
+  }
+
+  // Calcola l'hash di una transazione, firma inclusa
+  static calculateHash(transaction) {
+    const data = JSON.stringify({
+      type: transaction.type,
+      from: transaction.from,
+      to: transaction.to,
+      amount: transaction.amount,
+      outputs: transaction.outputs,
+      fee: transaction.fee,
+      nonce: transaction.nonce,
+      timestamp: transaction.timestamp,
+      vote: transaction.vote,
+      signature: transaction.signature
+    });
+
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+
+  /**
+   * Crea la transazione di ricompensa di un blocco. Il nonce è l'altezza del blocco, così
+   * ogni coinbase ha un hash diverso anche a parità di destinatario e importo.
+   * @param {string} to - Indirizzo che riceve ricompensa e commissioni
+   * @param {number} amount - Sussidio più commissioni del blocco
+   * @param {number} height - Altezza del blocco
+   * @param {number} [timestamp]
+   * @param {Array<Object>} [outputs] - Ripartizione dell'importo ({ address, amount }),
+   *   usata dal pool per pagare i worker direttamente nella coinbase
+   * @returns {Object}
+   */
+  static createCoinbase(to, amount, height, timestamp = Date.now(), outputs = null) {
+    const transaction = {
+      type: COINBASE_TYPE,
+      from: COINBASE_SENDER,
+      to,
+      amount,
+      nonce: height,
+      timestamp
+    };
+    if (outputs) {
+      transaction.outputs = outputs;
+    }
+    transaction.hash = Transaction.calculateHash(transaction);
+    return transaction;
+  }
+
+  static isCoinbase(transaction) {
+    return transaction.type === COINBASE_TYPE;
+  }
+
+  static isVote(transaction) {
+    return transaction.type === VOTE_TYPE;
+  }
+
+  // Accrediti della transazione: solo la coinbase (non firmata) può ripartire l'importo
+  // tra più indirizzi, le altre accreditano sempre `to`
+  static getOutputs(transaction) {
+    if (Transaction.isCoinbase(transaction) && Array.isArray(transaction.outputs)) {
+      return transaction.outputs;
+    }
+    return [{ address: transaction.to, amount: Number(transaction.amount) }];
+  }
+
+  // Importo trasferito valido: intero e positivo, solo i voti dei validatori non trasferiscono
+  // fondi e valgono 0. Vale sia per la mempool sia per la validazione dei blocchi.
+  // Importi e commissioni sono numeri interi esatti: con i decimali, o oltre
+  // Number.MAX_SAFE_INTEGER, i saldi accumulerebbero errori di arrotondamento diversi a seconda
+  // dell'ordine in cui i nodi applicano le transazioni. Le stringhe numeriche non sono ammesse.
+  static hasValidAmount(transaction) {
+    const amount = transaction.amount;
+    if (typeof amount !== 'number' || !Number.isSafeInteger(amount)) {
+      return false;
+    }
+    return amount > 0 || (amount === 0 && Transaction.isVote(transaction));
+  }
+
+  // Commissione pagata al miner (le transazioni senza commissione valgono 0)
+  static getFee(transaction) {
+    return Number(transaction.fee || 0);
+  }
+
+  // Commissione valida: facoltativa, ma intera e mai negativa. Anche il costo addebitato al
+  // mittente, importo più commissione, deve restare un intero esatto.
+  static hasValidFee(transaction) {
+    const fee = transaction.fee === undefined ? 0 : transaction.fee;
+    if (typeof fee !== 'number' || !Number.isSafeInteger(fee) || fee < 0) {
+      return false;
+    }
+    return Number.isSafeInteger(Transaction.getCost(transaction));
+  }
+
+  // Importo totale addebitato al mittente: importo trasferito più commissione
+  static getCost(transaction) {
+    return Number(transaction.amount) + Transaction.getFee(transaction);
+  }
+
+  // Dimensione in byte della transazione serializzata
+  static getSize(transaction) {
+    return Buffer.byteLength(JSON.stringify(transaction));
+  }
+
+  // Commissione per byte, usata per ordinare le transazioni in attesa
+  static getFeeRate(transaction) {
+    return Transaction.getFee(transaction) / Transaction.getSize(transaction);
+  }
+
+  // Deriva l'indirizzo dalla chiave pubblica (SHA-256 della chiave in formato DER)
+  static deriveAddress(publicKey) {
+    const der = crypto.createPublicKey(publicKey).export({ type: 'spki', format: 'der' });
+    return crypto.createHash('sha256').update(der).digest('hex');
+  }
+
+  // Indirizzo nel formato di deriveAddress: 64 cifre esadecimali minuscole
+  static isValidAddress(address) {
+    return typeof address === 'string' && /^[0-9a-f]{64}$/.test(address);
+  }
+
+  // Verifica che la firma sia valida e appartenga all'indirizzo del mittente
+  static verifySignature(transaction) {
+    if (!transaction.signature || !transaction.publicKey) {
+      return false;
+    }
+
+    if (Transaction.deriveAddress(transaction.publicKey) !== transaction.from) {
+      return false;
+    }
+
+    const verify = crypto.createVerify('SHA256');
+    verify.update(Transaction.getSignedData(transaction));
+    return verify.verify(transaction.publicKey, transaction.signature, 'hex');
+  }
+
   // Calcola l'hash della transazione
   calculateHash() {
-    const data = `${this.from}${this.to}${this.amount}${this.timestamp}`;
-    return crypto.createHash("sha256").update(data).digest("hex");
+    return Transaction.calculateHash(this);
   }
 
   // Firma la transazione
-  sign(privateKey) {
-    if (this.from === "network") {
-      logger.warn("Impossibile firmare una transazione di ricompensa");
+  sign(privateKey, publicKey) {
+    if (this.from === COINBASE_SENDER) {
+      logger.warn('Impossibile firmare una transazione di ricompensa');
       return false;
     }
 
-    const hash = this.calculateHash();
-    const sign = crypto.createSign("SHA256");
-    sign.update(hash);
-    this.signature = sign.sign(privateKey, "hex");
+    if (!Number.isInteger(this.nonce) || this.nonce < 0) {
+      logger.warn('Impossibile firmare una transazione senza nonce valido');
+      return false;
+    }
 
-    logger.info("Transazione firmata con successo");
+    const sign = crypto.createSign('SHA256');
+    sign.update(Transaction.getSignedData(this));
+    this.publicKey = publicKey;
+    this.signature = sign.sign(privateKey, 'hex');
+
+    logger.info('Transazione firmata con successo');
     return true;
   }
 
   // Verifica la validità della transazione
   isValid() {
-    if (this.from === "network") {
+    if (this.from === COINBASE_SENDER) {
       return true;
     }
 
     if (!this.signature) {
-      logger.error("Transazione non firmata");
+      logger.error('Transazione non firmata');
       return false;
     }
 
-    const hash = this.calculateHash();
-    const verify = crypto.createVerify("SHA256");
-    verify.update(hash);
-
-    const isValid = verify.verify(this.from, this.signature, "hex");
+    const isValid = Transaction.verifySignature(this);
     if (!isValid) {
-      logger.error("Firma della transazione non valida");
+      logger.error('Firma della transazione non valida');
     }
 
     return isValid;
   }
 
-  // Converte la transazione in formato JSON
+  // Converte la transazione in formato JSON, con tutti i campi coperti da firma e hash
   toJSON() {
-    return {
+    const json = {
       from: this.from,
       to: this.to,
       amount: this.amount,
+      fee: this.fee,
+      nonce: this.nonce,
       timestamp: this.timestamp,
+      publicKey: this.publicKey,
       signature: this.signature,
-      hash: this.calculateHash(),
+      hash: this.calculateHash()
     };
+    for (const field of ['type', 'outputs', 'vote']) {
+      if (this[field] !== undefined) {
+        json[field] = this[field];
+      }
+    }
+    return json;
   }
 
   // Crea una transazione da un oggetto JSON
@@ -73,11 +244,17 @@ class Transaction {
       json.from,
       json.to,
       json.amount,
-      json.timestamp
+      json.nonce,
+      json.timestamp,
+      json.fee
     );
+    for (const field of ['type', 'outputs', 'vote']) {
+      if (json[field] !== undefined) {
+        transaction[field] = json[field];
+      }
+    }
+    transaction.publicKey = json.publicKey;
     transaction.signature = json.signature;
     return transaction;
   }
 }
-
-module.exports = Transaction;
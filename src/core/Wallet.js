@@ -2,6 +2,7 @@ import { Logger } from '../utils/logger.js';
 import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
+import { Transaction, VOTE_TYPE, VOTE_ADD, VOTE_REMOVE } from './Transaction.js';
 
 export class Wallet {
   constructor(config) {
@@ -45,7 +46,7 @@ export class Wallet {
         this.privateKey = this.config.wallet.privateKey;
         this.publicKey = crypto.createPublicKey(this.privateKey).export({
           type: 'spki',
-          format: 'der'
+          format: 'pem'
         });
       } else {
         // Prova a caricare le chiavi dal file
@@ -84,8 +85,7 @@ export class Wallet {
       }
 
       // Genera l'indirizzo
-      const publicKeyBuffer = Buffer.from(this.publicKey.replace(/-----BEGIN PUBLIC KEY-----|-----END PUBLIC KEY-----|\n/g, ''), 'base64');
-      this.address = crypto.createHash('sha256').update(publicKeyBuffer).digest('hex');
+      this.address = Transaction.deriveAddress(this.publicKey);
 
       this.logger.info(`Wallet inizializzato con indirizzo: ${this.address}`);
     } catch (error) {
@@ -94,29 +94,27 @@ export class Wallet {
     }
   }
 
-  createTransaction(to, amount) {
+  createTransaction(to, amount, nonce, fee = 0) {
     try {
+      if (!Number.isInteger(nonce) || nonce < 0) {
+        throw new Error('Nonce della transazione mancante o non valido');
+      }
+
+      if (!Number.isInteger(fee) || fee < 0) {
+        throw new Error('Commissione della transazione non valida');
+      }
+
       const transaction = {
         from: this.address,
         to,
         amount,
-        timestamp: Date.now()
+        fee,
+        nonce,
+        timestamp: Date.now(),
+        publicKey: this.publicKey
       };
 
-      // Firma la transazione
-      const sign = crypto.createSign('SHA256');
-      sign.update(
-        JSON.stringify({
-          from: transaction.from,
-          to: transaction.to,
-          amount: transaction.amount,
-          timestamp: transaction.timestamp
-        })
-      );
-
-      transaction.signature = sign.sign(this.privateKey, 'hex');
-      transaction.hash = this.calculateTransactionHash(transaction);
-
+      this._signTransaction(transaction);
       this.logger.info(`Nuova transazione creata: ${transaction.hash}`);
       return transaction;
     } catch (error) {
@@ -125,16 +123,60 @@ export class Wallet {
     }
   }
 
+  /**
+   * Crea il voto di un validatore proof-of-authority
+   * @param {string} candidate - Indirizzo da aggiungere o rimuovere dai validatori
+   * @param {string} vote - VOTE_ADD o VOTE_REMOVE
+   * @param {number} nonce - Nonce del wallet
+   * @param {number} [fee] - Commissione
+   * @returns {Object}
+   */
+  createVote(candidate, vote, nonce, fee = 0) {
+    try {
+      if (vote !== VOTE_ADD && vote !== VOTE_REMOVE) {
+        throw new Error(`Voto non valido: ${vote}`);
+      }
+
+      if (!Number.isInteger(nonce) || nonce < 0) {
+        throw new Error('Nonce del voto mancante o non valido');
+      }
+
+      if (!Number.isInteger(fee) || fee < 0) {
+        throw new Error('Commissione del voto non valida');
+      }
+
+      const transaction = {
+        type: VOTE_TYPE,
+        from: this.address,
+        to: candidate,
+        amount: 0,
+        fee,
+        nonce,
+        timestamp: Date.now(),
+        vote,
+        publicKey: this.publicKey
+      };
+
+      this._signTransaction(transaction);
+      this.logger.info(`Voto ${vote} per il validatore ${candidate} creato: ${transaction.hash}`);
+      return transaction;
+    } catch (error) {
+      this.logger.error('Errore nella creazione del voto:', error);
+      throw error;
+    }
+  }
+
+  // Firma la transazione e ne calcola l'hash
+  _signTransaction(transaction) {
+    const sign = crypto.createSign('SHA256');
+    sign.update(Transaction.getSignedData(transaction));
+
+    transaction.signature = sign.sign(this.privateKey, 'hex');
+    transaction.hash = this.calculateTransactionHash(transaction);
+  }
+
   calculateTransactionHash(transaction) {
-    const data = JSON.stringify({
-      from: transaction.from,
-      to: transaction.to,
-      amount: transaction.amount,
-      timestamp: transaction.timestamp,
-      signature: transaction.signature
-    });
-
-    return crypto.createHash('sha256').update(data).digest('hex');
+    return Transaction.calculateHash(transaction);
   }
 
   getAddress() {
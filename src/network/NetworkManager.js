@@ -40,6 +40,14 @@ export class NetworkManager extends EventEmitter {
     this.nodeId = null;
     this.dht = null;
     this.peers = new Set(); // Set di peer connessi
+    // Hash del blocco genesis della nostra rete, impostato dal nodo dopo l'avvio della blockchain
+    this.genesisHash = null;
+    // Blockchain locale, impostata dal nodo: serve a rispondere alle richieste di blocchi
+    this.blockchain = null;
+    // Peer rifiutati perché appartenenti a un'altra rete
+    this.rejectedPeers = new Set();
+    // Peer potati -> prima altezza di cui conservano i blocchi completi
+    this.prunedPeers = new Map();
     this.stats = {
       activeConnections: 0,
       totalConnections: 0,
@@ -49,7 +57,8 @@ export class NetworkManager extends EventEmitter {
       myAddress: null,
       networkType: null
     };
-    this.networkType = config.network.type || 'normal';
+    // Modalità di connessione (normal, demo); senza modalità vale il nome della rete
+    this.networkType = config.network.mode || config.network.type || 'normal';
     this.p2pPort = parseInt(process.env.P2P_PORT) || config.network.port || config.p2p.port || 6001;
     this.running = false;
     this.port = null;
@@ -220,6 +229,11 @@ export class NetworkManager extends EventEmitter {
       try {
         this.node.addEventListener('peer:connect', evt => {
           const connectedPeerId = evt.detail.toString();
+          if (this.rejectedPeers.has(connectedPeerId)) {
+            this.logger.warn(`Peer ${connectedPeerId} di un'altra rete, connessione rifiutata`);
+            this.node.hangUp(evt.detail).catch(() => {});
+            return;
+          }
           this.logger.info(`Connesso al peer: ${connectedPeerId}`);
           this.peers.add(connectedPeerId);
           this.stats.activeConnections++;
@@ -230,8 +244,14 @@ export class NetworkManager extends EventEmitter {
           const disconnectedPeerId = evt.detail.toString();
           this.logger.info(`Disconnesso dal peer: ${disconnectedPeerId}`);
           this.peers.delete(disconnectedPeerId);
+          this.prunedPeers.delete(disconnectedPeerId);
           this.stats.activeConnections--;
         });
+
+        // Stream aperti dai peer: le richieste ricevono la risposta sullo stesso stream
+        await this.node.handle('/drakon/1.0.0', ({ stream, connection }) =>
+          this._handleIncomingStream(stream, connection)
+        );
       } catch (error) {
         this.logger.error(`Errore nell'impostazione degli event listeners: ${error.message}`);
         throw error;
@@ -522,7 +542,8 @@ ${connectedPeers.length > 0
     for (const peerId of this.peers) {
       peersList.push({
         id: peerId,
-        connected: true
+        connected: true,
+        prunedHeight: this.prunedPeers.get(peerId) || 0
       });
     }
 
@@ -631,6 +652,52 @@ ${connectedPeers.length > 0
     }
   }
 
+  /**
+   * Richiede a un peer un blocco per hash, per esempio il genitore di un blocco orfano
+   * @param {string} peerId - ID del peer
+   * @param {string} hash - Hash del blocco
+   * @returns {Promise<Object|null>} Blocco ricevuto, null se il peer non lo conosce
+   */
+  async requestBlockByHash(peerId, hash) {
+    try {
+      if (!this.peers.has(peerId)) {
+        throw new Error(`Peer ${peerId} non connesso`);
+      }
+
+      const stream = await this.node.dialProtocol(peerId, ['/drakon/1.0.0']);
+      const message = {
+        type: 'block_request',
+        hash,
+        timestamp: Date.now()
+      };
+      await stream.sink([Buffer.from(JSON.stringify(message))]);
+
+      const response = await this._readStream(stream);
+      return response?.block || null;
+    } catch (error) {
+      this.logger.error(`Errore nella richiesta del blocco ${hash} al peer ${peerId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Invia un blocco a un peer specifico
+   * @param {string} peerId - ID del peer
+   * @param {Object} block - Blocco da inviare
+   */
+  async sendBlock(peerId, block) {
+    return await this.sendMessage(peerId, { type: 'new_block', block });
+  }
+
+  /**
+   * Invia una transazione a un peer specifico
+   * @param {string} peerId - ID del peer
+   * @param {Object} transaction - Transazione da inviare
+   */
+  async sendTransaction(peerId, transaction) {
+    return await this.sendMessage(peerId, { type: 'new_transaction', transaction });
+  }
+
   /**
    * Recupera informazioni di rete
    */
@@ -1180,11 +1247,7 @@ ${connectedPeers.length > 0
         nodeId: this.myId,
         ip: this.dht.myIp,
         port: this.config.p2p.port,
-        metadata: {
-          isBootstrap: this.config.node?.isBootstrap || false,
-          version: this.config.version || '1.0.0',
-          name: this.config.node?.name
-        },
+        metadata: this._getLocalMetadata(),
         timestamp: Date.now()
       };
 
@@ -1194,6 +1257,15 @@ ${connectedPeers.length > 0
       // Leggi la risposta
       const response = await this._readStream(stream);
       if (response && response.type === 'dht_exchange' && response.nodeId) {
+        if (!(await this._checkPeerGenesis(peerId, response.metadata))) {
+          return;
+        }
+
+        this._recordPeerPruning(peerId, response.metadata);
+
+        // Il peer ha risposto a metà, circa, del tempo di andata e ritorno
+        this._emitPeerTime(peerId, response.timestamp, (nodeInfo.timestamp + Date.now()) / 2);
+
         // Aggiorna la DHT con le informazioni ricevute
         this.dht.updateNode(response.nodeId, {
           ip: response.ip,
@@ -1210,6 +1282,38 @@ ${connectedPeers.length > 0
     }
   }
 
+  // Metadati del nodo annunciati ai peer nell'handshake
+  _getLocalMetadata() {
+    return {
+      isBootstrap: this.config.node?.isBootstrap || false,
+      version: this.config.version || '1.0.0',
+      name: this.config.node?.name,
+      genesisHash: this.genesisHash,
+      // Un nodo potato non può fornire i blocchi completi sotto questa altezza
+      prunedHeight: this.blockchain ? this.blockchain.getPrunedHeight() : 0
+    };
+  }
+
+  // Registra l'altezza sotto la quale un peer potato non ha più i blocchi completi
+  _recordPeerPruning(peerId, metadata) {
+    const prunedHeight = Number(metadata?.prunedHeight);
+    if (Number.isInteger(prunedHeight) && prunedHeight > 0) {
+      this.prunedPeers.set(peerId, prunedHeight);
+    } else {
+      this.prunedPeers.delete(peerId);
+    }
+  }
+
+  /**
+   * Indica se un peer può fornire il blocco completo a una data altezza
+   * @param {string} peerId - ID del peer
+   * @param {number} height - Altezza del blocco
+   * @returns {boolean}
+   */
+  canServeBlock(peerId, height) {
+    return height >= (this.prunedPeers.get(peerId) || 0);
+  }
+
   async _readStream(stream) {
     try {
       const { value } = await stream.source.next();
@@ -1226,6 +1330,7 @@ ${connectedPeers.length > 0
 
     if (this.peers.has(id)) {
       this.peers.delete(id);
+      this.prunedPeers.delete(id);
       this.stats.activeConnections--;
       
       // Emetti evento di disconnessione
@@ -1272,7 +1377,26 @@ ${connectedPeers.length > 0
     });
   }
 
-  async _handleMessage(message, connection) {
+  async _handleIncomingStream(stream, connection) {
+    const message = await this._readStream(stream);
+    if (!message) {
+      return;
+    }
+
+    try {
+      await this._handleMessage(message, connection, stream);
+    } catch (error) {
+      this.logger.error('Errore nella gestione del messaggio:', error);
+    }
+  }
+
+  /**
+   * Smista un messaggio ricevuto da un peer al gestore del suo tipo
+   * @param {Object} message - Messaggio ricevuto
+   * @param {Object} connection - Connessione del peer
+   * @param {Object} [stream] - Stream su cui è arrivato il messaggio, per le risposte
+   */
+  async _handleMessage(message, connection, stream = null) {
     this.stats.messagesReceived++;
 
     switch (message.type) {
@@ -1282,6 +1406,9 @@ ${connectedPeers.length > 0
       case 'ping':
         await this._handlePing(message, connection);
         break;
+      case 'pong':
+        this._handlePong(message, connection);
+        break;
       case 'network_info':
         await this._handleNetworkInfo(message, connection);
         break;
@@ -1294,6 +1421,23 @@ ${connectedPeers.length > 0
       case 'find_node':
         await this._handleFindNode(message, connection);
         break;
+      case 'new_block':
+        // Il blocco viene gestito dal GossipManager, che ne conosce il mittente
+        this.emit('block:received', {
+          block: message.block,
+          peerId: connection.remotePeer?.toString() || null
+        });
+        break;
+      case 'new_transaction':
+        // La transazione viene validata e propagata dal GossipManager
+        this.emit('transaction:received', {
+          transaction: message.transaction,
+          peerId: connection.remotePeer?.toString() || null
+        });
+        break;
+      case 'block_request':
+        await this._handleBlockRequest(message, stream);
+        break;
       default:
         this.logger.warn(`Tipo di messaggio non supportato: ${message.type}`);
     }
@@ -1307,11 +1451,45 @@ ${connectedPeers.length > 0
     this.emit('message:broadcast', message.data);
   }
 
+  // Risponde con il blocco richiesto per hash o per altezza, null se non è noto. La risposta
+  // va sullo stream della richiesta, dove il peer la attende
+  async _handleBlockRequest(message, stream) {
+    if (!stream) {
+      this.logger.warn('Richiesta di blocco ricevuta fuori da uno stream, ignorata');
+      return;
+    }
+
+    try {
+      let block = null;
+      if (this.blockchain) {
+        block = message.hash
+          ? await this.blockchain.getBlock(message.hash)
+          : await this.blockchain.getBlockByHeight(message.height);
+      }
+
+      // Dei blocchi potati resta solo l'header: il peer deve chiederli a un altro nodo
+      const pruned = Boolean(block?.pruned);
+      const response = {
+        type: 'block_response',
+        block: pruned ? null : block,
+        pruned,
+        timestamp: Date.now()
+      };
+
+      await stream.sink([Buffer.from(JSON.stringify(response))]);
+    } catch (error) {
+      this.logger.error("Errore nell'invio del blocco richiesto:", error);
+    }
+  }
+
   async _handlePing(message, connection) {
     // Implementa la logica per gestire i ping
+    this._emitPeerTime(connection.remotePeer?.toString(), message.timestamp);
     const response = {
       type: 'pong',
       timestamp: Date.now(),
+      // Timestamp del ping, per misurare il tempo di andata e ritorno
+      echo: message.timestamp,
       sender: this.myId
     };
 
@@ -1323,6 +1501,23 @@ ${connectedPeers.length > 0
     }
   }
 
+  _handlePong(message, connection) {
+    const localTime = Number.isFinite(message.echo) ? (message.echo + Date.now()) / 2 : Date.now();
+    this._emitPeerTime(connection.remotePeer?.toString(), message.timestamp, localTime);
+  }
+
+  /**
+   * Segnala l'orologio di un peer, per il calcolo del tempo di rete
+   * @param {string} peerId - ID del peer
+   * @param {number} timestamp - Timestamp riportato dal peer
+   * @param {number} [localTime] - Istante locale a cui corrisponde il timestamp
+   */
+  _emitPeerTime(peerId, timestamp, localTime = Date.now()) {
+    if (peerId && Number.isFinite(timestamp)) {
+      this.emit('peer:time', { peerId, timestamp, localTime });
+    }
+  }
+
   async _handleNetworkInfo(message, connection) {
     // Implementa la logica per gestire le informazioni di rete
     this.logger.info(`Informazioni di rete ricevute: ${JSON.stringify(message.data)}`);
@@ -1340,6 +1535,13 @@ ${connectedPeers.length > 0
   async _handleDHTExchange(message, connection) {
     // Gestisci la richiesta di scambio informazioni DHT
     if (message.nodeId) {
+      const peerId = connection.remotePeer.toString();
+      if (!(await this._checkPeerGenesis(peerId, message.metadata))) {
+        return;
+      }
+      this._emitPeerTime(peerId, message.timestamp);
+      this._recordPeerPruning(peerId, message.metadata);
+
       // Aggiorna la DHT con le informazioni ricevute
       this.dht.updateNode(message.nodeId, {
         ip: message.ip,
@@ -1355,11 +1557,7 @@ ${connectedPeers.length > 0
           nodeId: this.myId,
           ip: this.dht.myIp,
           port: this.config.p2p.port,
-          metadata: {
-            isBootstrap: this.config.node?.isBootstrap || false,
-            version: this.config.version || '1.0.0',
-            name: this.config.node?.name
-          },
+          metadata: this._getLocalMetadata(),
           timestamp: Date.now()
         };
 
@@ -1371,6 +1569,27 @@ ${connectedPeers.length > 0
     }
   }
 
+  /**
+   * Verifica che il peer appartenga alla nostra rete confrontando l'hash del blocco genesis
+   * annunciato nell'handshake; in caso contrario il peer viene disconnesso e rifiutato
+   * @param {string} peerId - ID del peer
+   * @param {Object} metadata - Metadati ricevuti nell'handshake
+   * @returns {Promise<boolean>} - true se il peer è sulla stessa rete
+   */
+  async _checkPeerGenesis(peerId, metadata) {
+    if (!this.genesisHash || metadata?.genesisHash === this.genesisHash) {
+      return true;
+    }
+
+    this.logger.warn(
+      `Peer ${peerId} rifiutato: genesis ${metadata?.genesisHash} diverso da ${this.genesisHash}`
+    );
+    this.rejectedPeers.add(peerId);
+    await this._disconnectPeer(peerId);
+    this.emit('peer:rejected', { id: peerId, genesisHash: metadata?.genesisHash });
+    return false;
+  }
+
   async _handleDHTInfo(message, connection) {
     // Rispondi con le informazioni sulla DHT
     try {
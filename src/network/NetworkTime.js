@@ -0,0 +1,99 @@
+import { Logger } from '../utils/logger.js';
+
+/**
+ * Tempo di rete: l'orologio locale corretto con la mediana degli scostamenti degli orologi
+ * dei peer, rilevati dai timestamp dell'handshake e dei ping. La correzione si applica solo
+ * con abbastanza campioni e entro `maxOffset`; oltre `warnOffset` l'orologio locale viene
+ * segnalato come probabilmente sbagliato.
+ */
+export class NetworkTime {
+  constructor(config) {
+    this.logger = new Logger('NetworkTime');
+    const options = config.network?.time || {};
+    this.minSamples = options.minSamples || 5;
+    this.maxSamples = options.maxSamples || 200;
+    this.maxOffset = options.maxOffset || 4200000; // 70 minuti
+    this.warnOffset = options.warnOffset || 300000; // 5 minuti
+
+    // Scostamento (ms) dell'orologio di ogni peer rispetto al nostro, in ordine di arrivo
+    this.samples = new Map();
+    this.offset = 0;
+    this.clockWarning = false;
+  }
+
+  // Istante corrente secondo la rete
+  now() {
+    return Date.now() + this.offset;
+  }
+
+  getOffset() {
+    return this.offset;
+  }
+
+  /**
+   * Registra l'orologio di un peer
+   * @param {string} peerId - ID del peer
+   * @param {number} peerTime - Timestamp riportato dal peer
+   * @param {number} [localTime] - Istante locale corrispondente (per i ping, metà del
+   *   tempo di andata e ritorno)
+   */
+  addSample(peerId, peerTime, localTime = Date.now()) {
+    const offset = peerTime - localTime;
+    if (!peerId || !Number.isFinite(offset)) {
+      return;
+    }
+
+    // Un solo campione per peer, il più recente
+    this.samples.delete(peerId);
+    this.samples.set(peerId, offset);
+    if (this.samples.size > this.maxSamples) {
+      const [oldest] = this.samples.keys();
+      this.samples.delete(oldest);
+    }
+
+    this._update();
+  }
+
+  removeSample(peerId) {
+    if (this.samples.delete(peerId)) {
+      this._update();
+    }
+  }
+
+  _update() {
+    if (this.samples.size < this.minSamples) {
+      this.offset = 0;
+      this.clockWarning = false;
+      return;
+    }
+
+    const offsets = [...this.samples.values()].sort((a, b) => a - b);
+    const median = offsets[Math.floor(offsets.length / 2)];
+
+    // Una rete troppo distante dal nostro orologio non è affidabile: si resta sull'orologio locale
+    const offset = Math.abs(median) <= this.maxOffset ? median : 0;
+    if (offset !== this.offset) {
+      this.logger.debug(`Scostamento dal tempo di rete: ${median} ms (${offsets.length} peer)`);
+    }
+    this.offset = offset;
+
+    const drifting = Math.abs(median) > this.warnOffset;
+    if (drifting && !this.clockWarning) {
+      this.logger.warn(
+        `L'orologio locale si discosta di ${Math.round(median / 1000)}s dalla mediana di ` +
+          `${offsets.length} peer: verificare data e ora del sistema`
+      );
+    } else if (!drifting && this.clockWarning) {
+      this.logger.info("L'orologio locale è di nuovo allineato con la rete");
+    }
+    this.clockWarning = drifting;
+  }
+
+  getStatus() {
+    return {
+      offset: this.offset,
+      samples: this.samples.size,
+      clockWarning: this.clockWarning
+    };
+  }
+}
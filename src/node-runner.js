@@ -9,6 +9,9 @@ import { displayBanner } from './utils/banner.js';
 import { NodeStorage } from './utils/NodeStorage.js';
 import { getAllBootstrapNodes, toMultiAddr } from './config/bootstrap-nodes.js';
 
+// Modalità di connessione della rete P2P
+const NETWORK_MODES = ['normal', 'demo'];
+
 const logger = new Logger('NodeRunner');
 
 /**
@@ -75,18 +78,27 @@ async function runNode(options = {}) {
       config.config.node.isBootstrap = options.isBootstrap;
     }
 
-    // AGGIUNTO: Imposta il tipo di rete se specificato
-    if (options.networkType) {
+    // AGGIUNTO: Imposta la modalità di connessione se specificata
+    if (options.networkMode) {
       if (!config.config.network) {
         config.config.network = {
-          type: options.networkType,
+          mode: options.networkMode,
           maxPeers: 50,
           peerTimeout: 30000
         };
       } else {
-        config.config.network.type = options.networkType;
+        config.config.network.mode = options.networkMode;
       }
-      logger.info(`Tipo di rete impostato a: ${options.networkType}`);
+      logger.info(`Modalità di rete impostata a: ${options.networkMode}`);
+    }
+
+    // Specifica della rete: determina il blocco genesis e i parametri di consenso
+    if (options.chain) {
+      config.config.network.type = options.chain;
+      logger.info(`Rete impostata a: ${options.chain}`);
+    }
+    if (options.chainSpec) {
+      config.config.network.chainSpec = options.chainSpec;
     }
 
     // Crea le directory necessarie
@@ -148,7 +160,6 @@ function ensureRequiredConfigs(config, options) {
   if (!config.blockchain) {
     config.blockchain = {
       difficulty: 4,
-      miningReward: 50,
       maxTransactionsPerBlock: 10,
       blockInterval: 10000
     };
@@ -187,16 +198,12 @@ function ensureRequiredConfigs(config, options) {
   if (!config.storage) {
     config.storage = {
       path: options.dataDir || path.join(process.cwd(), 'db', config.node.id || 'node'),
-      maxSize: 1024 * 1024 * 100, // 100MB
       options: {
         valueEncoding: 'json'
       }
     };
   } else {
     // Assicurati che tutti i campi necessari esistano
-    if (!config.storage.maxSize) {
-      config.storage.maxSize = 1024 * 1024 * 100; // 100MB
-    }
     if (!config.storage.options) {
       config.storage.options = { valueEncoding: 'json' };
     }
@@ -222,8 +229,7 @@ function ensureRequiredConfigs(config, options) {
       enabled: true,
       difficulty: 4,
       threads: 1,
-      interval: 30000,
-      reward: 50
+      interval: 30000
     };
   }
 
@@ -445,9 +451,20 @@ function parseCommandLineArgs() {
       options.useCentralBootstrap = true;
     } else if (arg === '--mining' && i + 1 < args.length) {
       options.mining = args[++i] === 'true' || args[i] === '1';
-    } else if (arg === '--network-type' && i + 1 < args.length) {
-      // Nuova opzione per specificare il tipo di rete (normal, demo, ecc.)
-      options.networkType = args[++i];
+    } else if ((arg === '--network-mode' || arg === '--network-type') && i + 1 < args.length) {
+      // Modalità di connessione (normal, demo): --network-type è il nome storico dell'opzione
+      options.networkMode = args[++i];
+      if (!NETWORK_MODES.includes(options.networkMode)) {
+        console.error(
+          `Modalità di rete non valida: ${options.networkMode} (${NETWORK_MODES.join(', ')}); ` +
+            'la rete a cui partecipare si sceglie con --chain'
+        );
+        process.exit(1);
+      }
+    } else if (arg === '--chain' && i + 1 < args.length) {
+      options.chain = args[++i];
+    } else if (arg === '--chain-spec' && i + 1 < args.length) {
+      options.chainSpec = args[++i];
     } else if (arg === '--help' || arg === '-h') {
       showHelp();
       process.exit(0);
@@ -481,14 +498,18 @@ Opzioni:
   --bootstrap-node ID         Aggiungi un nodo bootstrap utilizzando il suo ID dal registro centrale
   --use-central-bootstrap     Utilizza i nodi bootstrap dal registro centrale
   --mining BOOL               Abilita o disabilita il mining (true/false)
-  --network-type TYPE         Imposta il tipo di rete (normal, demo)
+  --network-mode MODE         Imposta la modalità di connessione (normal, demo)
+  --network-type MODE         Come --network-mode
+  --chain NAME                Rete a cui partecipare (testnet, mainnet, devnet)
+  --chain-spec PATH           File di specifica della rete personalizzato
   --help, -h                  Mostra questo aiuto
   
 Esempi:
   node src/node-runner.js --port 6001 --bootstrap
   node src/node-runner.js --port 6002 --bootstrap-node 127.0.0.1:6001
   node src/node-runner.js --port 6003 --use-central-bootstrap
-  node src/node-runner.js --port 6004 --network-type demo
+  node src/node-runner.js --port 6004 --network-mode demo
+  node src/node-runner.js --port 6005 --chain devnet
   `);
 }
 
@@ -32,18 +32,15 @@ async function startNode(nodeId, port) {
       enabled: true,
       difficulty: 4,
       threads: 1,
-      interval: 30000,
-      reward: 50
+      interval: 30000
     },
     blockchain: {
       difficulty: 4,
-      miningReward: 50,
       maxTransactionsPerBlock: 10,
       blockInterval: 10000
     },
     storage: {
-      path: path.join(process.cwd(), 'db', nodeId),
-      maxSize: 1024 * 1024 * 100 // 100MB
+      path: path.join(process.cwd(), 'db', nodeId)
     },
     channel: 'drakon-testnet',
     environment: 'development',
@@ -1,36 +1,123 @@
-import { Level } from 'level';
 import { Logger } from '../utils/logger.js';
-import path from 'path';
-import fs from 'fs';
+import { COINBASE_SENDER, Transaction } from '../core/Transaction.js';
+import { createStorageBackend } from './backends/index.js';
+import { MIGRATIONS, SCHEMA_VERSION } from './migrations.js';
 
+// Cifre di altezza e posizione nelle chiavi dell'indice degli indirizzi: con lo zero-padding
+// l'ordine lessicografico delle chiavi coincide con l'ordine delle transazioni nella catena
+const HEIGHT_DIGITS = 10;
+const INDEX_DIGITS = 6;
+
+/**
+ * Catena, indici e stato degli account sopra un backend chiave/valore (LevelDB o in memoria,
+ * scelto con `storage.backend`)
+ */
 export class BlockchainDB {
-  constructor(config) {
+  /**
+   * @param {Object} config - Configurazione del nodo
+   * @param {StorageBackend} [backend] - Backend già creato, per esempio un MemoryBackend
+   *   condiviso tra più istanze di un test; altrimenti viene creato da `config.storage`
+   */
+  constructor(config, backend = null) {
     this.config = config;
     this.logger = new Logger('BlockchainDB');
-    this.dbPath = config.storage.path;
-    this.db = null;
+    this.db = backend || createStorageBackend(config.storage);
   }
 
-  // Inizializza il database
-  async init() {
+  /**
+   * Inizializza il database, portandolo alla versione dello schema corrente
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Elenca le migrazioni da eseguire senza applicarle
+   * @returns {Promise<boolean>} - false se il database non può essere aperto, anche perché
+   *   scritto da una versione più recente del nodo
+   */
+  async init({ dryRun = false } = {}) {
     try {
-      this.db = new Level(this.dbPath, {
-        valueEncoding: 'json'
-      });
+      await this.db.open();
+      await this.migrate({ dryRun });
 
-      this.logger.info(`Database blockchain inizializzato in ${this.dbPath}`);
+      this.logger.info(`Database blockchain inizializzato (${this.db.describe()})`);
       return true;
     } catch (error) {
       this.logger.error(`Errore nell'inizializzazione del database: ${error.message}`);
+      await this.close();
       return false;
     }
   }
 
-  // Salva un blocco nel database
-  async saveBlock(block) {
+  /**
+   * Esegue in ordine le migrazioni successive alla versione dello schema salvata. Un database
+   * vuoto viene marcato direttamente con la versione corrente.
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Elenca le migrazioni senza modificare il database
+   * @returns {Promise<Array>} - Migrazioni eseguite (o da eseguire): { version, description,
+   *   summary }
+   */
+  async migrate({ dryRun = false } = {}) {
+    let version = await this.getSchemaVersion();
+    if (version === null) {
+      if (await this._isEmpty()) {
+        if (!dryRun) {
+          await this.db.put('schemaVersion', SCHEMA_VERSION);
+        }
+        return [];
+      }
+      version = 0;
+    }
+
+    if (version > SCHEMA_VERSION) {
+      throw new Error(
+        `Database con schema alla versione ${version}, più recente della ${SCHEMA_VERSION} ` +
+          'supportata: aggiornare il nodo'
+      );
+    }
+
+    const applied = [];
+    for (const migration of MIGRATIONS.filter(step => step.version > version)) {
+      const summary = await migration.up(this, { dryRun });
+      if (dryRun) {
+        this.logger.info(
+          `Migrazione ${migration.version} da eseguire: ${migration.description} (${summary})`
+        );
+      } else {
+        await this.db.put('schemaVersion', migration.version);
+        this.logger.info(
+          `Migrazione ${migration.version} eseguita: ${migration.description} (${summary})`
+        );
+      }
+      applied.push({ version: migration.version, description: migration.description, summary });
+    }
+    return applied;
+  }
+
+  // Versione dello schema salvata, null se il database non ne ha una
+  async getSchemaVersion() {
     try {
-      const key = `block:${block.hash}`;
-      await this.db.put(key, block);
+      return await this.db.get('schemaVersion');
+    } catch (error) {
+      if (error.notFound) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Vero se il database non contiene alcuna chiave
+  async _isEmpty() {
+    for await (const key of this.db.keys({ limit: 1 })) {
+      return !key;
+    }
+    return true;
+  }
+
+  // Salva un blocco nel database, insieme alle sue informazioni se indicate
+  async saveBlock(block, info = null) {
+    try {
+      const ops = [{ type: 'put', key: `block:${block.hash}`, value: block }];
+      if (info) {
+        ops.push({ type: 'put', key: `blockinfo:${info.hash}`, value: info });
+      }
+      await this.db.batch(ops);
       this.logger.info(`Blocco salvato nel database: ${block.hash}`);
       return true;
     } catch (error) {
@@ -54,6 +141,30 @@ export class BlockchainDB {
     }
   }
 
+  // Salva altezza, predecessore e lavoro cumulativo di un blocco
+  async saveBlockInfo(info) {
+    try {
+      await this.db.put(`blockinfo:${info.hash}`, info);
+      return true;
+    } catch (error) {
+      this.logger.error(`Errore nel salvataggio delle informazioni del blocco: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Recupera altezza, predecessore e lavoro cumulativo di un blocco
+  async getBlockInfo(hash) {
+    try {
+      return await this.db.get(`blockinfo:${hash}`);
+    } catch (error) {
+      if (error.notFound) {
+        return null;
+      }
+      this.logger.error(`Errore nel recupero delle informazioni del blocco: ${error.message}`);
+      return null;
+    }
+  }
+
   // Salva l'ultimo hash del blocco
   async saveLastBlockHash(hash) {
     try {
@@ -80,32 +191,120 @@ export class BlockchainDB {
     }
   }
 
-  // Salva una transazione nel database
-  async saveTransaction(transaction) {
+  /**
+   * Operazioni sugli indici delle transazioni di un blocco della catena principale:
+   * `tx:<hash>` → posizione della transazione, `addr:<indirizzo>:<altezza>:<posizione>` → una
+   * voce per ogni indirizzo coinvolto (mittente e destinatari)
+   * @param {Object} block - Blocco completo
+   * @param {string} type - 'put' quando il blocco entra nella catena principale, 'del' quando
+   *   ne esce
+   * @returns {Array}
+   */
+  _transactionIndexOps(block, type) {
+    const ops = [];
+    const height = String(block.height).padStart(HEIGHT_DIGITS, '0');
+
+    (block.transactions || []).forEach((tx, index) => {
+      const location = { hash: tx.hash, blockHash: block.hash, height: block.height, index };
+      ops.push({ type, key: `tx:${tx.hash}`, value: location });
+
+      const addresses = new Set(Transaction.getOutputs(tx).map(output => output.address));
+      if (tx.from !== COINBASE_SENDER) {
+        addresses.add(tx.from);
+      }
+      const position = String(index).padStart(INDEX_DIGITS, '0');
+      for (const address of addresses) {
+        ops.push({ type, key: `addr:${address}:${height}:${position}`, value: location });
+      }
+    });
+
+    // Le operazioni di eliminazione non hanno valore
+    return type === 'del' ? ops.map(({ key }) => ({ type, key })) : ops;
+  }
+
+  // Indicizza le transazioni di un blocco della catena principale
+  async indexBlock(block) {
+    try {
+      await this.db.batch(this._transactionIndexOps(block, 'put'));
+      return true;
+    } catch (error) {
+      this.logger.error(`Errore nell'indicizzazione delle transazioni: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Elimina gli indici delle transazioni e degli indirizzi, prima di ricostruirli
+  async clearTransactions() {
     try {
-      const key = `tx:${transaction.calculateHash()}`;
-      await this.db.put(key, transaction);
-      this.logger.info(`Transazione salvata nel database: ${key}`);
+      await this.db.clear({ gte: 'tx:', lt: 'tx;' });
+      await this.db.clear({ gte: 'addr:', lt: 'addr;' });
       return true;
     } catch (error) {
-      this.logger.error(`Errore nel salvataggio della transazione: ${error.message}`);
+      this.logger.error(`Errore nell'eliminazione delle transazioni: ${error.message}`);
       return false;
     }
   }
 
-  // Recupera una transazione dal database
-  async getTransaction(hash) {
+  /**
+   * Posizione di una transazione confermata nella catena principale
+   * @param {string} hash - Hash della transazione
+   * @returns {Promise<Object|null>} - { hash, blockHash, height, index }
+   */
+  async getTransactionLocation(hash) {
     try {
-      const key = `tx:${hash}`;
-      const transaction = await this.db.get(key);
-      return transaction;
+      return await this.db.get(`tx:${hash}`);
     } catch (error) {
       if (error.notFound) {
         return null;
       }
-      this.logger.error(`Errore nel recupero della transazione: ${error.message}`);
+      this.logger.error(`Errore nel recupero della posizione della transazione: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Recupera una transazione confermata dal suo blocco; null se sconosciuta o già potata
+  async getTransaction(hash) {
+    const location = await this.getTransactionLocation(hash);
+    if (!location) {
+      return null;
+    }
+
+    const block = await this.getBlock(location.blockHash);
+    if (!block || block.pruned) {
       return null;
     }
+    return block.transactions[location.index] || null;
+  }
+
+  /**
+   * Transazioni della catena principale che coinvolgono un indirizzo, dalla più recente
+   * @param {string} address - Indirizzo
+   * @param {Object} [options]
+   * @param {number} [options.offset] - Voci da saltare
+   * @param {number} [options.limit] - Numero massimo di voci
+   * @returns {Promise<Object>} - { entries: [{ hash, blockHash, height, index }], hasMore }
+   */
+  async getAddressHistory(address, { offset = 0, limit = 20 } = {}) {
+    const entries = [];
+    let hasMore = false;
+    try {
+      let skipped = 0;
+      const range = { gte: `addr:${address}:`, lt: `addr:${address};`, reverse: true };
+      for await (const location of this.db.values(range)) {
+        if (skipped < offset) {
+          skipped++;
+          continue;
+        }
+        if (entries.length === limit) {
+          hasMore = true;
+          break;
+        }
+        entries.push(location);
+      }
+    } catch (error) {
+      this.logger.error(`Errore nel recupero delle transazioni dell'indirizzo: ${error.message}`);
+    }
+    return { entries, hasMore };
   }
 
   // Salva lo stato del wallet
@@ -136,6 +335,56 @@ export class BlockchainDB {
     }
   }
 
+  // Recupera lo stato di tutti i wallet
+  async getWalletStates() {
+    const states = [];
+    try {
+      for await (const state of this.db.values({ gte: 'wallet:', lt: 'wallet;' })) {
+        states.push(state);
+      }
+      return states;
+    } catch (error) {
+      this.logger.error(`Errore nel recupero degli stati dei wallet: ${error.message}`);
+      return states;
+    }
+  }
+
+  // Elimina lo stato di tutti i wallet
+  async clearWalletStates() {
+    try {
+      await this.db.clear({ gte: 'wallet:', lt: 'wallet;' });
+      this.logger.info('Stati dei wallet eliminati');
+      return true;
+    } catch (error) {
+      this.logger.error(`Errore nell'eliminazione degli stati dei wallet: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Salva l'hash dell'ultimo blocco applicato allo stato dei wallet
+  async saveStateBlockHash(hash) {
+    try {
+      await this.db.put('stateBlockHash', hash);
+      return true;
+    } catch (error) {
+      this.logger.error(`Errore nel salvataggio dell'hash dello stato: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Recupera l'hash dell'ultimo blocco applicato allo stato dei wallet
+  async getStateBlockHash() {
+    try {
+      return await this.db.get('stateBlockHash');
+    } catch (error) {
+      if (error.notFound) {
+        return null;
+      }
+      this.logger.error(`Errore nel recupero dell'hash dello stato: ${error.message}`);
+      return null;
+    }
+  }
+
   // Chiude il database
   async close() {
     try {
@@ -151,8 +400,7 @@ export class BlockchainDB {
   // Elimina il database
   async delete() {
     try {
-      await this.db.close();
-      fs.rmSync(this.dbPath, { recursive: true, force: true });
+      await this.db.destroy();
       this.logger.info('Database blockchain eliminato');
       return true;
     } catch (error) {
@@ -161,15 +409,49 @@ export class BlockchainDB {
     }
   }
 
-  // Salva un blocco nel database
-  async addBlock(block) {
+  // Operazioni che collegano un blocco alla catena principale: indice per altezza e indici
+  // delle transazioni
+  _connectBlockOps(block) {
+    return [
+      { type: 'put', key: `height:${block.height}`, value: block.hash },
+      ...this._transactionIndexOps(block, 'put')
+    ];
+  }
+
+  // Operazioni che scollegano un blocco dalla catena principale
+  _disconnectBlockOps(block) {
+    return [
+      { type: 'del', key: `height:${block.height}` },
+      ...this._transactionIndexOps(block, 'del')
+    ];
+  }
+
+  // Operazioni che salvano lo stato degli account allineato al nuovo ultimo blocco
+  _tipOps(tipHash, walletStates) {
+    return [
+      ...walletStates.map(state => ({ type: 'put', key: `wallet:${state.address}`, value: state })),
+      { type: 'put', key: 'lastBlockHash', value: tipHash },
+      { type: 'put', key: 'stateBlockHash', value: tipHash }
+    ];
+  }
+
+  /**
+   * Salva un blocco che estende la catena principale in un'unica scrittura atomica: blocco,
+   * informazioni, indici, stato degli account e ultimo hash. Un'interruzione lascia il database
+   * com'era prima del blocco.
+   * @param {Object} block - Blocco da collegare
+   * @param {Object} connection
+   * @param {Object} connection.info - Altezza, predecessore e lavoro cumulativo
+   * @param {Array} connection.walletStates - Stati aggiornati dei wallet coinvolti
+   */
+  async addBlock(block, { info, walletStates }) {
     try {
-      // Salva il blocco
-      await this.saveBlock(block);
-      // Aggiorna l'ultimo hash
-      await this.saveLastBlockHash(block.hash);
-      // Salva l'altezza del blocco
-      await this.db.put(`height:${block.height}`, block.hash);
+      await this.db.batch([
+        { type: 'put', key: `block:${block.hash}`, value: block },
+        { type: 'put', key: `blockinfo:${info.hash}`, value: info },
+        ...this._connectBlockOps(block),
+        ...this._tipOps(block.hash, walletStates)
+      ]);
       this.logger.info(`Blocco aggiunto al database: ${block.hash}`);
       return true;
     } catch (error) {
@@ -178,6 +460,28 @@ export class BlockchainDB {
     }
   }
 
+  /**
+   * Salva un blocco della catena principale importato da uno snapshot, con le sue informazioni
+   * e gli indici, senza aggiornare l'ultimo blocco
+   * @param {Object} block - Blocco già verificato
+   * @param {Object} info - Altezza, predecessore e lavoro cumulativo
+   */
+  async importBlock(block, info) {
+    try {
+      await this.db.batch([
+        { type: 'put', key: `block:${block.hash}`, value: block },
+        { type: 'put', key: `blockinfo:${block.hash}`, value: info },
+        { type: 'put', key: `height:${block.height}`, value: block.hash },
+        // Le transazioni dei blocchi potati non sono più disponibili
+        ...(block.pruned ? [] : this._transactionIndexOps(block, 'put'))
+      ]);
+      return true;
+    } catch (error) {
+      this.logger.error(`Errore nell'importazione del blocco: ${error.message}`);
+      return false;
+    }
+  }
+
   // Recupera l'ultimo blocco
   async getLastBlock() {
     try {
@@ -190,6 +494,279 @@ export class BlockchainDB {
     }
   }
 
+  // Salva l'hash del blocco della catena principale a una data altezza
+  async saveBlockHashByHeight(height, hash) {
+    try {
+      await this.db.put(`height:${height}`, hash);
+      return true;
+    } catch (error) {
+      this.logger.error(`Errore nel salvataggio dell'hash per altezza: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Elimina l'indice per altezza della catena principale, prima di ricostruirlo
+  async clearBlockHeights() {
+    try {
+      await this.db.clear({ gte: 'height:', lt: 'height;' });
+      return true;
+    } catch (error) {
+      this.logger.error(`Errore nell'eliminazione dell'indice per altezza: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Sostituisce l'indice per altezza della catena principale e l'ultimo hash in un'unica
+   * scrittura, così che un'interruzione non lasci un indice ricostruito a metà
+   * @param {Array<string>} hashes - Hash dei blocchi della catena principale, dal genesis
+   */
+  async saveMainChain(hashes) {
+    try {
+      const ops = [];
+      for await (const key of this.db.keys({ gte: 'height:', lt: 'height;' })) {
+        ops.push({ type: 'del', key });
+      }
+      ops.push(
+        ...hashes.map((hash, height) => ({ type: 'put', key: `height:${height}`, value: hash })),
+        { type: 'put', key: 'lastBlockHash', value: hashes[hashes.length - 1] }
+      );
+      await this.db.batch(ops);
+      return true;
+    } catch (error) {
+      this.logger.error(`Errore nel salvataggio della catena principale: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Elimina in un'unica scrittura blocchi, altezze e indici delle transazioni di una catena
+   * mai registrata come principale, senza ultimo hash
+   * @returns {Promise<number>} - Numero di chiavi eliminate
+   */
+  async clearUnregisteredChain() {
+    const ops = [];
+    for (const prefix of ['block', 'blockinfo', 'height', 'tx', 'addr']) {
+      for await (const key of this.db.keys({ gte: `${prefix}:`, lt: `${prefix};` })) {
+        ops.push({ type: 'del', key });
+      }
+    }
+    if (ops.length > 0) {
+      await this.db.batch(ops);
+    }
+    return ops.length;
+  }
+
+  // Scorre tutti i blocchi salvati, della catena principale e delle catene laterali
+  async *iterateBlocks() {
+    for await (const block of this.db.values({ gte: 'block:', lt: 'block;' })) {
+      yield block;
+    }
+  }
+
+  /**
+   * Sostituisce i blocchi indicati con la loro versione potata e aggiorna l'altezza sotto la
+   * quale i corpi dei blocchi non sono più disponibili, in un'unica scrittura
+   * @param {Array} blocks - Blocchi potati
+   * @param {number} prunedHeight - Prima altezza della catena principale con il blocco completo
+   */
+  async pruneBlocks(blocks, prunedHeight) {
+    try {
+      await this.db.batch([
+        ...blocks.map(block => ({ type: 'put', key: `block:${block.hash}`, value: block })),
+        { type: 'put', key: 'prunedHeight', value: prunedHeight }
+      ]);
+      return true;
+    } catch (error) {
+      this.logger.error(`Errore nella potatura dei blocchi: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Prima altezza con il blocco completo, 0 se il database non è mai stato potato
+  async getPrunedHeight() {
+    try {
+      return await this.db.get('prunedHeight');
+    } catch (error) {
+      if (error.notFound) {
+        return 0;
+      }
+      this.logger.error(`Errore nel recupero dell'altezza di potatura: ${error.message}`);
+      return 0;
+    }
+  }
+
+  // Salva l'avanzamento di un'operazione di manutenzione, per riprenderla se interrotta
+  async saveProgress(task, progress) {
+    try {
+      await this.db.put(`progress:${task}`, progress);
+      return true;
+    } catch (error) {
+      this.logger.error(`Errore nel salvataggio dell'avanzamento di ${task}: ${error.message}`);
+      return false;
+    }
+  }
+
+  async getProgress(task) {
+    try {
+      return await this.db.get(`progress:${task}`);
+    } catch (error) {
+      if (error.notFound) {
+        return null;
+      }
+      this.logger.error(`Errore nel recupero dell'avanzamento di ${task}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async clearProgress(task) {
+    try {
+      await this.db.del(`progress:${task}`);
+      return true;
+    } catch (error) {
+      this.logger.error(`Errore nell'eliminazione dell'avanzamento di ${task}: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Recupera l'hash del blocco della catena principale a una data altezza
+  async getBlockHashByHeight(height) {
+    try {
+      return await this.db.get(`height:${height}`);
+    } catch (error) {
+      if (error.notFound) {
+        return null;
+      }
+      this.logger.error(`Errore nel recupero dell'hash per altezza: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Applica una riorganizzazione della catena in un'unica scrittura atomica
+   * @param {Object} reorg
+   * @param {Array} reorg.connected - Blocchi della nuova catena principale, dal più vecchio
+   * @param {Array} reorg.disconnected - Blocchi usciti dalla catena principale
+   * @param {Array} reorg.walletStates - Stati aggiornati dei wallet coinvolti
+   */
+  async saveReorganization({ connected, disconnected, walletStates }) {
+    try {
+      const newTip = connected[connected.length - 1];
+      // Le operazioni del batch si applicano in ordine: i blocchi scollegati vanno rimossi prima
+      // di collegare i nuovi, che possono riusare le stesse altezze e transazioni
+      await this.db.batch([
+        ...disconnected.flatMap(block => this._disconnectBlockOps(block)),
+        ...connected.flatMap(block => this._connectBlockOps(block)),
+        ...this._tipOps(newTip.hash, walletStates)
+      ]);
+      this.logger.info(`Riorganizzazione salvata, nuovo ultimo blocco: ${newTip.hash}`);
+      return true;
+    } catch (error) {
+      this.logger.error(`Errore nel salvataggio della riorganizzazione: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Controllo di coerenza all'avvio: riallinea indice per altezza, indici delle transazioni e
+   * ultimo hash lasciati a metà da un'interruzione (o dalle scritture non atomiche delle versioni
+   * precedenti). Se l'ultimo blocco manca, l'ultimo hash torna al blocco indicizzato più alto; le
+   * altezze mancanti fino all'ultimo blocco vengono riscritte risalendo la catena e quelle oltre
+   * l'ultimo blocco eliminate con i loro indici. Senza ultimo hash la catena non è mai stata
+   * registrata (ad esempio un'importazione di snapshot interrotta): blocchi, altezze e indici
+   * rimasti vengono eliminati. Lo stato degli account non allineato viene poi ricostruito da
+   * AccountState.
+   * @returns {Promise<boolean>} - true se è stato necessario riparare il database
+   */
+  async repairTip() {
+    const heights = new Map();
+    for await (const [key, hash] of this.db.iterator({ gte: 'height:', lt: 'height;' })) {
+      heights.set(parseInt(key.slice('height:'.length)), hash);
+    }
+
+    const lastBlockHash = await this.getLastBlockHash();
+    if (!lastBlockHash) {
+      const removed = await this.clearUnregisteredChain();
+      if (removed > 0) {
+        this.logger.warn(`Eliminate ${removed} chiavi di una catena non registrata`);
+        return true;
+      }
+      return false;
+    }
+
+    let tip = await this.getBlock(lastBlockHash);
+    if (!tip) {
+      for (const height of [...heights.keys()].sort((a, b) => b - a)) {
+        tip = await this.getBlock(heights.get(height));
+        if (tip) {
+          break;
+        }
+      }
+      if (!tip) {
+        return false;
+      }
+      this.logger.warn(
+        `Ultimo blocco ${lastBlockHash} mancante, ripristinato il blocco ${tip.hash} ` +
+          `(altezza ${tip.height})`
+      );
+    }
+
+    // Indici dei blocchi che escono dalla catena principale: vanno eliminati prima di
+    // scrivere quelli dei nuovi, che possono contenere le stesse transazioni
+    const removals = [];
+    const unindex = async hash => {
+      const block = await this.getBlock(hash);
+      if (block && !block.pruned) {
+        removals.push(...this._transactionIndexOps(block, 'del'));
+      }
+    };
+
+    // Le altezze oltre l'ultimo blocco escono dalla catena principale, con i loro indici
+    for (const [height, hash] of heights) {
+      if (height > tip.height) {
+        await unindex(hash);
+        removals.push({ type: 'del', key: `height:${height}` });
+      }
+    }
+
+    // Risale dall'ultimo blocco fino al primo già indicizzato alla sua altezza, togliendo gli
+    // indici dei blocchi che occupavano quelle altezze
+    const writes = [];
+    let block = tip;
+    while (heights.get(block.height) !== block.hash) {
+      if (heights.has(block.height)) {
+        await unindex(heights.get(block.height));
+      }
+      writes.push(...(block.pruned ? [] : this._transactionIndexOps(block, 'put')));
+      writes.push({ type: 'put', key: `height:${block.height}`, value: block.hash });
+      if (block.height === 0) {
+        break;
+      }
+
+      const parent = await this.getBlock(block.previousHash);
+      if (!parent) {
+        throw new Error(
+          `Blocco ${block.previousHash} mancante, catena principale non riparabile: ` +
+            'eseguire reindex'
+        );
+      }
+      block = parent;
+    }
+
+    const ops = [...removals, ...writes];
+    if (ops.length === 0 && lastBlockHash === tip.hash) {
+      return false;
+    }
+
+    ops.push({ type: 'put', key: 'lastBlockHash', value: tip.hash });
+    await this.db.batch(ops);
+    this.logger.warn(
+      `Catena principale riparata all'avvio: ${ops.length - 1} chiavi riscritte, ` +
+        `ultimo blocco ${tip.hash} (altezza ${tip.height})`
+    );
+    return true;
+  }
+
   // Recupera un blocco per altezza
   async getBlockByHeight(height) {
     try {
@@ -221,13 +798,8 @@ export class BlockchainDB {
     }
   }
 
-  // Verifica se una transazione esiste
+  // Verifica se una transazione è confermata nella catena principale
   async hasTransaction(hash) {
-    try {
-      await this.getTransaction(hash);
-      return true;
-    } catch (error) {
-      return false;
-    }
+    return (await this.getTransactionLocation(hash)) !== null;
   }
 }
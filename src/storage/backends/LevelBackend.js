@@ -0,0 +1,66 @@
+import fs from 'fs';
+import { Level } from 'level';
+import { StorageBackend } from './StorageBackend.js';
+
+/**
+ * Backend persistente su LevelDB, nella directory `storage.path`
+ */
+export class LevelBackend extends StorageBackend {
+  constructor(options) {
+    super('level');
+    this.path = options.path;
+    this.db = null;
+  }
+
+  async open() {
+    this.db = new Level(this.path, { valueEncoding: 'json' });
+    await this.db.open();
+  }
+
+  async close() {
+    if (this.db) {
+      await this.db.close();
+    }
+  }
+
+  async destroy() {
+    await this.close();
+    fs.rmSync(this.path, { recursive: true, force: true });
+  }
+
+  describe() {
+    return this.path;
+  }
+
+  get(key) {
+    return this.db.get(key);
+  }
+
+  put(key, value) {
+    return this.db.put(key, value);
+  }
+
+  del(key) {
+    return this.db.del(key);
+  }
+
+  batch(ops) {
+    return this.db.batch(ops);
+  }
+
+  clear(range) {
+    return this.db.clear(range);
+  }
+
+  iterator(range) {
+    return this.db.iterator(range);
+  }
+
+  keys(range) {
+    return this.db.keys(range);
+  }
+
+  values(range) {
+    return this.db.values(range);
+  }
+}
@@ -0,0 +1,127 @@
+import { StorageBackend } from './StorageBackend.js';
+
+/**
+ * Backend in memoria, per i test e i nodi di prova: nessun file su disco, i dati si perdono
+ * alla chiusura del processo. I valori sono conservati serializzati, come su LevelDB, così chi
+ * li legge riceve sempre una copia.
+ */
+export class MemoryBackend extends StorageBackend {
+  constructor() {
+    super('memory');
+    this.entries = new Map();
+    // Chiavi in ordine lessicografico, per gli intervalli
+    this.sortedKeys = [];
+  }
+
+  describe() {
+    return 'in memoria';
+  }
+
+  async destroy() {
+    this.entries.clear();
+    this.sortedKeys = [];
+  }
+
+  async get(key) {
+    if (!this.entries.has(key)) {
+      throw StorageBackend.notFoundError(key);
+    }
+    return JSON.parse(this.entries.get(key));
+  }
+
+  async put(key, value) {
+    this._set(key, this._serialize(value));
+  }
+
+  async del(key) {
+    this._delete(key);
+  }
+
+  async batch(ops) {
+    // Serializza tutti i valori prima di scrivere: un valore non valido non lascia il batch a metà
+    const prepared = ops.map(op =>
+      op.type === 'put' ? { ...op, value: this._serialize(op.value) } : op
+    );
+    for (const op of prepared) {
+      if (op.type === 'put') {
+        this._set(op.key, op.value);
+      } else {
+        this._delete(op.key);
+      }
+    }
+  }
+
+  async clear(range) {
+    for (const key of this._range(range)) {
+      this._delete(key);
+    }
+  }
+
+  async *iterator(range) {
+    for (const key of this._range(range)) {
+      // Le chiavi eliminate durante l'iterazione vengono saltate
+      if (this.entries.has(key)) {
+        yield [key, JSON.parse(this.entries.get(key))];
+      }
+    }
+  }
+
+  _serialize(value) {
+    if (value === undefined || value === null) {
+      throw new Error('Il valore non può essere null o undefined');
+    }
+    return JSON.stringify(value);
+  }
+
+  _set(key, value) {
+    if (!this.entries.has(key)) {
+      this.sortedKeys.splice(this._lowerBound(key), 0, key);
+    }
+    this.entries.set(key, value);
+  }
+
+  _delete(key) {
+    if (this.entries.delete(key)) {
+      this.sortedKeys.splice(this._lowerBound(key), 1);
+    }
+  }
+
+  // Prima posizione con una chiave non inferiore a `key`
+  _lowerBound(key) {
+    let low = 0;
+    let high = this.sortedKeys.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (this.sortedKeys[middle] < key) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  // Prima posizione con una chiave superiore a `key`
+  _upperBound(key) {
+    const index = this._lowerBound(key);
+    return this.sortedKeys[index] === key ? index + 1 : index;
+  }
+
+  // Copia delle chiavi di un intervallo, nell'ordine richiesto
+  _range({ gt, gte, lt, lte, reverse = false, limit = -1 } = {}) {
+    const start =
+      gte !== undefined ? this._lowerBound(gte) : gt !== undefined ? this._upperBound(gt) : 0;
+    const end =
+      lt !== undefined
+        ? this._lowerBound(lt)
+        : lte !== undefined
+          ? this._upperBound(lte)
+          : this.sortedKeys.length;
+
+    const keys = this.sortedKeys.slice(start, Math.max(start, end));
+    if (reverse) {
+      keys.reverse();
+    }
+    return limit >= 0 ? keys.slice(0, limit) : keys;
+  }
+}
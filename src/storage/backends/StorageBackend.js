@@ -0,0 +1,78 @@
+/**
+ * Backend di memorizzazione del BlockchainDB: un archivio chiave/valore con chiavi stringa
+ * ordinate lessicograficamente e valori JSON. L'interfaccia ricalca quella di `level`:
+ * - get lancia un errore con `notFound: true` se la chiave non esiste;
+ * - batch applica le operazioni in ordine e in modo atomico;
+ * - iterator, keys e values accettano un intervallo { gt, gte, lt, lte, reverse, limit } e
+ *   si percorrono con `for await`.
+ * Il backend viene scelto con `storage.backend` nella configurazione.
+ */
+export class StorageBackend {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async open() {}
+
+  async close() {}
+
+  // Chiude il backend ed elimina tutti i dati
+  async destroy() {
+    await this.close();
+  }
+
+  // Descrizione per i log
+  describe() {
+    return this.name;
+  }
+
+  async get(key) {
+    throw new Error(`get non implementato dal backend ${this.name}`);
+  }
+
+  async put(key, value) {
+    throw new Error(`put non implementato dal backend ${this.name}`);
+  }
+
+  async del(key) {
+    throw new Error(`del non implementato dal backend ${this.name}`);
+  }
+
+  /**
+   * Applica più operazioni in un'unica scrittura atomica
+   * @param {Array} ops - { type: 'put', key, value } oppure { type: 'del', key }
+   */
+  async batch(ops) {
+    throw new Error(`batch non implementato dal backend ${this.name}`);
+  }
+
+  // Elimina le chiavi di un intervallo
+  async clear(range) {
+    throw new Error(`clear non implementato dal backend ${this.name}`);
+  }
+
+  // Coppie [chiave, valore] di un intervallo
+  iterator(range) {
+    throw new Error(`iterator non implementato dal backend ${this.name}`);
+  }
+
+  async *keys(range) {
+    for await (const [key] of this.iterator(range)) {
+      yield key;
+    }
+  }
+
+  async *values(range) {
+    for await (const [, value] of this.iterator(range)) {
+      yield value;
+    }
+  }
+
+  // Errore di chiave inesistente, riconoscibile come quelli di level
+  static notFoundError(key) {
+    const error = new Error(`Chiave non trovata: ${key}`);
+    error.code = 'LEVEL_NOT_FOUND';
+    error.notFound = true;
+    return error;
+  }
+}
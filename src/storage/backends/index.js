@@ -0,0 +1,29 @@
+import { LevelBackend } from './LevelBackend.js';
+import { MemoryBackend } from './MemoryBackend.js';
+
+export { StorageBackend } from './StorageBackend.js';
+
+// Backend selezionabili con `storage.backend`
+const BACKENDS = {
+  level: LevelBackend,
+  memory: MemoryBackend
+};
+
+export const DEFAULT_BACKEND = 'level';
+
+/**
+ * Crea il backend di memorizzazione descritto dalla sezione `storage` della configurazione
+ * @param {Object} storage - { backend, path }
+ * @returns {StorageBackend}
+ */
+export function createStorageBackend(storage) {
+  const name = storage.backend || DEFAULT_BACKEND;
+  const Backend = BACKENDS[name];
+  if (!Backend) {
+    throw new Error(
+      `Backend di memorizzazione non supportato: ${name} ` +
+        `(disponibili: ${Object.keys(BACKENDS).join(', ')})`
+    );
+  }
+  return new Backend(storage);
+}
@@ -0,0 +1,47 @@
+/**
+ * Migrazioni dello schema del BlockchainDB, in ordine di versione. Ogni passo porta il
+ * database dalla versione precedente a `version` e deve poter essere rieseguito: la versione
+ * viene salvata solo a passo completato, quindi una migrazione interrotta riparte da capo.
+ *
+ * `up(db, { dryRun })` riceve il BlockchainDB aperto; con `dryRun` non scrive nulla e
+ * restituisce soltanto la descrizione delle modifiche che applicherebbe.
+ *
+ * I database senza chiave `schemaVersion` sono considerati alla versione 0.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Indici delle transazioni per posizione nel blocco e per indirizzo',
+    async up(db, { dryRun }) {
+      // Nella versione 0 le chiavi `tx:` contenevano le transazioni complete
+      let legacy = 0;
+      for await (const value of db.db.values({ gte: 'tx:', lt: 'tx;' })) {
+        if (!value.blockHash) {
+          legacy++;
+        }
+      }
+
+      const tip = await db.getLastBlock();
+      const blocks = tip ? tip.height + 1 : 0;
+      const summary = `${legacy} transazioni nel vecchio formato, ${blocks} blocchi da indicizzare`;
+      if (dryRun) {
+        return summary;
+      }
+
+      if (!(await db.clearTransactions())) {
+        throw new Error('Eliminazione degli indici delle transazioni fallita');
+      }
+      for (let height = 0; height < blocks; height++) {
+        const block = await db.getBlockByHeight(height);
+        // Le transazioni dei blocchi potati non sono più disponibili
+        if (block && !block.pruned && !(await db.indexBlock(block))) {
+          throw new Error(`Indicizzazione del blocco all'altezza ${height} fallita`);
+        }
+      }
+      return summary;
+    }
+  }
+];
+
+// Versione dello schema scritta da questo nodo
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
@@ -14,8 +14,11 @@ const defaultLogDir = path.join(os.homedir(), '.drakon-node', 'logs');
 
 export class Logger {
   constructor(label = 'app') {
+    // LOG_LEVEL=silent disattiva i log, per esempio durante i test
+    const level = process.env.LOG_LEVEL || 'info';
     this.logger = createLogger({
-      level: 'info',
+      level: level === 'silent' ? 'error' : level,
+      silent: level === 'silent',
       format: combine(
         timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
         format.label({ label }),
@@ -65,6 +68,10 @@ export class Logger {
   }
 
   error(message, ...args) {
+    if (this.logger.silent) {
+      return;
+    }
+
     const logEntry = this._formatLogEntry('error', message, args);
 
     // Se args[0] è un Error, stampa anche lo stack
@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Block } from '../src/core/Block.js';
+import { createNode, createWallet, mineBlock, mineBlocks, sealBlock } from './helpers.js';
+
+describe('Block', () => {
+  describe('header canonico', () => {
+    it("calcola l'hash solo dai campi dell'header", async () => {
+      const node = await createNode();
+      const block = await mineBlock(node, (await createWallet()).getAddress());
+
+      assert.equal(Block.calculateHash(Block.getHeader(block)), block.hash);
+      assert.equal(Block.calculateHash({ ...block, transactions: [], extra: 1 }), block.hash);
+    });
+
+    it("impegna merkle root, altezza e target nell'hash", async () => {
+      const node = await createNode();
+      const block = await mineBlock(node, (await createWallet()).getAddress());
+
+      const changes = {
+        merkleRoot: '0'.repeat(64),
+        height: block.height + 1,
+        bits: block.bits - 1,
+        previousHash: '1'.repeat(64),
+        timestamp: block.timestamp + 1
+      };
+      for (const [field, value] of Object.entries(changes)) {
+        assert.notEqual(Block.calculateHash({ ...block, [field]: value }), block.hash, field);
+      }
+    });
+
+    it('rifiuta un blocco con le transazioni cambiate dopo la sigillatura', async () => {
+      const node = await createNode();
+      const miner = await createWallet();
+      const recipient = await createWallet();
+      await mineBlocks(node, miner.getAddress(), 1);
+      await node.mempool.addTransaction(miner.createTransaction(recipient.getAddress(), 10, 0));
+
+      const block = await mineBlock(node, miner.getAddress());
+      const tampered = { ...block, transactions: block.transactions.slice(0, 1) };
+      assert.equal(await node.blockchain.addBlock(tampered), false);
+
+      // Ricalcolando la merkle root cambia l'header, che non corrisponde più all'hash dichiarato
+      const merkleRoot = Block.calculateMerkleRoot(tampered.transactions);
+      assert.equal(await node.blockchain.addBlock({ ...tampered, merkleRoot }), false);
+      assert.equal(await node.blockchain.addBlock(block), true);
+    });
+
+    it("rifiuta un blocco con un'altezza diversa da quella del precedente più uno", async () => {
+      const node = await createNode();
+      const miner = await createWallet();
+
+      const block = await mineBlock(node, miner.getAddress(), template => {
+        template.height = 5;
+      });
+      assert.equal(await node.blockchain.addBlock(sealBlock(node.blockchain, block)), false);
+      assert.equal(node.blockchain.getHeight(), 0);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BlockPruner } from '../src/core/BlockPruner.js';
+import { VOTE_ADD, VOTE_TYPE } from '../src/core/Transaction.js';
+import { createConfig, createNode, createWallet, mineBlocks } from './helpers.js';
+
+// Nodo potato che conserva gli ultimi 100 blocchi completi (il minimo consentito)
+function createPrunedConfig() {
+  const config = createConfig();
+  config.storage.prune = { enabled: true, keepBlocks: 100, batchSize: 2 };
+  return config;
+}
+
+// Catena di 103 blocchi con un trasferimento di 30 nel secondo
+async function setup() {
+  const config = createPrunedConfig();
+  const node = await createNode(null, config);
+  const miner = await createWallet();
+  const recipient = await createWallet();
+  const blocks = await mineBlocks(node, miner.getAddress(), 1);
+  const tx = miner.createTransaction(recipient.getAddress(), 30, 0);
+  await node.mempool.addTransaction(tx);
+  blocks.push(...(await mineBlocks(node, miner.getAddress(), 102)));
+  return { config, node, recipient, tx, blocks };
+}
+
+describe('BlockPruner', () => {
+  it('pota i corpi dei blocchi più vecchi degli ultimi keepBlocks', async () => {
+    const { config, node, recipient, tx } = await setup();
+    const pruner = new BlockPruner(config, node.blockchain);
+
+    assert.equal(await pruner.prune(), 3);
+    assert.equal(node.blockchain.getPrunedHeight(), 4);
+    assert.equal(await pruner.prune(), 0);
+
+    // Il genesis resta completo, i blocchi da 1 a 3 conservano solo l'header
+    assert.equal((await node.db.getBlockByHeight(0)).pruned, undefined);
+    for (const height of [1, 2, 3]) {
+      const block = await node.db.getBlockByHeight(height);
+      assert.equal(block.pruned, true);
+      assert.deepEqual(block.transactions, []);
+    }
+    assert.equal((await node.db.getBlockByHeight(4)).pruned, undefined);
+
+    // Stato e indici restano, le transazioni potate non sono più disponibili
+    assert.equal(node.blockchain.getBalance(recipient.getAddress()), 30);
+    assert.equal(await node.blockchain.getTransactionProof(tx.hash), null);
+    const history = await node.blockchain.getAddressHistory(recipient.getAddress());
+    assert.deepEqual(
+      history.transactions.map(entry => [entry.hash, entry.height, entry.transaction]),
+      [[tx.hash, 2, null]]
+    );
+
+    const reopened = await createNode(node.db.db, config);
+    assert.equal(reopened.blockchain.getPrunedHeight(), 4);
+    assert.equal(reopened.blockchain.getBalance(recipient.getAddress()), 30);
+  });
+
+  it('rifiuta una riorganizzazione che scollega blocchi potati', async () => {
+    const { config, node, blocks } = await setup();
+    const tip = blocks[blocks.length - 1];
+
+    // Catena concorrente più lunga che si separa dopo il primo blocco
+    const other = await createNode();
+    assert.equal(await other.blockchain.addBlock(blocks[0]), true);
+    const fork = await mineBlocks(other, (await createWallet()).getAddress(), 103);
+
+    await new BlockPruner(config, node.blockchain).prune();
+    for (const block of fork) {
+      await node.blockchain.addBlock(block);
+    }
+    assert.equal(await node.db.getLastBlockHash(), tip.hash);
+    assert.equal(node.blockchain.getHeight(), 103);
+  });
+
+  it('conserva nei blocchi potati solo i voti dei validatori', () => {
+    const vote = { type: VOTE_TYPE, from: 'a', to: 'b', amount: 0, vote: VOTE_ADD };
+    const block = { hash: 'h', height: 5, transactions: [{ from: 'a', to: 'b' }, vote] };
+
+    assert.deepEqual(BlockPruner.pruneBlock(block), {
+      hash: 'h',
+      height: 5,
+      transactions: [vote],
+      pruned: true
+    });
+  });
+});
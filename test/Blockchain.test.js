@@ -0,0 +1,422 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Block } from '../src/core/Block.js';
+import { ChainSpec } from '../src/core/ChainSpec.js';
+import { MerkleTree } from '../src/core/MerkleTree.js';
+import { Transaction } from '../src/core/Transaction.js';
+import { CHAIN_SPEC, createNode, createWallet, mineBlock, mineBlocks } from './helpers.js';
+
+describe('Blockchain', () => {
+  describe('validazione degli importi nei blocchi', () => {
+    // La vittima ha 100 da due coinbase, l'attaccante nulla
+    async function setup() {
+      const node = await createNode();
+      const victim = await createWallet();
+      const attacker = await createWallet();
+      await mineBlocks(node, victim.getAddress(), 2);
+      return { node, victim, attacker };
+    }
+
+    async function addBlockWith(node, rewardAddress, transaction) {
+      const block = await mineBlock(node, rewardAddress, template => {
+        template.transactions.push(transaction);
+      });
+      return node.blockchain.addBlock(block);
+    }
+
+    it('rifiuta un importo negativo che sottrarrebbe fondi al destinatario', async () => {
+      const { node, victim, attacker } = await setup();
+      const tx = attacker.createTransaction(victim.getAddress(), -90, 0);
+
+      assert.equal(await addBlockWith(node, attacker.getAddress(), tx), false);
+      assert.equal(node.blockchain.getHeight(), 2);
+      assert.equal(node.blockchain.getBalance(victim.getAddress()), 100);
+      assert.equal(node.blockchain.getBalance(attacker.getAddress()), 0);
+    });
+
+    it('rifiuta un importo non numerico', async () => {
+      const { node, victim } = await setup();
+      const other = await createWallet();
+      const tx = victim.createTransaction(other.getAddress(), 'abc', 0);
+
+      assert.equal(await addBlockWith(node, victim.getAddress(), tx), false);
+      assert.equal(node.blockchain.getBalance(victim.getAddress()), 100);
+      assert.equal(node.blockchain.getBalance(other.getAddress()), 0);
+    });
+
+    it('rifiuta un trasferimento di importo nullo', async () => {
+      const { node, victim } = await setup();
+      const other = await createWallet();
+      const tx = victim.createTransaction(other.getAddress(), 0, 0);
+
+      assert.equal(await addBlockWith(node, victim.getAddress(), tx), false);
+    });
+
+    it('rifiuta importi e commissioni non interi', async () => {
+      const { node, victim } = await setup();
+      const other = await createWallet();
+      const fractional = victim.createTransaction(other.getAddress(), 0.1, 0);
+      const fee = new Transaction(victim.getAddress(), other.getAddress(), 10, 0, Date.now(), 0.5);
+      fee.sign(victim.getPrivateKey(), victim.getPublicKey());
+
+      for (const tx of [fractional, fee]) {
+        assert.equal(await addBlockWith(node, victim.getAddress(), tx), false);
+      }
+      assert.equal(node.blockchain.getBalance(victim.getAddress()), 100);
+    });
+
+    it('rifiuta un trasferimento oltre il saldo confermato', async () => {
+      const { node, victim } = await setup();
+      const other = await createWallet();
+      const tx = victim.createTransaction(other.getAddress(), 101, 0);
+
+      assert.equal(await addBlockWith(node, other.getAddress(), tx), false);
+      assert.equal(node.blockchain.getBalance(other.getAddress()), 0);
+    });
+
+    it('rifiuta una commissione modificata dopo la firma', async () => {
+      const { node, victim, attacker } = await setup();
+
+      // L'hash viene ricalcolato, ma la firma copre la commissione originale
+      const tx = victim.createTransaction(attacker.getAddress(), 10, 0, 1);
+      tx.fee = 40;
+      tx.hash = Transaction.calculateHash(tx);
+
+      assert.equal(await node.mempool.addTransaction(tx), false);
+      assert.equal(await addBlockWith(node, attacker.getAddress(), tx), false);
+      assert.equal(node.blockchain.getBalance(victim.getAddress()), 100);
+    });
+
+    it('accetta un trasferimento valido', async () => {
+      const { node, victim } = await setup();
+      const other = await createWallet();
+      const tx = victim.createTransaction(other.getAddress(), 30, 0);
+
+      assert.equal(await addBlockWith(node, victim.getAddress(), tx), true);
+      assert.equal(node.blockchain.getBalance(other.getAddress()), 30);
+      // 100 - 30 più la coinbase del nuovo blocco
+      assert.equal(node.blockchain.getBalance(victim.getAddress()), 120);
+    });
+  });
+
+  describe('transazione di ricompensa', () => {
+    // Sostituisce la coinbase del template con una di importo e ripartizione indicati
+    function setCoinbase(template, address, amount, outputs = null) {
+      const [coinbase] = template.transactions;
+      template.transactions[0] = Transaction.createCoinbase(
+        address,
+        amount,
+        template.height,
+        coinbase.timestamp,
+        outputs
+      );
+    }
+
+    it('accetta al massimo il sussidio più le commissioni del blocco', async () => {
+      const node = await createNode();
+      const miner = await createWallet();
+      const recipient = await createWallet();
+      await mineBlocks(node, miner.getAddress(), 1);
+      await node.mempool.addTransaction(miner.createTransaction(recipient.getAddress(), 10, 0, 3));
+
+      const over = await mineBlock(node, miner.getAddress(), template => {
+        setCoinbase(template, miner.getAddress(), 54);
+      });
+      assert.equal(await node.blockchain.addBlock(over), false);
+
+      const exact = await mineBlock(node, miner.getAddress(), template => {
+        setCoinbase(template, miner.getAddress(), 53);
+      });
+      assert.equal(await node.blockchain.addBlock(exact), true);
+      // 50 + 53 - 10 - 3
+      assert.equal(node.blockchain.getBalance(miner.getAddress()), 90);
+    });
+
+    it('richiede una sola coinbase, in testa al blocco', async () => {
+      const node = await createNode();
+      const miner = await createWallet();
+
+      const missing = await mineBlock(node, miner.getAddress(), template => {
+        template.transactions.shift();
+      });
+      assert.equal(await node.blockchain.addBlock(missing), false);
+
+      const twice = await mineBlock(node, miner.getAddress(), template => {
+        template.transactions.push(
+          Transaction.createCoinbase(miner.getAddress(), 1, template.height, 1)
+        );
+      });
+      assert.equal(await node.blockchain.addBlock(twice), false);
+      assert.equal(node.blockchain.getHeight(), 0);
+    });
+
+    it("rifiuta una ripartizione che non distribuisce esattamente l'importo", async () => {
+      const node = await createNode();
+      const alice = await createWallet();
+      const bob = await createWallet();
+      const split = amounts => template => {
+        const outputs = [
+          { address: alice.getAddress(), amount: amounts[0] },
+          { address: bob.getAddress(), amount: amounts[1] }
+        ];
+        setCoinbase(template, alice.getAddress(), 50, outputs);
+      };
+
+      for (const amounts of [
+        [30, 30],
+        [30, 10],
+        [60, -10]
+      ]) {
+        const block = await mineBlock(node, alice.getAddress(), split(amounts));
+        assert.equal(await node.blockchain.addBlock(block), false);
+      }
+
+      const block = await mineBlock(node, alice.getAddress(), split([30, 20]));
+      assert.equal(await node.blockchain.addBlock(block), true);
+      assert.equal(node.blockchain.getBalance(alice.getAddress()), 30);
+      assert.equal(node.blockchain.getBalance(bob.getAddress()), 20);
+    });
+
+    it('dimezza il sussidio a ogni intervallo', () => {
+      const spec = ChainSpec.load(undefined, CHAIN_SPEC);
+      spec.reward = { initial: 50, halvingInterval: 10 };
+
+      assert.deepEqual(
+        [0, 9, 10, 19, 20, 30, 60].map(height => spec.getBlockReward(height)),
+        [50, 50, 25, 25, 12, 6, 0]
+      );
+    });
+  });
+
+  describe('timestamp dei blocchi', () => {
+    const HOUR = 60 * 60 * 1000;
+
+    async function mineAt(node, rewardAddress, timestamp) {
+      const block = await mineBlock(node, rewardAddress, template => {
+        template.timestamp = timestamp;
+      });
+      return node.blockchain.addBlock(block);
+    }
+
+    it('richiede un timestamp successivo alla mediana degli ultimi blocchi', async () => {
+      const node = await createNode();
+      const miner = (await createWallet()).getAddress();
+      const start = Date.now() - HOUR;
+      for (const offset of [1000, 5000, 3000]) {
+        assert.equal(await mineAt(node, miner, start + offset), true);
+      }
+
+      // Mediana di genesis e dei tre blocchi: 3000. Un timestamp precedente all'ultimo
+      // blocco è valido finché la supera
+      assert.equal(await mineAt(node, miner, start + 3000), false);
+      assert.equal(await mineAt(node, miner, start + 2000), false);
+      assert.equal(await mineAt(node, miner, start + 3001), true);
+    });
+
+    it('rifiuta un timestamp oltre 2 ore nel futuro secondo il tempo di rete', async () => {
+      const node = await createNode();
+      const miner = (await createWallet()).getAddress();
+      const future = Date.now() + 2 * HOUR + 30 * 60 * 1000;
+      assert.equal(await mineAt(node, miner, future), false);
+
+      // Peer con l'orologio avanti di 40 minuti spostano in avanti il limite
+      for (let i = 0; i < 5; i++) {
+        node.blockchain.networkTime.addSample(`peer-${i}`, Date.now() + 40 * 60 * 1000);
+      }
+      assert.equal(await mineAt(node, miner, future), true);
+    });
+
+    it('non applica la mediana degli ultimi blocchi alle transazioni', async () => {
+      const node = await createNode();
+      const sender = await createWallet();
+      const recipient = (await createWallet()).getAddress();
+      await mineBlocks(node, sender.getAddress(), 1);
+      const tx = sender.createTransaction(recipient, 10, 0);
+
+      // Blocchi un'ora avanti, entro il limite di 2 ore: la mediana supera la transazione
+      const start = Date.now() + HOUR;
+      for (const offset of [1000, 2000, 3000]) {
+        assert.equal(await mineAt(node, sender.getAddress(), start + offset), true);
+      }
+      const lastBlock = await node.blockchain.getLastBlock();
+      assert.ok(tx.timestamp < (await node.blockchain.getMedianTimePast(lastBlock)));
+      assert.equal(await node.mempool.addTransaction(tx), true);
+    });
+  });
+
+  describe('indici delle transazioni', () => {
+    it('restituisce prove di inclusione verificabili anche per livelli dispari', async () => {
+      const node = await createNode();
+      const sender = await createWallet();
+      const recipient = await createWallet();
+      await mineBlocks(node, sender.getAddress(), 1);
+
+      // Coinbase più due trasferimenti: tre foglie
+      for (const nonce of [0, 1]) {
+        await node.mempool.addTransaction(
+          sender.createTransaction(recipient.getAddress(), 10, nonce)
+        );
+      }
+      const [block] = await mineBlocks(node, sender.getAddress(), 1);
+      assert.equal(block.transactions.length, 3);
+
+      for (const tx of block.transactions) {
+        const result = await node.blockchain.getTransactionProof(tx.hash);
+        assert.equal(result.merkleRoot, block.merkleRoot);
+        assert.equal(
+          new MerkleTree().verifyProof(result.transaction, result.proof, result.merkleRoot),
+          true
+        );
+      }
+      assert.equal(await node.blockchain.getConfirmations(block.transactions[2].hash), 1);
+    });
+
+    it('rifiuta una transazione con un hash che non corrisponde al contenuto', async () => {
+      const node = await createNode();
+      const sender = await createWallet();
+      const recipient = await createWallet();
+      await mineBlocks(node, sender.getAddress(), 1);
+
+      // Trasferimento valido che dichiara l'hash di un altro trasferimento
+      const other = sender.createTransaction(recipient.getAddress(), 20, 0);
+      const tx = sender.createTransaction(recipient.getAddress(), 10, 0);
+      tx.hash = other.hash;
+      const block = await mineBlock(node, sender.getAddress(), template => {
+        template.transactions.push(tx);
+      });
+
+      assert.equal(await node.blockchain.addBlock(block), false);
+      assert.equal(node.blockchain.getHeight(), 1);
+      assert.equal(await node.blockchain.getTransactionProof(other.hash), null);
+    });
+
+    it('rifiuta un blocco che ripete una transazione con la stessa merkle root', async () => {
+      const node = await createNode();
+      const other = await createNode();
+      const sender = await createWallet();
+      const recipient = await createWallet();
+      const [funding] = await mineBlocks(other, sender.getAddress(), 1);
+      await node.blockchain.addBlock(funding);
+      await mineBlocks(node, sender.getAddress(), 1);
+
+      // Blocco di una catena laterale, verificato senza lo stato: coinbase più due
+      // trasferimenti, e ripetere l'ultima foglia non cambia la root né l'hash
+      const first = sender.createTransaction(recipient.getAddress(), 10, 0);
+      const second = sender.createTransaction(recipient.getAddress(), 10, 1);
+      const block = await mineBlock(other, sender.getAddress(), template => {
+        template.transactions.push(first, second);
+      });
+      const repeated = { ...block, transactions: [...block.transactions, second] };
+      assert.equal(Block.calculateMerkleRoot(repeated.transactions), block.merkleRoot);
+      assert.equal(Block.calculateHash(repeated), block.hash);
+      assert.equal(await node.blockchain.addBlock(repeated), false);
+
+      // Il blocco originale resta accettabile e il suo ramo può diventare la catena principale
+      assert.equal(await node.blockchain.addBlock(block), true);
+      assert.equal(await other.blockchain.addBlock(block), true);
+      const [next] = await mineBlocks(other, sender.getAddress(), 1);
+      assert.equal(await node.blockchain.addBlock(next), true);
+      assert.equal(await node.db.getLastBlockHash(), next.hash);
+      assert.equal(node.blockchain.getBalance(recipient.getAddress()), 20);
+    });
+  });
+
+  describe('riorganizzazioni della catena', () => {
+    it('passa alla catena con più lavoro e ne ricava lo stesso stato', async () => {
+      const node = await createNode();
+      const other = await createNode();
+      const alice = await createWallet();
+      const bob = await createWallet();
+
+      // Catena locale: due blocchi di alice, il secondo con un trasferimento a bob
+      await mineBlocks(node, alice.getAddress(), 1);
+      await node.mempool.addTransaction(alice.createTransaction(bob.getAddress(), 20, 0));
+      await mineBlocks(node, alice.getAddress(), 1);
+      assert.equal(node.blockchain.getBalance(bob.getAddress()), 20);
+
+      // Catena concorrente più lunga, con lo stesso target: tre blocchi di bob
+      const blocks = await mineBlocks(other, bob.getAddress(), 3);
+      for (const block of blocks) {
+        assert.equal(await node.blockchain.addBlock(block), true);
+      }
+
+      assert.equal(node.blockchain.getHeight(), 3);
+      assert.equal(await node.db.getLastBlockHash(), blocks[2].hash);
+      assert.equal(node.blockchain.getBalance(alice.getAddress()), 0);
+      assert.equal(node.blockchain.getBalance(bob.getAddress()), 150);
+      assert.equal(node.blockchain.state.getStateRoot(), other.blockchain.state.getStateRoot());
+
+      // Lo stato salvato coincide con quello in memoria
+      const reopened = await createNode(node.db.db);
+      assert.equal(reopened.blockchain.state.getStateRoot(), other.blockchain.state.getStateRoot());
+    });
+
+    it('esclude dallo state root gli account svuotati dalla riorganizzazione', async () => {
+      const node = await createNode();
+      const other = await createNode();
+      const alice = await createWallet();
+      const bob = await createWallet();
+
+      // Solo il nodo locale ha visto alice: dopo la riorganizzazione resta il suo account vuoto
+      await mineBlocks(node, alice.getAddress(), 1);
+      for (const block of await mineBlocks(other, bob.getAddress(), 2)) {
+        await node.blockchain.addBlock(block);
+      }
+
+      assert.equal(node.blockchain.state.accounts.has(alice.getAddress()), true);
+      assert.equal(other.blockchain.state.accounts.has(alice.getAddress()), false);
+      assert.deepEqual(node.blockchain.state.getAccount(alice.getAddress()), {
+        address: alice.getAddress(),
+        balance: 0,
+        nonce: 0
+      });
+      assert.equal(node.blockchain.state.getStateRoot(), other.blockchain.state.getStateRoot());
+    });
+
+    it('resta sulla catena corrente a parità di lavoro', async () => {
+      const node = await createNode();
+      const other = await createNode();
+      const alice = await createWallet();
+      const bob = await createWallet();
+
+      const [tip] = await mineBlocks(node, alice.getAddress(), 1);
+      const [competing] = await mineBlocks(other, bob.getAddress(), 1);
+      await node.blockchain.addBlock(competing);
+
+      assert.equal(await node.db.getLastBlockHash(), tip.hash);
+      assert.equal(node.blockchain.getBalance(alice.getAddress()), 50);
+      assert.equal(node.blockchain.getBalance(bob.getAddress()), 0);
+    });
+
+    it("non segna come non valido un blocco la cui copia salvata non corrisponde all'hash", async () => {
+      const node = await createNode();
+      const other = await createNode();
+      const alice = await createWallet();
+      const bob = await createWallet();
+
+      const [tip] = await mineBlocks(node, alice.getAddress(), 1);
+      const [competing] = await mineBlocks(other, bob.getAddress(), 1);
+      await node.blockchain.addBlock(competing);
+
+      // Copia alterata del blocco laterale: un trasferimento senza copertura non impegnato
+      // dalla merkle root fa fallire la riorganizzazione
+      const overdraft = alice.createTransaction(bob.getAddress(), 500, 0);
+      await node.db.saveBlock({
+        ...competing,
+        transactions: [...competing.transactions, overdraft]
+      });
+      const [next] = await mineBlocks(other, bob.getAddress(), 1);
+      assert.equal(await node.blockchain.addBlock(next), false);
+      assert.equal(await node.db.getLastBlockHash(), tip.hash);
+      assert.notEqual((await node.db.getBlockInfo(competing.hash)).invalid, true);
+      assert.notEqual((await node.db.getBlockInfo(next.hash)).invalid, true);
+
+      // Ripristinato il contenuto, il ramo resta candidato alla catena principale
+      await node.db.saveBlock(competing);
+      const [last] = await mineBlocks(other, bob.getAddress(), 1);
+      assert.equal(await node.blockchain.addBlock(last), true);
+      assert.equal(await node.db.getLastBlockHash(), last.hash);
+      assert.equal(node.blockchain.getBalance(bob.getAddress()), 150);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BlockchainDB } from '../src/storage/BlockchainDB.js';
+import { MemoryBackend } from '../src/storage/backends/MemoryBackend.js';
+import { MIGRATIONS, SCHEMA_VERSION } from '../src/storage/migrations.js';
+import { createConfig, createNode, createWallet, mineBlocks } from './helpers.js';
+
+// Catena di tre blocchi con un trasferimento nell'ultimo
+async function setup() {
+  const node = await createNode();
+  const miner = await createWallet();
+  const recipient = await createWallet();
+  const blocks = await mineBlocks(node, miner.getAddress(), 2);
+  const tx = miner.createTransaction(recipient.getAddress(), 30, 0);
+  await node.mempool.addTransaction(tx);
+  blocks.push(...(await mineBlocks(node, miner.getAddress(), 1)));
+  return { node, recipient, blocks, tx };
+}
+
+describe('BlockchainDB', () => {
+  describe("riparazione dell'ultimo blocco all'avvio", () => {
+    it('non modifica un database coerente', async () => {
+      const { node } = await setup();
+      assert.equal(await node.db.repairTip(), false);
+    });
+
+    it("torna al blocco indicizzato più alto se l'ultimo blocco manca", async () => {
+      const { node, recipient, blocks } = await setup();
+      await node.db.saveLastBlockHash('f'.repeat(64));
+
+      const reopened = await createNode(node.db.db);
+      assert.equal(await reopened.db.getLastBlockHash(), blocks[2].hash);
+      assert.equal(reopened.blockchain.getHeight(), 3);
+      assert.equal(reopened.blockchain.getBalance(recipient.getAddress()), 30);
+    });
+
+    it("riscrive altezze e indici mancanti fino all'ultimo blocco", async () => {
+      const { node, recipient, blocks, tx } = await setup();
+      const backend = node.db.db;
+      await backend.batch([
+        { type: 'del', key: 'height:2' },
+        { type: 'del', key: 'height:3' },
+        { type: 'del', key: `tx:${tx.hash}` }
+      ]);
+
+      const reopened = await createNode(backend);
+      assert.equal(await reopened.db.getBlockHashByHeight(2), blocks[1].hash);
+      assert.equal(await reopened.db.getBlockHashByHeight(3), blocks[2].hash);
+      assert.equal((await reopened.db.getTransactionLocation(tx.hash)).height, 3);
+      assert.equal(reopened.blockchain.getBalance(recipient.getAddress()), 30);
+    });
+
+    it("elimina le altezze oltre l'ultimo blocco e i loro indici", async () => {
+      const { node, recipient, blocks, tx } = await setup();
+      await node.db.saveBlockHashByHeight(4, 'f'.repeat(64));
+      await node.db.saveLastBlockHash(blocks[1].hash);
+
+      const reopened = await createNode(node.db.db);
+      assert.equal(reopened.blockchain.getHeight(), 2);
+      assert.equal(await reopened.db.getBlockHashByHeight(3), null);
+      assert.equal(await reopened.db.getBlockHashByHeight(4), null);
+      assert.equal(await reopened.db.getTransactionLocation(tx.hash), null);
+      const history = await reopened.db.getAddressHistory(recipient.getAddress());
+      assert.deepEqual(history.entries, []);
+    });
+
+    it('elimina gli indici dei blocchi sostituiti risalendo dal nuovo ultimo blocco', async () => {
+      const { node, recipient, tx } = await setup();
+      const other = await createNode();
+      const branch = await mineBlocks(other, (await createWallet()).getAddress(), 3);
+      for (const block of branch) {
+        await node.blockchain.addBlock(block);
+      }
+
+      // Ultimo hash già sul ramo laterale, altezze e indici ancora sulla vecchia catena
+      await node.db.saveLastBlockHash(branch[2].hash);
+
+      const reopened = await createNode(node.db.db);
+      assert.equal(await reopened.db.getBlockHashByHeight(3), branch[2].hash);
+      assert.equal(await reopened.db.getTransactionLocation(tx.hash), null);
+      const history = await reopened.db.getAddressHistory(recipient.getAddress());
+      assert.deepEqual(history.entries, []);
+      assert.equal(reopened.blockchain.getBalance(recipient.getAddress()), 0);
+    });
+  });
+
+  describe('migrazioni dello schema', () => {
+    // Riporta la catena di prova alla versione 0: nessuna versione salvata e transazioni
+    // complete nelle chiavi `tx:`, senza indici per indirizzo
+    async function setupLegacy() {
+      const { node, recipient, tx } = await setup();
+      const backend = node.db.db;
+      await node.db.clearTransactions();
+      await backend.del('schemaVersion');
+      await backend.put(`tx:${tx.hash}`, tx);
+      return { backend, recipient, tx };
+    }
+
+    it('marca un database vuoto con la versione corrente', async () => {
+      const db = new BlockchainDB(createConfig(), new MemoryBackend());
+      assert.equal(await db.init(), true);
+      assert.equal(await db.getSchemaVersion(), SCHEMA_VERSION);
+    });
+
+    it('ricostruisce gli indici di un database alla versione 0', async () => {
+      const { backend, recipient, tx } = await setupLegacy();
+      const db = new BlockchainDB(createConfig(), backend);
+
+      const applied = await db.migrate();
+      assert.deepEqual(
+        applied.map(step => step.version),
+        MIGRATIONS.map(step => step.version)
+      );
+      assert.equal(
+        applied[0].summary,
+        '1 transazioni nel vecchio formato, 4 blocchi da indicizzare'
+      );
+      assert.equal(await db.getSchemaVersion(), SCHEMA_VERSION);
+      assert.equal((await db.getTransactionLocation(tx.hash)).height, 3);
+      const history = await db.getAddressHistory(recipient.getAddress());
+      assert.deepEqual(
+        history.entries.map(entry => entry.hash),
+        [tx.hash]
+      );
+    });
+
+    it('con dryRun elenca le migrazioni senza modificare il database', async () => {
+      const { backend, tx } = await setupLegacy();
+      const db = new BlockchainDB(createConfig(), backend);
+
+      assert.equal(await db.init({ dryRun: true }), true);
+      const applied = await db.migrate({ dryRun: true });
+      assert.deepEqual(
+        applied.map(step => step.version),
+        MIGRATIONS.map(step => step.version)
+      );
+      assert.equal(await db.getSchemaVersion(), null);
+      assert.deepEqual(await backend.get(`tx:${tx.hash}`), tx);
+    });
+
+    it('esegue le migrazioni in ordine, salvando la versione dopo ogni passo', async () => {
+      const { backend } = await setupLegacy();
+      const db = new BlockchainDB(createConfig(), backend);
+      const seen = [];
+      const extra = [2, 3].map(version => ({
+        version,
+        description: `Migrazione di prova ${version}`,
+        async up(target) {
+          seen.push({ version, saved: await target.getSchemaVersion() });
+          return 'nessuna modifica';
+        }
+      }));
+
+      MIGRATIONS.push(...extra);
+      try {
+        const applied = await db.migrate();
+        assert.deepEqual(
+          applied.map(step => step.version),
+          [1, 2, 3]
+        );
+      } finally {
+        MIGRATIONS.splice(-extra.length);
+      }
+      assert.deepEqual(seen, [
+        { version: 2, saved: 1 },
+        { version: 3, saved: 2 }
+      ]);
+      assert.equal(await db.getSchemaVersion(), 3);
+    });
+
+    it('rifiuta un database scritto da una versione più recente del nodo', async () => {
+      const { node } = await setup();
+      const backend = node.db.db;
+      await backend.put('schemaVersion', SCHEMA_VERSION + 1);
+
+      const db = new BlockchainDB(createConfig(), backend);
+      assert.equal(await db.init(), false);
+      assert.equal(await backend.get('schemaVersion'), SCHEMA_VERSION + 1);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Blockchain } from '../src/core/Blockchain.js';
+import { ChainMaintenance } from '../src/core/ChainMaintenance.js';
+import { Transaction } from '../src/core/Transaction.js';
+import {
+  createConfig,
+  createNode,
+  createWallet,
+  mineBlock,
+  mineBlocks,
+  writeChainSpec
+} from './helpers.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drakon-maintenance-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Catena di tre blocchi con un trasferimento di 30 nell'ultimo
+async function setup(config = createConfig()) {
+  const node = await createNode(null, config);
+  const miner = await createWallet();
+  const recipient = await createWallet();
+  const blocks = await mineBlocks(node, miner.getAddress(), 2);
+  const tx = miner.createTransaction(recipient.getAddress(), 30, 0);
+  await node.mempool.addTransaction(tx);
+  blocks.push(...(await mineBlocks(node, miner.getAddress(), 1)));
+  return { node, miner, recipient, blocks, tx };
+}
+
+// Manutenzione su una blockchain non inizializzata, come nel comando `chain`
+function createMaintenance(node) {
+  return new ChainMaintenance(new Blockchain(node.config, node.db));
+}
+
+// Registra le altezze passate a un metodo, senza cambiarne il comportamento
+function spyHeights(target, method) {
+  const heights = [];
+  const original = target[method].bind(target);
+  target[method] = (block, ...args) => {
+    heights.push(block.height);
+    return original(block, ...args);
+  };
+  return heights;
+}
+
+describe('ChainMaintenance', () => {
+  describe('reindex', () => {
+    it('ricostruisce catena principale, indici e stato dai blocchi salvati', async () => {
+      const { node, recipient, blocks, tx } = await setup();
+      await node.db.clearBlockHeights();
+      await node.db.clearTransactions();
+      await node.db.clearWalletStates();
+      await node.db.saveLastBlockHash(blocks[0].hash);
+
+      const result = await createMaintenance(node).reindex();
+      assert.deepEqual(result, { blocks: 4, skipped: 0, height: 3, tip: blocks[2].hash });
+      assert.equal(await node.db.getLastBlockHash(), blocks[2].hash);
+      assert.equal(await node.db.getBlockHashByHeight(2), blocks[1].hash);
+      assert.equal((await node.db.getTransactionLocation(tx.hash)).height, 3);
+      assert.equal((await node.db.getWalletState(recipient.getAddress())).balance, 30);
+      assert.equal(await node.db.getProgress('reindex'), null);
+    });
+
+    it("riprende l'indicizzazione delle transazioni dall'altezza salvata", async () => {
+      const { node, blocks } = await setup();
+      const tip = { hash: blocks[2].hash, height: 3 };
+      await node.db.saveProgress('reindex', { phase: 'transactions', tip, height: 1 });
+
+      const indexed = spyHeights(node.db, 'indexBlock');
+      await createMaintenance(node).reindex();
+      assert.deepEqual(indexed, [2, 3]);
+
+      await createMaintenance(node).reindex();
+      assert.deepEqual(indexed, [2, 3, 0, 1, 2, 3]);
+    });
+
+    it("non lascia l'indice per altezza a metà se la scrittura fallisce", async () => {
+      const { node, blocks } = await setup();
+      await node.db.saveProgress('reindex', { phase: 'chain' });
+
+      const batch = node.db.db.batch.bind(node.db.db);
+      node.db.db.batch = async () => {
+        throw new Error('scrittura interrotta');
+      };
+      await assert.rejects(createMaintenance(node).reindex());
+      node.db.db.batch = batch;
+
+      assert.equal(await node.db.getBlockHashByHeight(3), blocks[2].hash);
+      assert.equal(await node.db.getLastBlockHash(), blocks[2].hash);
+      assert.deepEqual(await node.db.getProgress('reindex'), { phase: 'chain' });
+    });
+  });
+
+  describe('verifyChain', () => {
+    it('rivalida la catena e confronta lo stato salvato con quello ricalcolato', async () => {
+      const { node, recipient } = await setup();
+      const maintenance = createMaintenance(node);
+
+      assert.deepEqual(await maintenance.verifyChain(), {
+        valid: true,
+        height: 3,
+        invalidBlock: null,
+        stateMismatches: 0
+      });
+
+      const state = await node.db.getWalletState(recipient.getAddress());
+      await node.db.saveWalletState(recipient.getAddress(), { ...state, balance: 31 });
+      assert.equal((await maintenance.verifyChain()).stateMismatches, 1);
+    });
+
+    it('verifica anche le firme sotto il blocco assunto valido', async () => {
+      const file = writeChainSpec(dir, 'assume-valid', spec => {
+        spec.assumeValid = { height: 10, hash: 'f'.repeat(64) };
+      });
+      const { node, miner, recipient } = await setup(createConfig(file));
+
+      // Importo cambiato dopo la firma: accettato solo perché assunto valido
+      const tx = miner.createTransaction(recipient.getAddress(), 10, 1);
+      tx.amount = 20;
+      tx.hash = Transaction.calculateHash(tx);
+      const block = await mineBlock(node, miner.getAddress(), template => {
+        template.transactions.push(tx);
+      });
+      assert.equal(await node.blockchain.addBlock(block), true);
+
+      const result = await createMaintenance(node).verifyChain();
+      assert.equal(result.valid, false);
+      assert.deepEqual(result.invalidBlock, { height: 4, hash: block.hash });
+    });
+
+    it("riprende dall'altezza salvata se la catena non è cambiata", async () => {
+      const { node, blocks } = await setup();
+      const blockchain = new Blockchain(node.config, node.db);
+      const maintenance = new ChainMaintenance(blockchain);
+      const validated = spyHeights(blockchain, 'isValidBlock');
+
+      await node.db.saveProgress('verify', { height: 2, hash: blocks[1].hash });
+      assert.equal((await maintenance.verifyChain()).valid, true);
+      assert.deepEqual(validated, [3]);
+
+      await node.db.saveProgress('verify', { height: 2, hash: blocks[0].hash });
+      assert.equal((await maintenance.verifyChain()).valid, true);
+      assert.deepEqual(validated, [3, 1, 2, 3]);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { AccountState } from '../src/core/AccountState.js';
+import { Blockchain } from '../src/core/Blockchain.js';
+import { ChainSnapshot } from '../src/core/ChainSnapshot.js';
+import { BlockchainDB } from '../src/storage/BlockchainDB.js';
+import { createConfig, createNode, createWallet, mineBlocks } from './helpers.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drakon-snapshot-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Catena di tre blocchi con un trasferimento, esportata in un file
+async function exportChain(name, prepare = null) {
+  const node = await createNode();
+  const miner = await createWallet();
+  const recipient = await createWallet();
+  await mineBlocks(node, miner.getAddress(), 2);
+  await node.mempool.addTransaction(miner.createTransaction(recipient.getAddress(), 30, 0));
+  await mineBlocks(node, miner.getAddress(), 1);
+  if (prepare) {
+    await prepare(node);
+  }
+
+  const file = path.join(dir, name);
+  const header = await new ChainSnapshot(node.blockchain).export(file);
+  return { file, header, miner, recipient };
+}
+
+async function importChain(file, options, backend = null) {
+  const config = createConfig();
+  const db = new BlockchainDB(config, backend);
+  await db.init();
+  const blockchain = new Blockchain(config, db);
+  await new ChainSnapshot(blockchain).import(file, options);
+  return db;
+}
+
+// Riscrive le righe dello snapshot e ne ricalcola checksum e state root, come farebbe
+// chi volesse far accettare uno stato falsificato
+function rewrite(file, target, modify) {
+  const entries = zlib
+    .gunzipSync(fs.readFileSync(file))
+    .toString()
+    .trim()
+    .split('\n')
+    .map(line => JSON.parse(line))
+    .filter(entry => entry.type !== 'checksum');
+  modify(entries);
+
+  const [header] = entries;
+  const accounts = entries.filter(entry => entry.type === 'account').map(e => e.account);
+  header.stateRoot = AccountState.calculateStateRoot(accounts);
+
+  const text = entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+  const sha256 = crypto.createHash('sha256').update(text).digest('hex');
+  const output = path.join(dir, target);
+  fs.writeFileSync(
+    output,
+    zlib.gzipSync(`${text}${JSON.stringify({ type: 'checksum', sha256 })}\n`)
+  );
+  return output;
+}
+
+describe('ChainSnapshot', () => {
+  it('importa uno snapshot rieseguendone le transazioni', async () => {
+    const { file, header, recipient } = await exportChain('valid.snapshot');
+
+    const db = await importChain(file);
+    assert.equal(await db.getLastBlockHash(), header.tipHash);
+    assert.equal((await db.getWalletState(recipient.getAddress())).balance, 30);
+  });
+
+  it('rifiuta uno stato degli account che non deriva dai blocchi', async () => {
+    const { file, recipient } = await exportChain('source.snapshot');
+    const forged = rewrite(file, 'forged.snapshot', entries => {
+      const entry = entries.find(e => e.account?.address === recipient.getAddress());
+      entry.account.balance = 1000000;
+    });
+
+    await assert.rejects(importChain(forged), /transazioni rieseguite/);
+  });
+
+  it("elimina all'avvio blocchi e indici di un'importazione interrotta", async () => {
+    const { file, header, recipient } = await exportChain('interrupted.snapshot');
+    // I blocchi vengono scritti, poi l'importazione fallisce sugli account
+    const broken = rewrite(file, 'broken.snapshot', entries => {
+      entries.find(e => e.account?.address === recipient.getAddress()).account.balance = 1;
+    });
+    const backend = new BlockchainDB(createConfig()).db;
+    await assert.rejects(importChain(broken, {}, backend), /transazioni rieseguite/);
+
+    const keys = async prefix => {
+      const found = [];
+      for await (const key of backend.keys({ gte: `${prefix}:`, lt: `${prefix};` })) {
+        found.push(key);
+      }
+      return found;
+    };
+    assert.equal((await keys(`addr:${recipient.getAddress()}`)).length, 1);
+
+    const node = await createNode(backend);
+    assert.equal(node.blockchain.getHeight(), 0);
+    assert.equal(await node.db.getBlock(header.tipHash), null);
+    assert.deepEqual(await keys(`addr:${recipient.getAddress()}`), []);
+    assert.equal((await keys('tx')).length, 0);
+    assert.equal((await keys('height')).length, 1);
+  });
+
+  it('richiede la state root attesa per gli snapshot potati', async () => {
+    const { file, header } = await exportChain('pruned.snapshot', node =>
+      node.db.pruneBlocks([], 2)
+    );
+    assert.equal(header.prunedHeight, 2);
+
+    await assert.rejects(importChain(file), /indicare la state root attesa/);
+    await assert.rejects(importChain(file, { stateRoot: 'a'.repeat(64) }), /diversa da quella/);
+
+    const db = await importChain(file, { stateRoot: header.stateRoot });
+    assert.equal(await db.getLastBlockHash(), header.tipHash);
+  });
+});
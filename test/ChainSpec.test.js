@@ -0,0 +1,167 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Block } from '../src/core/Block.js';
+import { Blockchain } from '../src/core/Blockchain.js';
+import { ChainSpec } from '../src/core/ChainSpec.js';
+import { Transaction } from '../src/core/Transaction.js';
+import { BlockchainDB } from '../src/storage/BlockchainDB.js';
+import {
+  CHAIN_SPEC,
+  createConfig,
+  createNode,
+  createWallet,
+  mineBlock,
+  mineBlocks,
+  writeChainSpec
+} from './helpers.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drakon-chainspec-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+async function openBlockchain(config, backend = null) {
+  const db = new BlockchainDB(config, backend);
+  await db.init();
+  const blockchain = new Blockchain(config, db);
+  await blockchain.init();
+  return blockchain;
+}
+
+describe('ChainSpec', () => {
+  it('costruisce sempre lo stesso genesis per la stessa rete', () => {
+    const hashes = ['testnet', 'mainnet', 'devnet'].map(type => {
+      const first = ChainSpec.fromConfig({ network: { type } });
+      const second = ChainSpec.fromConfig({ network: { type } });
+      assert.equal(first.name, type);
+      assert.deepEqual(first.genesisBlock, second.genesisBlock);
+      assert.equal(Block.calculateHash(first.genesisBlock), first.genesisHash);
+      return first.genesisHash;
+    });
+
+    assert.equal(new Set(hashes).size, 3);
+  });
+
+  it('preferisce il file di specifica al tipo di rete', () => {
+    const spec = ChainSpec.fromConfig({ network: { type: 'mainnet', chainSpec: CHAIN_SPEC } });
+    assert.equal(spec.name, 'test');
+  });
+
+  it('accredita le allocazioni iniziali del genesis', async () => {
+    const alice = await createWallet();
+    const file = writeChainSpec(dir, 'allocations', spec => {
+      spec.genesis.allocations = [{ address: alice.getAddress(), amount: 1000 }];
+    });
+    const spec = ChainSpec.load(undefined, file);
+
+    const [allocation] = spec.genesisBlock.transactions;
+    assert.equal(allocation.hash, Transaction.calculateHash(allocation));
+    assert.equal(spec.genesisBlock.merkleRoot, Block.calculateMerkleRoot([allocation]));
+
+    const blockchain = await openBlockchain({ ...createConfig(), network: { chainSpec: file } });
+    assert.equal(await blockchain.db.getBlockHashByHeight(0), spec.genesisHash);
+    assert.equal(blockchain.getBalance(alice.getAddress()), 1000);
+  });
+
+  it('rifiuta allocazioni con importi non interi', async () => {
+    const alice = await createWallet();
+    const file = writeChainSpec(dir, 'fractional', spec => {
+      spec.genesis.allocations = [{ address: alice.getAddress(), amount: 0.5 }];
+    });
+    assert.throws(() => ChainSpec.load(undefined, file), /importo intero/);
+  });
+
+  it('rifiuta allocazioni ripetute per lo stesso indirizzo', async () => {
+    const alice = await createWallet();
+    const allocation = { address: alice.getAddress(), amount: 1000 };
+    const file = writeChainSpec(dir, 'repeated', spec => {
+      spec.genesis.allocations = [allocation, { ...allocation }];
+    });
+    assert.throws(() => ChainSpec.load(undefined, file), /allocazione ripetuta/);
+  });
+
+  it("rifiuta un database creato per un'altra rete", async () => {
+    const node = await createNode();
+    const config = { ...createConfig(), network: { type: 'devnet' } };
+
+    await assert.rejects(openBlockchain(config, node.db.db), /la rete devnet richiede/);
+  });
+
+  describe('checkpoint e assumeValid', () => {
+    // Nodo sulla rete di prova con i checkpoint indicati (altezza -> blocco)
+    async function createCheckpointNode(name, blocks) {
+      const file = writeChainSpec(dir, name, spec => {
+        spec.checkpoints = Object.fromEntries(blocks.map(block => [block.height, block.hash]));
+      });
+      return createNode(null, createConfig(file));
+    }
+
+    it('accetta al checkpoint solo il blocco indicato', async () => {
+      const source = await createNode();
+      const other = await createNode();
+      const blocks = await mineBlocks(source, (await createWallet()).getAddress(), 3);
+      const competing = await mineBlocks(other, (await createWallet()).getAddress(), 4);
+      const node = await createCheckpointNode('checkpoint', [blocks[1]]);
+
+      assert.equal(await node.blockchain.addBlock(competing[0]), true);
+      assert.equal(await node.blockchain.addBlock(competing[1]), false);
+
+      for (const block of blocks) {
+        assert.equal(await node.blockchain.addBlock(block), true);
+      }
+      assert.equal(await node.db.getLastBlockHash(), blocks[2].hash);
+    });
+
+    it('non accetta diramazioni precedenti a un checkpoint superato', async () => {
+      const source = await createNode();
+      const blocks = await mineBlocks(source, (await createWallet()).getAddress(), 2);
+      const node = await createCheckpointNode('passed', [blocks[0]]);
+      for (const block of blocks) {
+        assert.equal(await node.blockchain.addBlock(block), true);
+      }
+
+      const fork = await createNode();
+      const [block] = await mineBlocks(fork, (await createWallet()).getAddress(), 1);
+      assert.equal(node.blockchain.isValidCheckpoint(block), false);
+      assert.equal(await node.blockchain.addBlock(block), false);
+    });
+
+    it('rifiuta un assumeValid in conflitto con un checkpoint', () => {
+      const spec = JSON.parse(fs.readFileSync(CHAIN_SPEC, 'utf8'));
+      spec.checkpoints = { 5: 'a'.repeat(64) };
+      spec.assumeValid = { height: 5, hash: 'b'.repeat(64) };
+      assert.throws(() => new ChainSpec(spec), /in conflitto con il checkpoint 5/);
+
+      spec.assumeValid.hash = 'a'.repeat(64);
+      assert.equal(new ChainSpec(spec).checkpoints.get(5), 'a'.repeat(64));
+    });
+
+    it('non verifica le firme sotto il blocco assunto valido, a meno di disattivarlo', async () => {
+      // Rete con assumeValid oltre la catena di prova: le firme dei primi blocchi sono esenti
+      const file = writeChainSpec(dir, 'assume-valid', spec => {
+        spec.assumeValid = { height: 10, hash: 'f'.repeat(64) };
+      });
+      const source = await createNode(null, createConfig(file));
+      const alice = await createWallet();
+      const bob = await createWallet();
+      const [first] = await mineBlocks(source, alice.getAddress(), 1);
+
+      // Importo cambiato dopo la firma, con l'hash ricalcolato
+      const tx = alice.createTransaction(bob.getAddress(), 10, 0);
+      tx.amount = 20;
+      tx.hash = Transaction.calculateHash(tx);
+      const block = await mineBlock(source, alice.getAddress(), template => {
+        template.transactions.push(tx);
+      });
+      assert.equal(await source.blockchain.addBlock(block), true);
+      assert.equal(source.blockchain.getBalance(bob.getAddress()), 20);
+
+      const config = createConfig(file);
+      config.network.assumeValid = false;
+      const strict = await createNode(null, config);
+      assert.equal(await strict.blockchain.addBlock(first), true);
+      assert.equal(await strict.blockchain.addBlock(block), false);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Block } from '../src/core/Block.js';
+import { VOTE_ADD } from '../src/core/Transaction.js';
+import { GossipManager } from '../src/consensus/GossipManager.js';
+import { NetworkManager } from '../src/network/NetworkManager.js';
+import { createConfig, createNode, createWallet, mineBlocks, writeChainSpec } from './helpers.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drakon-gossip-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Rete senza peer: le richieste degli antenati mancanti restano senza risposta
+const network = {
+  getPeers: () => [],
+  requestBlockByHash: async () => null,
+  sendBlock: async () => {}
+};
+
+// Nodo appena avviato e blocchi di un'altra catena della stessa rete, orfani per il nodo
+async function setup(orphans = {}, count = 5) {
+  const source = await createNode();
+  const blocks = await mineBlocks(source, (await createWallet()).getAddress(), count);
+
+  const node = await createNode();
+  const config = { ...node.config, gossip: { orphans } };
+  const gossip = new GossipManager(config, network, node.mempool, node.blockchain);
+  return { gossip, blocks, source };
+}
+
+describe('GossipManager', () => {
+  describe('blocchi orfani', () => {
+    it('tiene da parte un orfano con una prova di lavoro valida', async () => {
+      const { gossip, blocks } = await setup();
+
+      await gossip.handleNewBlock(blocks[1], 'peer-a');
+      assert.equal(gossip.orphanPool.has(blocks[1].hash), true);
+    });
+
+    it('scarta un orfano che non soddisfa il target dichiarato', async () => {
+      const { gossip, blocks } = await setup();
+      const block = { ...blocks[1] };
+      for (block.nonce = 0; gossip.blockchain.engine.pow.verify(block); block.nonce++);
+      block.hash = Block.calculateHash(block);
+
+      await gossip.handleNewBlock(block, 'peer-a');
+      assert.equal(gossip.orphanPool.getSize(), 0);
+    });
+
+    it("scarta un orfano con l'hash che non corrisponde all'header", async () => {
+      const { gossip, blocks } = await setup();
+      const block = { ...blocks[1], timestamp: blocks[1].timestamp + 1 };
+
+      await gossip.handleNewBlock(block, 'peer-a');
+      assert.equal(gossip.orphanPool.getSize(), 0);
+    });
+
+    it('limita gli orfani di ciascun peer', async () => {
+      const { gossip, blocks } = await setup({ maxPerPeer: 2 });
+
+      for (const block of blocks.slice(1, 4)) {
+        await gossip.handleNewBlock(block, 'peer-a');
+      }
+      await gossip.handleNewBlock(blocks[4], 'peer-b');
+
+      // Il primo orfano del peer-a è stato scartato, quello del peer-b no
+      assert.equal(gossip.orphanPool.getSize(), 3);
+      assert.equal(gossip.orphanPool.has(blocks[1].hash), false);
+      assert.equal(gossip.orphanPool.has(blocks[4].hash), true);
+    });
+
+    it('collega un orfano più avanti del limite di orfani per peer', async () => {
+      const { gossip, blocks, source } = await setup({}, 15);
+      gossip.networkManager = {
+        ...network,
+        requestBlockByHash: async (peerId, hash) => source.blockchain.getBlock(hash)
+      };
+
+      // Gli antenati chiesti al peer non fanno scartare l'orfano che ne ha causato la richiesta
+      await gossip.handleNewBlock(blocks[14], 'peer-a');
+      assert.equal(gossip.blockchain.getHeight(), 15);
+      assert.equal(await gossip.blockchain.db.getLastBlockHash(), blocks[14].hash);
+      assert.equal(gossip.orphanPool.getSize(), 0);
+    });
+  });
+
+  describe('transazioni', () => {
+    it('porta il voto di un validatore nel mempool di un altro nodo', async () => {
+      const voter = await createWallet();
+      const candidate = await createWallet();
+      const chainSpec = writeChainSpec(dir, 'poa', spec => {
+        spec.consensus = { engine: 'poa', validators: [voter.getAddress()], targetBlockTime: 1000 };
+      });
+      const node = await createNode(null, createConfig(chainSpec));
+
+      // Rete del nodo che riceve il voto, collegata al GossipManager come fa Node
+      const networkManager = new NetworkManager({ ...node.config, p2p: {} }, null);
+      const config = { ...node.config, gossip: {} };
+      const gossip = new GossipManager(config, networkManager, node.mempool, node.blockchain);
+      networkManager.on('transaction:received', ({ transaction }) => {
+        gossip.handleNewTransaction(transaction);
+      });
+
+      // Messaggio diffuso da Node.voteValidator
+      const vote = voter.createVote(candidate.getAddress(), VOTE_ADD, 0);
+      await networkManager._handleMessage(
+        { type: 'new_transaction', transaction: vote },
+        { remotePeer: 'peer-a' }
+      );
+      await new Promise(resolve => setImmediate(resolve));
+      assert.equal(await node.mempool.hasTransaction(vote.hash), true);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStorageBackend } from '../src/storage/backends/index.js';
+import { LevelBackend } from '../src/storage/backends/LevelBackend.js';
+import { MemoryBackend } from '../src/storage/backends/MemoryBackend.js';
+
+const KEYS = ['a', 'b:1', 'b:2', 'b:3', 'b;', 'c'];
+
+// Backend con una chiave per ogni elemento di KEYS, inserite in ordine sparso
+async function filled(backend = new MemoryBackend()) {
+  await backend.open();
+  for (const key of [...KEYS].reverse()) {
+    await backend.put(key, { key });
+  }
+  return backend;
+}
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+// Intervalli percorsi nello stesso modo da tutti i backend
+const RANGES = [
+  {},
+  { gte: 'b:', lt: 'b;' },
+  { gt: 'b:1', lte: 'b;' },
+  { gte: 'b:', lt: 'b;', reverse: true },
+  { gte: 'b:', reverse: true, limit: 2 },
+  { limit: 0 },
+  { gte: 'd' },
+  { gte: 'c', lt: 'a' }
+];
+
+describe('MemoryBackend', () => {
+  it('legge, scrive ed elimina copie dei valori', async () => {
+    const backend = new MemoryBackend();
+    const value = { amount: 10, outputs: [{ address: 'x' }] };
+    await backend.put('chiave', value);
+    value.amount = 20;
+
+    const read = await backend.get('chiave');
+    assert.deepEqual(read, { amount: 10, outputs: [{ address: 'x' }] });
+    read.outputs.push({ address: 'y' });
+    assert.deepEqual((await backend.get('chiave')).outputs, [{ address: 'x' }]);
+
+    await backend.del('chiave');
+    await backend.del('chiave');
+    await assert.rejects(backend.get('chiave'), { notFound: true, code: 'LEVEL_NOT_FOUND' });
+  });
+
+  it('rifiuta i valori nulli', async () => {
+    const backend = new MemoryBackend();
+    await assert.rejects(backend.put('chiave', null));
+    await assert.rejects(backend.put('chiave', undefined));
+    assert.deepEqual(await collect(backend.keys()), []);
+  });
+
+  it('applica un batch in ordine e non lo lascia a metà per un valore non valido', async () => {
+    const backend = await filled();
+    await backend.batch([
+      { type: 'put', key: 'd', value: 1 },
+      { type: 'del', key: 'd' },
+      { type: 'del', key: 'a' },
+      { type: 'put', key: 'b:1', value: 2 }
+    ]);
+    assert.deepEqual(await collect(backend.keys()), KEYS.slice(1));
+    assert.equal(await backend.get('b:1'), 2);
+
+    await assert.rejects(
+      backend.batch([
+        { type: 'del', key: 'c' },
+        { type: 'put', key: 'e', value: null }
+      ])
+    );
+    assert.deepEqual(await collect(backend.keys()), KEYS.slice(1));
+  });
+
+  it('percorre gli intervalli in ordine lessicografico', async () => {
+    const backend = await filled();
+
+    assert.deepEqual(await collect(backend.keys({ gte: 'b:', lt: 'b;' })), ['b:1', 'b:2', 'b:3']);
+    assert.deepEqual(await collect(backend.keys({ gt: 'b:1', lte: 'b;' })), ['b:2', 'b:3', 'b;']);
+    assert.deepEqual(await collect(backend.keys({ gte: 'b:', reverse: true, limit: 2 })), [
+      'c',
+      'b;'
+    ]);
+    assert.deepEqual(await collect(backend.values({ gte: 'c' })), [{ key: 'c' }]);
+    assert.deepEqual(await collect(backend.keys({ gte: 'c', lt: 'a' })), []);
+  });
+
+  it("salta le chiavi eliminate durante l'iterazione", async () => {
+    const backend = await filled();
+    const keys = [];
+    for await (const [key] of backend.iterator()) {
+      keys.push(key);
+      if (key === 'a') {
+        await backend.del('b:2');
+      }
+    }
+    assert.deepEqual(keys, ['a', 'b:1', 'b:3', 'b;', 'c']);
+  });
+
+  it('elimina le chiavi di un intervallo con clear', async () => {
+    const backend = await filled();
+    await backend.clear({ gte: 'b:', lt: 'b;' });
+    assert.deepEqual(await collect(backend.keys()), ['a', 'b;', 'c']);
+
+    await backend.destroy();
+    assert.deepEqual(await collect(backend.keys()), []);
+  });
+
+  describe('corrispondenza con LevelDB', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drakon-backend-'));
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('restituisce le stesse coppie per ogni intervallo', async () => {
+      const memory = await filled();
+      const level = await filled(new LevelBackend({ path: dir }));
+      try {
+        for (const range of RANGES) {
+          assert.deepEqual(
+            await collect(memory.iterator(range)),
+            await collect(level.iterator(range)),
+            JSON.stringify(range)
+          );
+        }
+      } finally {
+        await level.close();
+      }
+    });
+  });
+
+  describe('scelta del backend', () => {
+    it('crea il backend indicato in storage.backend, LevelDB se assente', () => {
+      assert.ok(createStorageBackend({ backend: 'memory' }) instanceof MemoryBackend);
+      assert.ok(createStorageBackend({ path: 'dati' }) instanceof LevelBackend);
+      assert.throws(() => createStorageBackend({ backend: 'redis' }), /redis/);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createConfig, createNode, createWallet, mineBlock, mineBlocks } from './helpers.js';
+
+// Mittente con 50 dalla coinbase del primo blocco
+async function setup() {
+  const node = await createNode();
+  const sender = await createWallet();
+  const recipient = await createWallet();
+  await mineBlocks(node, sender.getAddress(), 1);
+  return { node, sender, recipient };
+}
+
+const hashes = transactions => transactions.map(tx => tx.hash);
+
+describe('Mempool', () => {
+  describe('sequenza dei nonce', () => {
+    it('tiene in coda una transazione finché il nonce mancante non arriva', async () => {
+      const { node, sender, recipient } = await setup();
+      const first = sender.createTransaction(recipient.getAddress(), 10, 0);
+      const second = sender.createTransaction(recipient.getAddress(), 10, 1);
+
+      assert.equal(await node.mempool.addTransaction(second), true);
+      assert.deepEqual(await node.mempool.getPendingTransactions(), []);
+      assert.equal(node.mempool.getNextNonce(sender.getAddress()), 0);
+
+      assert.equal(await node.mempool.addTransaction(first), true);
+      assert.deepEqual(hashes(await node.mempool.getPendingTransactions()), [
+        first.hash,
+        second.hash
+      ]);
+      assert.equal(node.mempool.getNextNonce(sender.getAddress()), 2);
+    });
+
+    it('rifiuta un nonce già confermato', async () => {
+      const { node, sender, recipient } = await setup();
+      await node.mempool.addTransaction(sender.createTransaction(recipient.getAddress(), 10, 0));
+      await mineBlocks(node, sender.getAddress(), 1);
+      assert.equal(node.blockchain.getNonce(sender.getAddress()), 1);
+
+      const replay = sender.createTransaction(recipient.getAddress(), 5, 0);
+      assert.equal(await node.mempool.addTransaction(replay), false);
+    });
+
+    it("rifiuta una transazione con l'hash di un'altra", async () => {
+      const { node, sender, recipient } = await setup();
+      const other = sender.createTransaction(recipient.getAddress(), 20, 0);
+      const tx = sender.createTransaction(recipient.getAddress(), 10, 0);
+      tx.hash = other.hash;
+
+      assert.equal(await node.mempool.addTransaction(tx), false);
+      assert.equal(await node.mempool.hasTransaction(other.hash), false);
+      assert.deepEqual(await node.mempool.getPendingTransactions(), []);
+    });
+
+    it('non conta nel saldo disponibile le transazioni in coda', async () => {
+      const { node, sender, recipient } = await setup();
+
+      await node.mempool.addTransaction(sender.createTransaction(recipient.getAddress(), 40, 1));
+      assert.equal(node.mempool.getSpendableBalance(sender.getAddress()), 50);
+
+      await node.mempool.addTransaction(sender.createTransaction(recipient.getAddress(), 5, 0));
+      assert.equal(node.mempool.getSpendableBalance(sender.getAddress()), 5);
+    });
+  });
+
+  describe('saldo disponibile', () => {
+    it('sottrae al saldo confermato le spese già in attesa', async () => {
+      const { node, sender, recipient } = await setup();
+      const first = sender.createTransaction(recipient.getAddress(), 30, 0);
+      assert.equal(await node.mempool.addTransaction(first), true);
+      assert.equal(node.mempool.getSpendableBalance(sender.getAddress()), 20);
+
+      // Coperta dal saldo confermato, non da quello rimasto dopo la spesa in attesa
+      const overspend = sender.createTransaction(recipient.getAddress(), 30, 1);
+      assert.equal(await node.mempool.addTransaction(overspend), false);
+    });
+
+    it('scarta le transazioni in attesa che il nuovo saldo confermato non copre', async () => {
+      const { node, sender, recipient } = await setup();
+      const pending = sender.createTransaction(recipient.getAddress(), 40, 1);
+      assert.equal(await node.mempool.addTransaction(pending), true);
+
+      // Un blocco minato altrove conferma un'altra spesa del mittente
+      const spend = sender.createTransaction(recipient.getAddress(), 20, 0);
+      const block = await mineBlock(node, recipient.getAddress(), template => {
+        template.transactions = [template.transactions[0], spend];
+      });
+      assert.equal(await node.blockchain.addBlock(block), true);
+
+      // Il mempool si riallinea nel gestore asincrono di block:new
+      await new Promise(resolve => setImmediate(resolve));
+      assert.equal(await node.mempool.hasTransaction(pending.hash), false);
+    });
+  });
+
+  describe('sostituzione per commissione', () => {
+    it('sostituisce una transazione con una commissione più alta sullo stesso nonce', async () => {
+      const { node, sender, recipient } = await setup();
+      const original = sender.createTransaction(recipient.getAddress(), 10, 0, 1);
+      const replacement = sender.createTransaction(recipient.getAddress(), 10, 0, 2);
+      const replaced = [];
+      node.mempool.on('transaction:replaced', event => replaced.push(event));
+
+      await node.mempool.addTransaction(original);
+      assert.equal(await node.mempool.addTransaction(replacement), true);
+
+      assert.equal(await node.mempool.hasTransaction(original.hash), false);
+      assert.deepEqual(hashes(await node.mempool.getPendingTransactions()), [replacement.hash]);
+      assert.equal(replaced.length, 1);
+      assert.equal(replaced[0].replaced.hash, original.hash);
+    });
+
+    it('rifiuta una sostituzione con commissione uguale o inferiore', async () => {
+      const { node, sender, recipient } = await setup();
+      const original = sender.createTransaction(recipient.getAddress(), 10, 0, 2);
+      await node.mempool.addTransaction(original);
+
+      for (const fee of [2, 1]) {
+        const replacement = sender.createTransaction(recipient.getAddress(), 20, 0, fee);
+        assert.equal(await node.mempool.addTransaction(replacement), false);
+      }
+      assert.deepEqual(hashes(await node.mempool.getPendingTransactions()), [original.hash]);
+    });
+
+    it('conta come disponibile il costo della transazione sostituita', async () => {
+      const { node, sender, recipient } = await setup();
+      await node.mempool.addTransaction(sender.createTransaction(recipient.getAddress(), 40, 0, 1));
+
+      // 45 + 2 supera i 9 rimasti disponibili, ma non il saldo senza la transazione sostituita
+      const replacement = sender.createTransaction(recipient.getAddress(), 45, 0, 2);
+      assert.equal(await node.mempool.addTransaction(replacement), true);
+      assert.equal(node.mempool.getSpendableBalance(sender.getAddress()), 3);
+    });
+
+    it('rifiuta una sostituzione che supera il saldo disponibile', async () => {
+      const { node, sender, recipient } = await setup();
+      const original = sender.createTransaction(recipient.getAddress(), 10, 0, 1);
+      await node.mempool.addTransaction(original);
+
+      // Il costo della transazione sostituita torna disponibile, ma 50 + 2 supera il saldo
+      const replacement = sender.createTransaction(recipient.getAddress(), 50, 0, 2);
+      assert.equal(await node.mempool.addTransaction(replacement), false);
+      assert.equal(await node.mempool.hasTransaction(original.hash), true);
+    });
+  });
+
+  describe('riorganizzazioni della catena', () => {
+    it('riammette le transazioni dei blocchi scollegati entro la dimensione massima', async () => {
+      const config = createConfig();
+      config.mempool.maxSize = 1;
+      const node = await createNode(null, config);
+      const other = await createNode();
+      const sender = await createWallet();
+      const recipient = await createWallet();
+      const [funding] = await mineBlocks(node, sender.getAddress(), 1);
+      await other.blockchain.addBlock(funding);
+
+      // Blocco locale con due trasferimenti, poi scollegato da un ramo più lungo
+      const first = sender.createTransaction(recipient.getAddress(), 10, 0);
+      const second = sender.createTransaction(recipient.getAddress(), 10, 1);
+      const block = await mineBlock(node, sender.getAddress(), template => {
+        template.transactions.push(first, second);
+      });
+      assert.equal(await node.blockchain.addBlock(block), true);
+      for (const competing of await mineBlocks(other, recipient.getAddress(), 2)) {
+        assert.equal(await node.blockchain.addBlock(competing), true);
+      }
+
+      // Il mempool si riallinea nel gestore asincrono di block:reorg
+      await new Promise(resolve => setImmediate(resolve));
+      assert.equal(node.mempool.getSize(), 1);
+      assert.deepEqual(hashes(await node.mempool.getPendingTransactions()), [first.hash]);
+    });
+  });
+});
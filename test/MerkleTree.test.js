@@ -0,0 +1,37 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MerkleTree } from '../src/core/MerkleTree.js';
+
+const transactions = count =>
+  Array.from({ length: count }, (_, i) => ({ hash: `tx${i}`, amount: i + 1 }));
+
+describe('MerkleTree', () => {
+  for (const count of [1, 2, 3, 5, 6, 7, 8]) {
+    it(`verifica la prova di ogni transazione di un albero con ${count} foglie`, () => {
+      const tree = new MerkleTree();
+      tree.addLeaves(transactions(count));
+      const root = tree.getRoot();
+
+      for (const tx of transactions(count)) {
+        assert.equal(tree.verifyProof(tx, tree.getProof(tx), root), true, tx.hash);
+      }
+    });
+  }
+
+  it('rifiuta una prova usata per una transazione diversa', () => {
+    const tree = new MerkleTree();
+    const [first, second, third] = transactions(3);
+    tree.addLeaves([first, second, third]);
+
+    const proof = tree.getProof(third);
+
+    assert.equal(tree.verifyProof(second, proof, tree.getRoot()), false);
+    assert.equal(tree.verifyProof({ ...third, amount: 99 }, proof, tree.getRoot()), false);
+  });
+
+  it('lancia un errore per una transazione assente', () => {
+    const tree = new MerkleTree();
+    tree.addLeaves(transactions(2));
+    assert.throws(() => tree.getProof({ hash: 'altro' }));
+  });
+});
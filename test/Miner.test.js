@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNode, createWallet, mineBlock, mineBlocks } from './helpers.js';
+
+// Nodo con un trasferimento in attesa nel mempool
+async function setup() {
+  const node = await createNode();
+  const sender = await createWallet();
+  const recipient = await createWallet();
+  await mineBlocks(node, sender.getAddress(), 1);
+
+  const tx = sender.createTransaction(recipient.getAddress(), 10, 0);
+  await node.mempool.addTransaction(tx);
+  node.miner.rewardAddress = sender.getAddress();
+  return { node, tx };
+}
+
+// Mina un solo blocco con i thread del pool, passando l'esito dell'aggiunta a `addBlock`
+async function mineOnce(node, addBlock) {
+  const blockchain = node.blockchain;
+  const original = blockchain.addBlock.bind(blockchain);
+  blockchain.addBlock = async block => {
+    node.miner.stop();
+    return addBlock(original, block);
+  };
+  await node.miner.start();
+}
+
+describe('Miner', () => {
+  it('toglie dal mempool le transazioni del blocco aggiunto', async () => {
+    const { node, tx } = await setup();
+
+    await mineOnce(node, (add, block) => add(block));
+    assert.equal(node.blockchain.getHeight(), 2);
+    assert.equal(await node.mempool.hasTransaction(tx.hash), false);
+  });
+
+  it('lascia nel mempool le transazioni di un blocco rifiutato', async () => {
+    const { node, tx } = await setup();
+
+    await mineOnce(node, async () => false);
+    assert.equal(node.blockchain.getHeight(), 1);
+    assert.equal(await node.mempool.hasTransaction(tx.hash), true);
+  });
+
+  it('riempie il template per commissione per byte e incassa le commissioni', async () => {
+    const node = await createNode();
+    const recipient = await createWallet();
+    const senders = [await createWallet(), await createWallet(), await createWallet()];
+    for (const sender of senders) {
+      await mineBlocks(node, sender.getAddress(), 1);
+    }
+
+    const transactions = [1, 5, 3].map((fee, index) =>
+      senders[index].createTransaction(recipient.getAddress(), 10, 0, fee)
+    );
+    for (const tx of transactions) {
+      await node.mempool.addTransaction(tx);
+    }
+
+    const template = await node.miner.createBlockTemplate(recipient.getAddress());
+    const [coinbase, ...included] = template.transactions;
+    assert.deepEqual(
+      included.map(tx => tx.hash),
+      [transactions[1].hash, transactions[2].hash, transactions[0].hash]
+    );
+    assert.equal(coinbase.amount, 50 + 1 + 5 + 3);
+
+    const block = await mineBlock(node, recipient.getAddress());
+    assert.equal(await node.blockchain.addBlock(block), true);
+    assert.equal(node.blockchain.getBalance(recipient.getAddress()), 59 + 30);
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MiningPool } from '../src/consensus/MiningPool.js';
+import { createProofOfWork } from '../src/consensus/pow/index.js';
+import { createConfig } from './helpers.js';
+
+describe('MiningPool', () => {
+  it('toglie dal pool un thread in errore e lo sostituisce al lavoro successivo', async () => {
+    const config = createConfig();
+    const pool = new MiningPool({ ...config, mining: { threads: 2, maxWorkers: 2 } });
+    pool.start();
+    const [failed] = pool.workers;
+
+    try {
+      // Target irraggiungibile: il lavoro in corso si chiude senza risultato
+      const job = pool.mine({ bits: 0x03000001 }, 2 ** 32, createProofOfWork('sha256'));
+      failed.emit('error', new Error('thread interrotto'));
+      assert.equal(await job, null);
+      assert.equal(pool.workers.length, 1);
+      assert.equal(pool.workers.includes(failed), false);
+
+      pool.start();
+      assert.equal(pool.workers.length, 2);
+    } finally {
+      await pool.stop();
+      await failed.terminate();
+    }
+  });
+});
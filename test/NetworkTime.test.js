@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { NetworkTime } from '../src/network/NetworkTime.js';
+
+const MINUTE = 60 * 1000;
+
+// Registra un campione per peer con gli scostamenti indicati
+function addSamples(time, offsets, localTime = 1000000) {
+  offsets.forEach((offset, index) => {
+    time.addSample(`peer-${index}`, localTime + offset, localTime);
+  });
+}
+
+describe('NetworkTime', () => {
+  it('applica la mediana degli scostamenti solo con abbastanza peer', () => {
+    const time = new NetworkTime({ network: { time: { minSamples: 3 } } });
+    addSamples(time, [10, -20]);
+    assert.equal(time.getOffset(), 0);
+
+    addSamples(time, [10, -20, 5000]);
+    assert.equal(time.getOffset(), 10);
+  });
+
+  it('tiene un solo campione per peer, il più recente', () => {
+    const time = new NetworkTime({ network: { time: { minSamples: 3 } } });
+    addSamples(time, [100, 200, 300]);
+    time.addSample('peer-0', 1000000 + 400, 1000000);
+    time.addSample('peer-1', 1000000 + 500, 1000000);
+
+    assert.equal(time.getStatus().samples, 3);
+    assert.equal(time.getOffset(), 400);
+
+    time.removeSample('peer-2');
+    assert.equal(time.getOffset(), 0);
+  });
+
+  it("ignora una rete troppo distante dall'orologio locale e la segnala", () => {
+    const time = new NetworkTime({ network: { time: { minSamples: 3 } } });
+    addSamples(time, [80 * MINUTE, 80 * MINUTE, 80 * MINUTE]);
+    assert.equal(time.getOffset(), 0);
+    assert.equal(time.getStatus().clockWarning, true);
+
+    addSamples(time, [10 * MINUTE, 10 * MINUTE, 10 * MINUTE]);
+    assert.equal(time.getOffset(), 10 * MINUTE);
+    assert.equal(time.getStatus().clockWarning, true);
+
+    addSamples(time, [MINUTE, MINUTE, MINUTE]);
+    assert.equal(time.getStatus().clockWarning, false);
+  });
+});
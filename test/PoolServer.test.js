@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PoolServer } from '../src/consensus/PoolServer.js';
+import { Target } from '../src/consensus/pow/index.js';
+import { createNode, createWallet } from './helpers.js';
+
+// Pool su un nodo di prova, collegato ai nuovi blocchi senza aprire il server TCP
+async function createPool() {
+  const node = await createNode();
+  const config = { ...node.config, mining: { pool: {} } };
+  const server = new PoolServer(config, node.miner, node.blockchain);
+  server.rewardAddress = (await createWallet()).getAddress();
+  node.blockchain.on('block:new', server._onBlock);
+  return { node, server };
+}
+
+// Worker collegato senza socket: le risposte non vengono inviate
+function connect(server, name, address) {
+  const client = { id: name, socket: null, worker: null, buffer: '', nonceStart: 0 };
+  server._login(client, { worker: name, address });
+  return client;
+}
+
+// Primo nonce, a partire da `start`, che produce o meno un blocco sul lavoro corrente
+function findNonce(server, block, start = 0) {
+  const job = server.currentJob;
+  for (let nonce = start; ; nonce++) {
+    const hash = server.pow.hash({ ...job.header, nonce });
+    if (Target.isMet(hash, job.target) === block) {
+      return nonce;
+    }
+  }
+}
+
+describe('PoolServer', () => {
+  it('conserva solo il lavoro corrente e il precedente', async () => {
+    const { server } = await createPool();
+
+    const ids = [];
+    for (let i = 0; i < 5; i++) {
+      await server._refreshJob(false);
+      ids.push(server.currentJob.id);
+    }
+
+    assert.deepEqual([...server.jobs.keys()], ids.slice(-2));
+  });
+
+  it('non ripaga nel lavoro successivo le share pagate dal blocco trovato', async () => {
+    const { node, server } = await createPool();
+    const aliceAddress = (await createWallet()).getAddress();
+    const bobAddress = (await createWallet()).getAddress();
+    const alice = connect(server, 'alice', aliceAddress);
+    const bob = connect(server, 'bob', bobAddress);
+    await server._refreshJob(false);
+
+    // Cinque share di alice e una di bob, pagate dalla coinbase del lavoro seguente
+    let nonce = 0;
+    for (const client of [alice, alice, alice, alice, alice, bob]) {
+      nonce = findNonce(server, false, nonce);
+      const result = await server._submit(client, { jobId: server.currentJob.id, nonce: nonce++ });
+      assert.equal(result.accepted, true);
+    }
+    await server._refreshJob(false);
+    const paying = server.currentJob;
+    assert.deepEqual(
+      paying.shares,
+      new Map([
+        [aliceAddress, 5],
+        [bobAddress, 1]
+      ])
+    );
+
+    // Bob trova il blocco: la sua ultima share resta nel round
+    const result = await server._submit(bob, { jobId: paying.id, nonce: findNonce(server, true) });
+    assert.equal(result.block.accepted, true);
+    assert.equal(node.blockchain.getHeight(), 1);
+    while (server.currentJob === paying) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    assert.deepEqual(server.round, new Map([[bobAddress, 1]]));
+    assert.deepEqual(server.currentJob.shares, new Map([[bobAddress, 1]]));
+    const [coinbase] = node.miner.templates.get(server.currentJob.header.merkleRoot).transactions;
+    assert.deepEqual(coinbase.outputs, [{ address: bobAddress, amount: 50 }]);
+  });
+
+  it('rifiuta il login con un indirizzo per la ricompensa non valido', async () => {
+    const { server } = await createPool();
+    const address = (await createWallet()).getAddress();
+
+    for (const invalid of ['indirizzo-alice', `${address}:0`, address.toUpperCase()]) {
+      assert.throws(() => connect(server, 'alice', invalid), /Indirizzo per la ricompensa/);
+    }
+    assert.equal(server.workers.size, 0);
+  });
+
+  it('tiene in memoria solo gli ultimi template dei miner esterni', async () => {
+    const { miner } = await createNode();
+
+    const roots = [];
+    for (let i = 0; i < 20; i++) {
+      roots.push((await miner.getBlockTemplate(`indirizzo-${i}`)).header.merkleRoot);
+    }
+
+    assert.deepEqual([...miner.templates.keys()], roots.slice(-16));
+  });
+});
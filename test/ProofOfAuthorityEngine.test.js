@@ -0,0 +1,156 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProofOfAuthorityEngine } from '../src/consensus/engines/ProofOfAuthorityEngine.js';
+import { VOTE_ADD, VOTE_REMOVE } from '../src/core/Transaction.js';
+import { createWallet } from './helpers.js';
+
+// Genesis come blocco padre: lo snapshot iniziale non richiede il database
+const GENESIS = { hash: '0'.repeat(64), height: 0, timestamp: 0 };
+
+// Tre validatori, nell'ordine dei turni, e un motore collegato a una catena in memoria con
+// un orologio fermo a `clock.time`
+async function setup(outOfTurnDelay = 500) {
+  const wallets = [await createWallet(), await createWallet(), await createWallet()];
+  wallets.sort((a, b) => a.getAddress().localeCompare(b.getAddress()));
+  const blocks = new Map([[GENESIS.hash, GENESIS]]);
+  const clock = { time: 0 };
+
+  const createEngine = (delay, validators = wallets.map(wallet => wallet.getAddress())) => {
+    const engine = new ProofOfAuthorityEngine({ validators, outOfTurnDelay: delay });
+    engine.attach({
+      targetBlockTime: 1000,
+      db: { getBlock: async hash => blocks.get(hash) || null },
+      networkTime: { now: () => clock.time }
+    });
+    return engine;
+  };
+
+  // Firma il blocco successivo a `parent` con il wallet indicato e lo aggiunge alla catena
+  const seal = async (engine, parent, wallet, transactions = []) => {
+    const block = {
+      version: 2,
+      previousHash: parent.hash,
+      merkleRoot: '0'.repeat(64),
+      height: parent.height + 1,
+      transactions
+    };
+    await engine.sealBlock(block, { wallet });
+    blocks.set(block.hash, block);
+    return block;
+  };
+
+  return { wallets, clock, engine: createEngine(outOfTurnDelay), createEngine, seal };
+}
+
+describe('ProofOfAuthorityEngine', () => {
+  describe('turni dei validatori', () => {
+    it("fa firmare all'altezza h il validatore h % n, gli altri dopo l'attesa", async () => {
+      const { wallets, clock, engine, seal } = await setup();
+      clock.time = 1000;
+
+      const inTurn = await seal(engine, GENESIS, wallets[1]);
+      assert.equal(inTurn.timestamp, 1000);
+      assert.equal(await engine.verifyBlock(inTurn, GENESIS), true);
+      assert.equal(await engine.getBlockWork(inTurn), 2n);
+
+      clock.time = 1500;
+      const outOfTurn = await seal(engine, GENESIS, wallets[2]);
+      assert.equal(outOfTurn.timestamp, 1500);
+      assert.equal(await engine.verifyBlock(outOfTurn, GENESIS), true);
+      assert.equal(await engine.getBlockWork(outOfTurn), 1n);
+    });
+
+    it('rifiuta un blocco fuori turno firmato prima della sua attesa', async () => {
+      const { wallets, clock, createEngine, seal } = await setup();
+      clock.time = 1000;
+
+      const block = await seal(createEngine(0), GENESIS, wallets[2]);
+      assert.equal(await createEngine(500).verifyBlock(block, GENESIS), false);
+    });
+
+    it('non lascia firmare di nuovo un validatore recente', async () => {
+      const { wallets, clock, engine, seal } = await setup();
+      clock.time = 1000;
+      const first = await seal(engine, GENESIS, wallets[1]);
+      assert.deepEqual((await engine.getSnapshot(first)).recents, [wallets[1].getAddress()]);
+
+      clock.time = 5000;
+      const second = await seal(engine, first, wallets[2]);
+      assert.equal(await engine.verifyBlock(second, first), true);
+      const repeated = { ...second, validator: wallets[1].getAddress() };
+      assert.equal(await engine.verifyBlock(repeated, first), false);
+    });
+
+    it('rifiuta un blocco firmato da chi non è validatore', async () => {
+      const { clock, engine, createEngine, seal } = await setup();
+      clock.time = 1000;
+      const outsider = await createWallet();
+
+      // Firmato con un motore che lo considera validatore
+      const block = await seal(createEngine(500, [outsider.getAddress()]), GENESIS, outsider);
+      assert.equal(await engine.verifyBlock(block, GENESIS), false);
+      assert.equal(await engine.verifyHeader(block), false);
+    });
+  });
+
+  describe('voti sui validatori', () => {
+    it("rifiuta il voto che rimuoverebbe l'ultimo validatore", async () => {
+      const validator = await createWallet();
+      const engine = new ProofOfAuthorityEngine({ validators: [validator.getAddress()] });
+      const vote = validator.createVote(validator.getAddress(), VOTE_REMOVE, 0);
+
+      assert.equal(
+        await engine.validateTransactions([vote], GENESIS),
+        "non si può rimuovere l'ultimo validatore"
+      );
+
+      const snapshot = await engine.getSnapshot(GENESIS);
+      assert.deepEqual(engine._applyVote(snapshot, vote).validators, [validator.getAddress()]);
+    });
+
+    it('rimuove un validatore votato dalla maggioranza', async () => {
+      const alice = await createWallet();
+      const bob = await createWallet();
+      const engine = new ProofOfAuthorityEngine({
+        validators: [alice.getAddress(), bob.getAddress()]
+      });
+      const votes = [
+        alice.createVote(bob.getAddress(), VOTE_REMOVE, 0),
+        bob.createVote(bob.getAddress(), VOTE_REMOVE, 0)
+      ];
+      assert.equal(await engine.validateTransactions(votes, GENESIS), null);
+
+      let snapshot = await engine.getSnapshot(GENESIS);
+      snapshot = engine._applyVote(snapshot, votes[0]);
+      assert.equal(snapshot.validators.length, 2);
+      snapshot = engine._applyVote(snapshot, votes[1]);
+      assert.deepEqual(snapshot.validators, [alice.getAddress()]);
+    });
+
+    it('aggiunge il candidato votato da più della metà dei validatori', async () => {
+      const { wallets, clock, engine, seal } = await setup();
+      const candidate = (await createWallet()).getAddress();
+      clock.time = 1000;
+
+      const first = await seal(engine, GENESIS, wallets[1], [
+        wallets[0].createVote(candidate, VOTE_ADD, 0)
+      ]);
+      assert.equal((await engine.getSnapshot(first)).validators.includes(candidate), false);
+      assert.equal((await engine.getSnapshot(first)).votes.length, 1);
+
+      const vote = wallets[2].createVote(candidate, VOTE_ADD, 0);
+      assert.equal(await engine.validateTransactions([vote], first), null);
+      clock.time = 5000;
+      const second = await seal(engine, first, wallets[2], [vote]);
+
+      const snapshot = await engine.getSnapshot(second);
+      assert.equal(snapshot.validators.length, 4);
+      assert.equal(snapshot.validators.includes(candidate), true);
+      assert.deepEqual(snapshot.votes, []);
+      assert.match(
+        await engine.validateTransactions([wallets[0].createVote(candidate, VOTE_ADD, 1)], second),
+        /già un validatore/
+      );
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { Block } from '../src/core/Block.js';
+import { createProofOfWork, Target } from '../src/consensus/pow/index.js';
+
+const HEADER = {
+  version: 2,
+  previousHash: '0'.repeat(64),
+  merkleRoot: '1'.repeat(64),
+  height: 1,
+  timestamp: 1735862400000,
+  bits: 0x207fffff,
+  nonce: 0
+};
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest();
+
+describe('ProofOfWork', () => {
+  describe('target in forma compatta', () => {
+    it('decodifica e ricodifica i bits', () => {
+      assert.equal(Target.fromBits(0x1d00ffff), 0xffffn << 208n);
+      assert.equal(Target.fromBits(0x207fffff), 0x7fffffn << 232n);
+      assert.equal(Target.fromBits(0x03123456), 0x123456n);
+      assert.equal(Target.fromBits(0x02123456), 0x1234n);
+
+      for (const bits of [0x1d00ffff, 0x207fffff, 0x1f0fffff, 0x03123456]) {
+        assert.equal(Target.toBits(Target.fromBits(bits)), bits);
+      }
+    });
+
+    it('sposta in un byte in più una mantissa con il bit alto', () => {
+      assert.equal(Target.toBits(0x800000n), 0x04008000);
+      assert.equal(Target.fromBits(0x04008000), 0x800000n);
+    });
+
+    it('rifiuta bits negativi o oltre il target massimo', () => {
+      for (const bits of [0x04923456, 0x2100ffff, -1, 1.5, 0x100000000]) {
+        assert.equal(Target.isValidBits(bits), false, String(bits));
+      }
+      assert.throws(() => Target.parseBits('0x04923456'), /non valido/);
+      assert.equal(Target.parseBits('0x1d00ffff'), 0x1d00ffff);
+      assert.equal(Target.fromBits(0x21000000), 0n);
+    });
+
+    it('confronta gli hash con il target come interi di 256 bit', () => {
+      const target = Target.fromBits(0x1f00ffff);
+      assert.equal(Target.isMet(`0000ffff${'0'.repeat(56)}`, target), true);
+      assert.equal(Target.isMet(`0000ffff${'0'.repeat(55)}1`, target), false);
+    });
+  });
+
+  describe('algoritmi', () => {
+    it("calcola il doppio SHA-256 dell'header", () => {
+      const data = JSON.stringify(Block.getHeader(HEADER));
+      const expected = sha256(sha256(data)).toString('hex');
+      assert.equal(createProofOfWork('sha256d').hash(HEADER), expected);
+      assert.equal(createProofOfWork('sha256').hash(HEADER), sha256(data).toString('hex'));
+    });
+
+    it("calcola scrypt dell'header con i parametri della specifica", () => {
+      const data = JSON.stringify(Block.getHeader(HEADER));
+      const pow = createProofOfWork('scrypt', { N: 16, r: 1, p: 1 });
+      const expected = crypto.scryptSync(data, data, 32, { N: 16, r: 1, p: 1 }).toString('hex');
+      assert.equal(pow.hash(HEADER), expected);
+      assert.notEqual(createProofOfWork('scrypt').hash(HEADER), expected);
+    });
+
+    it('verifica il target dichiarato nei bits', () => {
+      const pow = createProofOfWork('sha256d');
+      const header = { ...HEADER };
+      while (!pow.verify(header)) {
+        header.nonce++;
+      }
+      assert.equal(Target.isMet(pow.hash(header), Target.fromBits(header.bits)), true);
+      assert.equal(pow.verify({ ...header, bits: 0x1d00ffff }), false);
+      assert.equal(pow.verify({ ...header, bits: 0x04923456 }), false);
+    });
+
+    it('rifiuta un algoritmo sconosciuto', () => {
+      assert.throws(() => createProofOfWork('md5'), /non supportato/);
+    });
+  });
+});
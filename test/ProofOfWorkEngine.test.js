@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProofOfWorkEngine } from '../src/consensus/engines/ProofOfWorkEngine.js';
+import { Target } from '../src/consensus/pow/index.js';
+
+const BITS = 0x1f00ffff;
+const POW_LIMIT = 0x207fffff;
+
+// Motore collegato a una catena di `count` blocchi distanziati di `spacing` millisecondi
+function createEngine(count, spacing, bits = BITS) {
+  const engine = new ProofOfWorkEngine({ pow: 'sha256', bits, powLimit: POW_LIMIT });
+  const chain = Array.from({ length: count }, (_, height) => ({
+    height,
+    timestamp: height * spacing,
+    bits
+  }));
+  engine.attach({
+    retargetInterval: 10,
+    targetBlockTime: 1000,
+    getAncestor: async (block, height) => chain[height]
+  });
+  return { engine, tip: chain[count - 1] };
+}
+
+// Target del blocco successivo rispetto a quello corrente
+async function nextRatio(engine, tip) {
+  const target = Target.fromBits(await engine.getNextBits(tip));
+  return Number(target) / Number(Target.fromBits(tip.bits));
+}
+
+describe('ProofOfWorkEngine', () => {
+  describe('ricalcolo della difficoltà', () => {
+    it("mantiene il target all'interno della finestra", async () => {
+      const { engine, tip } = createEngine(9, 100);
+      assert.equal(await engine.getNextBits(tip), BITS);
+    });
+
+    it('scala il target in proporzione al tempo impiegato', async () => {
+      // Blocchi ogni 500 ms invece di 1000: il target si dimezza
+      const fast = createEngine(10, 500);
+      assert.ok(Math.abs((await nextRatio(fast.engine, fast.tip)) - 0.5) < 1e-4);
+
+      // Blocchi ogni 2000 ms: il target raddoppia
+      const slow = createEngine(10, 2000);
+      assert.ok(Math.abs((await nextRatio(slow.engine, slow.tip)) - 2) < 1e-4);
+    });
+
+    it('limita la correzione a 4 volte per finestra', async () => {
+      const fast = createEngine(10, 10);
+      assert.ok(Math.abs((await nextRatio(fast.engine, fast.tip)) - 0.25) < 1e-4);
+
+      const slow = createEngine(10, 100000);
+      assert.ok(Math.abs((await nextRatio(slow.engine, slow.tip)) - 4) < 1e-4);
+    });
+
+    it('non supera il target massimo della rete', async () => {
+      const { engine, tip } = createEngine(10, 100000, 0x203fffff);
+      assert.equal(await engine.getNextBits(tip), POW_LIMIT);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Transaction, VOTE_ADD, VOTE_TYPE } from '../src/core/Transaction.js';
+import { createWallet } from './helpers.js';
+
+describe('Transaction', () => {
+  it('conserva tipo e voto nella conversione in JSON e ritorno', async () => {
+    const validator = await createWallet();
+    const candidate = await createWallet();
+    const vote = new Transaction(validator.getAddress(), candidate.getAddress(), 0, 0);
+    vote.type = VOTE_TYPE;
+    vote.vote = VOTE_ADD;
+    vote.sign(validator.getPrivateKey(), validator.getPublicKey());
+
+    const json = JSON.parse(JSON.stringify(vote));
+    assert.equal(json.type, VOTE_TYPE);
+    assert.equal(json.vote, VOTE_ADD);
+    assert.equal(json.hash, Transaction.calculateHash(vote));
+
+    const restored = Transaction.fromJSON(json);
+    assert.equal(restored.calculateHash(), json.hash);
+    assert.equal(restored.isValid(), true);
+    assert.equal(Transaction.isVote(restored), true);
+  });
+
+  it('accetta solo importi e commissioni interi', () => {
+    const transfer = (amount, fee) => ({ from: 'a', to: 'b', amount, fee, nonce: 0 });
+
+    assert.equal(Transaction.hasValidAmount(transfer(10, 1)), true);
+    assert.equal(Transaction.hasValidFee(transfer(10, 1)), true);
+    assert.equal(Transaction.hasValidFee(transfer(10)), true);
+    for (const amount of [0.1, 1.5, -1, 0, NaN, Infinity, '10', 2 ** 53]) {
+      assert.equal(Transaction.hasValidAmount(transfer(amount, 0)), false, String(amount));
+    }
+    for (const fee of [0.5, -1, '2.5', '2', null, 2 ** 53]) {
+      assert.equal(Transaction.hasValidFee(transfer(10, fee)), false, String(fee));
+    }
+  });
+
+  it('rifiuta un costo totale oltre gli interi esatti', () => {
+    const transfer = (amount, fee) => ({ from: 'a', to: 'b', amount, fee, nonce: 0 });
+
+    assert.equal(Transaction.hasValidAmount(transfer(Number.MAX_SAFE_INTEGER, 0)), true);
+    assert.equal(Transaction.hasValidFee(transfer(Number.MAX_SAFE_INTEGER, 0)), true);
+    assert.equal(Transaction.hasValidFee(transfer(Number.MAX_SAFE_INTEGER, 1)), false);
+    assert.equal(Transaction.hasValidFee(transfer(1, Number.MAX_SAFE_INTEGER)), false);
+  });
+});
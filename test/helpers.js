@@ -0,0 +1,95 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Block } from '../src/core/Block.js';
+import { Blockchain } from '../src/core/Blockchain.js';
+import { Wallet } from '../src/core/Wallet.js';
+import { Mempool } from '../src/consensus/Mempool.js';
+import { Miner } from '../src/consensus/Miner.js';
+import { BlockchainDB } from '../src/storage/BlockchainDB.js';
+
+// Rete di prova: proof-of-work sha256 con il target più facile, ricompensa di 50
+export const CHAIN_SPEC = fileURLToPath(new URL('./fixtures/chain-spec.json', import.meta.url));
+
+/**
+ * Scrive una variante della specifica di prova
+ * @param {string} dir - Directory temporanea del test
+ * @param {string} name - Nome del file, senza estensione
+ * @param {Function} modify - Modifica la specifica letta dal fixture
+ * @returns {string} - Percorso del file
+ */
+export function writeChainSpec(dir, name, modify) {
+  const spec = JSON.parse(fs.readFileSync(CHAIN_SPEC, 'utf8'));
+  modify(spec);
+  const file = path.join(dir, `${name}.json`);
+  fs.writeFileSync(file, JSON.stringify(spec));
+  return file;
+}
+
+// Configurazione di un nodo interamente in memoria, sulla rete della specifica indicata
+export function createConfig(chainSpec = CHAIN_SPEC) {
+  return {
+    storage: { backend: 'memory' },
+    network: { chainSpec },
+    blockchain: {},
+    mining: { maxWorkers: 1 },
+    mempool: {},
+    wallet: { saveToFile: false }
+  };
+}
+
+export async function createWallet() {
+  const wallet = new Wallet(createConfig());
+  await wallet.init();
+  return wallet;
+}
+
+/**
+ * Crea database, blockchain, mempool e miner di un nodo di prova
+ * @param {StorageBackend} [backend] - Backend da riusare, per riaprire lo stesso database
+ * @param {Object} [config] - Configurazione del nodo, predefinita a createConfig()
+ */
+export async function createNode(backend = null, config = createConfig()) {
+  const db = new BlockchainDB(config, backend);
+  await db.init();
+  const blockchain = new Blockchain(config, db);
+  await blockchain.init();
+  const mempool = new Mempool(config, blockchain);
+  const miner = new Miner(config, blockchain, null, mempool);
+  return { config, db, blockchain, mempool, miner };
+}
+
+// Cerca il nonce nel thread principale: con il target di prova bastano pochi tentativi
+export function sealBlock(blockchain, block) {
+  block.merkleRoot = Block.calculateMerkleRoot(block.transactions);
+  for (block.nonce = 0; !blockchain.engine.pow.verify(block); block.nonce++);
+  block.hash = Block.calculateHash(block);
+  return block;
+}
+
+/**
+ * Prepara e sigilla il prossimo blocco del nodo, senza aggiungerlo alla catena
+ * @param {Object} node - Nodo creato con createNode
+ * @param {string} rewardAddress - Indirizzo della coinbase
+ * @param {Function} [modify] - Modifica il template prima della sigillatura
+ */
+export async function mineBlock(node, rewardAddress, modify = null) {
+  const template = await node.miner.createBlockTemplate(rewardAddress);
+  if (modify) {
+    modify(template);
+  }
+  return sealBlock(node.blockchain, template);
+}
+
+// Mina e aggiunge `count` blocchi, restituendoli in ordine
+export async function mineBlocks(node, rewardAddress, count) {
+  const blocks = [];
+  for (let i = 0; i < count; i++) {
+    const block = await mineBlock(node, rewardAddress);
+    if (!(await node.blockchain.addBlock(block))) {
+      throw new Error(`Blocco all'altezza ${block.height} rifiutato`);
+    }
+    blocks.push(block);
+  }
+  return blocks;
+}